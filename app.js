@@ -111,6 +111,7 @@ import { Mixer } from './mixer.js?v=4';
 import { FileIO } from './file-io.js';
 import { AudioProcessor } from './audio-processor.js';
 import { MixerMetadata } from './mixer-metadata.js';
+import { FlacCodec } from './flac-codec.js';
 
 
 
@@ -121,6 +122,7 @@ class App {
         this.metadataHandler = new MetadataHandler();
         this.audioEngine = new AudioEngine();
         this.audioProcessor = new AudioProcessor();
+        this.flacCodec = new FlacCodec();
         this.audioProcessor.metadataHandler = this.metadataHandler; // Link metadata handler
         this.mixer = new Mixer(this.audioEngine.audioCtx,
             (index, name) => {
@@ -144,7 +146,7 @@ class App {
         this.lastSelectedIndex = -1; // For shift-click range selection
         this.currentlyLoadedFileIndex = -1; // Track which file is currently loaded
         this.isLoadingAudio = false; // Track if audio is currently loading
-        this.columnOrder = [3, 12, 11, 0, 1, 2, 4, 5, 6, 7, 8, 13, 9, 10, 14]; // Default order: Filename, Project, Tape, Channels, BitDepth, SampleRate, Format, Scene, Take, Duration, TC Start, End TC, FPS, FileSize, Notes
+        this.columnOrder = [3, 12, 11, 0, 1, 2, 4, 5, 6, 7, 8, 13, 9, 10, 14, 15, 16, 17, 18]; // Default order: Filename, Project, Tape, Channels, BitDepth, SampleRate, Format, Scene, Take, Duration, TC Start, End TC, FPS, FileSize, Notes, Circled, False Start, Wild Track, No Good
         this.sortColumn = null;
         this.sortDirection = 'asc';
         this.currentFileMetadata = null; // Store current file's metadata for timecode
@@ -164,9 +166,19 @@ class App {
         // Auto-group sibling files
         this.autoGroupEnabled = localStorage.getItem('autoGroupSiblings') !== 'false'; // Default true
 
+        // Overlap-tolerance grouping (recorders rolling with slightly different start/stop)
+        this.groupOverlapEnabled = localStorage.getItem('groupOverlapEnabled') === 'true';
+        const savedOverlap = parseInt(localStorage.getItem('groupOverlapPercent'), 10);
+        this.groupOverlapPercent = Number.isNaN(savedOverlap) ? 90 : savedOverlap;
+
         // Allow diagnostics access
         this.allowDiagnosticsAccess = localStorage.getItem('allowDiagnosticsAccess') !== 'false'; // Default true
 
+        // JUNK padding reserved after iXML when files are written (KB)
+        const savedPadding = parseInt(localStorage.getItem('metadataPaddingKB'), 10);
+        this.metadataPaddingKB = Number.isNaN(savedPadding) ? 4 : savedPadding;
+        this.metadataHandler.metadataPadding = this.metadataPaddingKB * 1024;
+
         this.initEventListeners();
         this.initDragAndDrop();
         this.initColumnDragDrop();
@@ -207,6 +219,7 @@ class App {
 
         // Batch Actions
         document.getElementById('batch-edit-btn').addEventListener('click', () => this.openBatchEditModal());
+        document.getElementById('find-replace-btn').addEventListener('click', () => this.openFindReplaceModal());
         document.getElementById('batch-save-btn').addEventListener('click', () => this.saveSelected());
         document.getElementById('batch-remove-btn').addEventListener('click', () => this.removeSelected());
         document.getElementById('batch-delete-btn').addEventListener('click', () => this.openDeleteConfirmModal());
@@ -231,6 +244,30 @@ class App {
         document.getElementById('batch-cancel-btn').addEventListener('click', () => this.closeBatchEditModal());
         document.getElementById('batch-apply-btn').addEventListener('click', () => this.applyBatchEdit());
 
+        // TC Offset / Restamp controls
+        document.getElementById('tc-restamp-btn').addEventListener('click', () => this.openTcRestampModal());
+        document.getElementById('tc-restamp-close-btn').addEventListener('click', () => this.closeTcRestampModal());
+        document.getElementById('tc-restamp-cancel-btn').addEventListener('click', () => this.closeTcRestampModal());
+        document.getElementById('tc-restamp-apply-btn').addEventListener('click', () => this.applyTcRestamp());
+        document.querySelectorAll('#tc-restamp-modal input, #tc-restamp-modal select').forEach(input => {
+            input.addEventListener(input.type === 'text' ? 'input' : 'change', () => this.updateTcRestampPreview());
+        });
+
+        // Find & Replace controls
+        document.getElementById('find-replace-close-btn').addEventListener('click', () => this.closeFindReplaceModal());
+        document.getElementById('find-replace-cancel-btn').addEventListener('click', () => this.closeFindReplaceModal());
+        document.getElementById('find-replace-apply-btn').addEventListener('click', () => this.applyFindReplace());
+        document.querySelectorAll('#find-replace-modal input').forEach(input => {
+            input.addEventListener(input.type === 'text' ? 'input' : 'change', () => this.updateFindReplacePreview());
+        });
+
+        // Batch edit templates
+        document.getElementById('batch-template-select').addEventListener('change', (e) => this.applyBatchTemplate(e.target.value));
+        document.getElementById('batch-template-save-btn').addEventListener('click', () => this.saveBatchTemplateAs());
+        document.getElementById('batch-template-delete-btn').addEventListener('click', () => this.deleteBatchTemplate());
+        document.getElementById('batch-template-import-btn').addEventListener('click', () => this.importBatchTemplates());
+        document.getElementById('batch-template-export-btn').addEventListener('click', () => this.exportBatchTemplates());
+
         // Delete confirmation modal controls
         document.getElementById('delete-modal-close-btn').addEventListener('click', () => this.closeDeleteConfirmModal());
         document.getElementById('delete-cancel-btn').addEventListener('click', () => this.closeDeleteConfirmModal());
@@ -243,6 +280,7 @@ class App {
         // Tab switching
         document.getElementById('ixml-tab-btn').addEventListener('click', () => this.switchToIXMLTab());
         document.getElementById('bext-tab-btn').addEventListener('click', () => this.switchToBEXTTab());
+        document.getElementById('chunks-tab-btn').addEventListener('click', () => this.switchToChunksTab());
         document.getElementById('tools-tab-btn').addEventListener('click', () => this.switchToToolsTab());
 
         // Tools tab buttons
@@ -253,6 +291,10 @@ class App {
             }
         });
         document.getElementById('repair-ixml-modal-btn').addEventListener('click', () => this.handleRepairIXML());
+        document.getElementById('convert-rf64-btn').addEventListener('click', () => this.handleConvertContainer('RF64'));
+        document.getElementById('convert-riff-btn').addEventListener('click', () => this.handleConvertContainer('RIFF'));
+        document.getElementById('restamp-nominal-btn').addEventListener('click', () => this.handleRestampNominal());
+        document.getElementById('bext-apply-btn').addEventListener('click', () => this.applyBextFields());
 
         // Close modal on outside click
         document.getElementById('batch-edit-modal').addEventListener('click', (e) => {
@@ -320,6 +362,51 @@ class App {
             }
         });
 
+        // Track List controls
+        document.getElementById('track-list-btn').addEventListener('click', () => this.openTrackListModal());
+        document.getElementById('convert-bwf-btn').addEventListener('click', () => this.handleConvertToBWF());
+        document.getElementById('track-list-close-btn').addEventListener('click', () => this.closeTrackListModal());
+        document.getElementById('track-list-cancel-btn').addEventListener('click', () => this.closeTrackListModal());
+        document.getElementById('track-list-apply-btn').addEventListener('click', () => this.applyTrackListEdit());
+        document.getElementById('track-list-modal').addEventListener('click', (e) => {
+            if (e.target.id === 'track-list-modal') {
+                this.closeTrackListModal();
+            }
+        });
+
+        // QC Lint controls
+        document.getElementById('qc-lint-btn').addEventListener('click', () => this.runQcLint());
+        document.getElementById('qc-lint-rerun-btn').addEventListener('click', () => this.runQcLint());
+        document.getElementById('qc-lint-close-btn').addEventListener('click', () => this.closeQcLintModal());
+        document.getElementById('qc-lint-ok-btn').addEventListener('click', () => this.closeQcLintModal());
+        document.getElementById('qc-lint-modal').addEventListener('click', (e) => {
+            if (e.target.id === 'qc-lint-modal') {
+                this.closeQcLintModal();
+            }
+        });
+        document.querySelectorAll('.qc-lint-table th[data-sort]').forEach(th => {
+            th.addEventListener('click', () => this.sortQcLint(th.dataset.sort));
+        });
+
+        // Metadata sheet (CSV/JSON) export and import
+        document.getElementById('export-metadata-btn').addEventListener('click', () => this.exportMetadataSheet());
+        document.getElementById('import-metadata-btn').addEventListener('click', () => this.importMetadataSheet());
+        document.getElementById('export-timeline-btn').addEventListener('click', () => this.exportTimeline());
+        document.getElementById('metadata-import-close-btn').addEventListener('click', () => this.closeMetadataImportModal());
+        document.getElementById('metadata-import-cancel-btn').addEventListener('click', () => this.closeMetadataImportModal());
+        document.getElementById('metadata-import-apply-btn').addEventListener('click', () => this.applyMetadataImport());
+
+        // Compare controls
+        document.getElementById('compare-btn').addEventListener('click', () => this.openCompareModal());
+        document.getElementById('compare-close-btn').addEventListener('click', () => this.closeCompareModal());
+        document.getElementById('compare-ok-btn').addEventListener('click', () => this.closeCompareModal());
+        document.getElementById('compare-diff-only').addEventListener('change', () => this.renderCompare());
+        document.getElementById('compare-modal').addEventListener('click', (e) => {
+            if (e.target.id === 'compare-modal') {
+                this.closeCompareModal();
+            }
+        });
+
         // Export controls
         document.getElementById('export-btn').addEventListener('click', () => this.openExportModal());
         document.getElementById('cancel-export-btn').addEventListener('click', () => this.closeExportModal());
@@ -337,6 +424,7 @@ class App {
             const format = e.target.value;
             document.getElementById('wav-options').style.display = format === 'wav' ? 'block' : 'none';
             document.getElementById('mp3-options').style.display = format === 'mp3' ? 'block' : 'none';
+            document.getElementById('flac-options').style.display = format === 'flac' ? 'block' : 'none';
         });
 
         // Export TC Range controls
@@ -411,6 +499,24 @@ class App {
             localStorage.setItem('autoGroupSiblings', this.autoGroupEnabled);
         });
 
+        // Overlap grouping toggle and threshold
+        const settingsOverlapCheckbox = document.getElementById('group-overlap-toggle-settings');
+        const settingsOverlapInput = document.getElementById('group-overlap-percent-settings');
+
+        settingsOverlapCheckbox.checked = this.groupOverlapEnabled;
+        settingsOverlapCheckbox.addEventListener('change', (e) => {
+            this.groupOverlapEnabled = e.target.checked;
+            localStorage.setItem('groupOverlapEnabled', this.groupOverlapEnabled);
+        });
+
+        settingsOverlapInput.value = this.groupOverlapPercent;
+        settingsOverlapInput.addEventListener('change', (e) => {
+            const value = parseInt(e.target.value, 10);
+            this.groupOverlapPercent = Number.isNaN(value) ? 90 : Math.min(100, Math.max(1, value));
+            e.target.value = this.groupOverlapPercent;
+            localStorage.setItem('groupOverlapPercent', this.groupOverlapPercent);
+        });
+
         // Allow diagnostics access toggle
         const settingsAllowDiagnosticsCheckbox = document.getElementById('allow-diagnostics-toggle-settings');
         
@@ -421,6 +527,18 @@ class App {
             this.updateDiagnosticsButtonVisibility();
         });
 
+        // Metadata padding
+        const settingsPaddingInput = document.getElementById('metadata-padding-settings');
+
+        settingsPaddingInput.value = this.metadataPaddingKB;
+        settingsPaddingInput.addEventListener('change', (e) => {
+            const value = parseInt(e.target.value, 10);
+            this.metadataPaddingKB = Number.isNaN(value) ? 4 : Math.min(1024, Math.max(0, value));
+            e.target.value = this.metadataPaddingKB;
+            this.metadataHandler.metadataPadding = this.metadataPaddingKB * 1024;
+            localStorage.setItem('metadataPaddingKB', this.metadataPaddingKB);
+        });
+
         // Mixer save/load controls
         document.getElementById('mute-all-btn').addEventListener('click', () => this.mixer.toggleMuteAll());
         document.getElementById('arm-all-btn').addEventListener('click', () => this.mixer.toggleArmAll());
@@ -1364,13 +1482,171 @@ class App {
         }
     }
 
+    /**
+     * Order two files by iXML FILE_SET_INDEX, falling back to filename
+     * @param {Object} a - Metadata of the first file
+     * @param {Object} b - Metadata of the second file
+     * @returns {number} Sort comparison result
+     */
+    compareFileSetOrder(a, b) {
+        const indexA = a.fileSet?.fileSetIndex || '';
+        const indexB = b.fileSet?.fileSetIndex || '';
+        return indexA.localeCompare(indexB, undefined, { numeric: true, sensitivity: 'base' }) ||
+            a.filename.localeCompare(b.filename, undefined, { numeric: true, sensitivity: 'base' });
+    }
+
+    /**
+     * Split entries into iXML FILE_SET families (2+ files sharing a FAMILY_UID) and the rest
+     * @param {Array} entries - Entries to bucket
+     * @param {Function} getMetadata - Returns the metadata of an entry
+     * @returns {Object} { families: Array<Array>, rest: Array }
+     */
+    bucketByFileSet(entries, getMetadata) {
+        const byFamily = new Map();
+        const rest = [];
+
+        for (const entry of entries) {
+            const familyUid = getMetadata(entry).fileSet?.familyUid;
+            if (!familyUid) {
+                rest.push(entry);
+                continue;
+            }
+            if (!byFamily.has(familyUid)) byFamily.set(familyUid, []);
+            byFamily.get(familyUid).push(entry);
+        }
+
+        const families = [];
+        for (const members of byFamily.values()) {
+            if (members.length > 1) {
+                members.sort((a, b) => this.compareFileSetOrder(getMetadata(a), getMetadata(b)));
+                families.push(members);
+            } else {
+                rest.push(members[0]);
+            }
+        }
+
+        return { families, rest };
+    }
+
+    /**
+     * Timecode range of a file in seconds since midnight
+     * @param {Object} metadata - File metadata
+     * @returns {Object|null} { start, end } or null if timeReference/duration is unknown
+     */
+    getTimecodeRange(metadata) {
+        if (metadata.timeReference === undefined || !metadata.sampleRate || !metadata.durationSec) return null;
+        const tcRate = this.metadataHandler.timecodeSampleRate(metadata);
+        const start = Number(metadata.timeReference) / tcRate;
+        return { start, end: start + metadata.durationSec * metadata.sampleRate / tcRate };
+    }
+
+    /**
+     * Cluster entries whose timecode ranges overlap by at least groupOverlapPercent
+     * of the shorter file. A file joins a cluster only if it overlaps every member,
+     * so back-to-back takes are never chained together.
+     * @param {Array} entries - Entries to cluster
+     * @param {Function} getMetadata - Returns the metadata of an entry
+     * @returns {Object} { clusters: Array<Array>, rest: Array }
+     */
+    clusterByTimecodeOverlap(entries, getMetadata) {
+        const minRatio = this.groupOverlapPercent / 100;
+        const rest = [];
+        const ranged = [];
+
+        for (const entry of entries) {
+            const range = this.getTimecodeRange(getMetadata(entry));
+            if (range) ranged.push({ entry, range });
+            else rest.push(entry);
+        }
+        ranged.sort((a, b) => a.range.start - b.range.start);
+
+        const overlapRatio = (a, b) => {
+            const overlap = Math.min(a.end, b.end) - Math.max(a.start, b.start);
+            const shorter = Math.min(a.end - a.start, b.end - b.start);
+            return overlap > 0 && shorter > 0 ? overlap / shorter : 0;
+        };
+
+        const candidates = [];
+        for (const item of ranged) {
+            const cluster = candidates.find(members =>
+                members.every(member => overlapRatio(member.range, item.range) >= minRatio)
+            );
+            if (cluster) cluster.push(item);
+            else candidates.push([item]);
+        }
+
+        const clusters = [];
+        for (const members of candidates) {
+            if (members.length > 1) {
+                clusters.push(members.map(m => m.entry));
+            } else {
+                rest.push(members[0].entry);
+            }
+        }
+
+        return { clusters, rest };
+    }
+
+    /**
+     * Build a sibling group from files matched by FILE_SET or timecode overlap
+     * @param {Array} siblings - Ordered file items
+     * @param {Object} options - { tcOverlap: true when the files were matched by overlapping TC ranges only }
+     * @returns {Object} Group item
+     */
+    buildSiblingGroup(siblings, { tcOverlap = false } = {}) {
+        const baseName = this.getCommonBaseName(siblings.map(s => s.metadata.filename));
+        const trackNames = siblings.map((s, idx) => {
+            if (s.metadata.trackNames && s.metadata.trackNames.length > 0 && s.metadata.trackNames[0]) {
+                return s.metadata.trackNames[0];
+            }
+            return `Ch${idx + 1}`;
+        });
+
+        return {
+            isGroup: true,
+            siblings: siblings,
+            metadata: {
+                ...siblings[0].metadata,
+                filename: `${baseName}_X.wav`,
+                channels: siblings.reduce((sum, s) => sum + (s.metadata.channels || 1), 0),
+                trackNames: trackNames
+            },
+            // Overlap clusters may span recorders, so their TC is not synced on save
+            tcOverlap: tcOverlap,
+            // Keep reference to first file for compatibility
+            handle: siblings[0].handle,
+            file: siblings[0].file
+        };
+    }
+
     groupFiles(items) {
         const buckets = new Map();
+        const result = [];
+        const getMetadata = item => item.metadata;
+
+        // 0. iXML FILE_SET is authoritative: files sharing a FAMILY_UID were rolled together
+        const { families, rest } = this.bucketByFileSet(items, getMetadata);
+        for (const family of families) {
+            console.log(`[Grouping] FILE_SET family ${family[0].metadata.fileSet.familyUid}: ${family.length} files`);
+            result.push(this.buildSiblingGroup(family));
+        }
+
+        // Optional: group by overlapping timecode ranges instead of exact duration
+        let remaining = rest;
+        if (this.groupOverlapEnabled) {
+            const overlap = this.clusterByTimecodeOverlap(rest, getMetadata);
+            for (const cluster of overlap.clusters) {
+                cluster.sort((a, b) => this.compareFileSetOrder(a.metadata, b.metadata));
+                console.log(`[Grouping] TC overlap cluster: ${cluster.map(c => c.metadata.filename).join(', ')}`);
+                result.push(this.buildSiblingGroup(cluster, { tcOverlap: true }));
+            }
+            remaining = overlap.rest;
+        }
 
         // 1. Bucket by Scene + Take + Duration (metadata-based) OR Duration + TimeReference (fallback)
         // Duration is reliable because same take = same duration, regardless of channel count
         // (LR and ISO files have different channel counts but identical duration and timeReference)
-        for (const item of items) {
+        for (const item of remaining) {
             let key;
             
             // Try to group by scene + take + duration first (most reliable for production workflows)
@@ -1392,8 +1668,6 @@ class App {
             buckets.get(key).push(item);
         }
 
-        const result = [];
-
         // 2. Process buckets
         for (const [key, bucket] of buckets) {
             if (bucket.length === 1) {
@@ -1488,11 +1762,11 @@ class App {
         
         // Add indicator for large files that can't be edited
         const item = this.files[index];
-        const isLargeFile = item.file && item.file.size > 2 * 1024 * 1024 * 1024;
+        const isLargeFile = this.isLargeFileLocked(item);
         if (isLargeFile) {
             const fileSizeGB = (item.file.size / 1024 / 1024 / 1024).toFixed(2);
             tr.style.opacity = '0.7';
-            tr.title = `Large file (${fileSizeGB} GB) - Metadata editing not supported (browser memory limitation)`;
+            tr.title = `Large file (${fileSizeGB} GB) - Metadata editing not supported (browser memory limitation; no JUNK/PAD space to write metadata in place)`;
         }
 
         const createCell = (key, val, editable = true) => {
@@ -1509,7 +1783,7 @@ class App {
                 select.className = 'fps-select';
                 select.dataset.fileIndex = index;
 
-                const fpsOptions = ['23.98', '24', '25', '29.97', '29.97df', '30', '48', '50', '59.94', '60'];
+                const fpsOptions = ['23.98', '24', '25', '29.97', '29.97df', '30', '48', '50', '59.94', '59.94df', '60'];
                 fpsOptions.forEach(fps => {
                     const option = document.createElement('option');
                     option.value = fps;
@@ -1543,10 +1817,12 @@ class App {
                 input.placeholder = 'HH:MM:SS:FF';
                 input.dataset.fileIndex = index;
 
-                // Validation on blur
+                // Validation on blur (against the pending FPS edit, if any)
                 input.addEventListener('blur', (e) => {
                     const value = e.target.value;
-                    if (this.validateTimecode(value)) {
+                    const pendingFps = this.pendingEdits?.[parseInt(e.target.dataset.fileIndex)]?.fps;
+                    const fpsExact = pendingFps ? this.metadataHandler.fpsToExact(pendingFps) : metadata.fpsExact;
+                    if (this.validateTimecode(value, fpsExact)) {
                         const idx = parseInt(e.target.dataset.fileIndex);
                         if (!this.pendingEdits) this.pendingEdits = {};
                         if (!this.pendingEdits[idx]) this.pendingEdits[idx] = {};
@@ -1559,7 +1835,9 @@ class App {
                         }
                     } else {
                         e.target.classList.add('invalid');
-                        alert('Invalid timecode format. Please use HH:MM:SS:FF (e.g., 01:23:45:12)');
+                        alert(this.metadataHandler.isDropFrame(fpsExact)
+                            ? 'Invalid drop-frame timecode. Please use HH:MM:SS;FF (e.g., 01:23:45;12). Frames 00-01 (00-03 at 59.94) don\'t exist at the start of minutes not divisible by 10.'
+                            : 'Invalid timecode format. Please use HH:MM:SS:FF (e.g., 01:23:45:12)');
                         e.target.value = val || '00:00:00:00';
                     }
                 });
@@ -1610,7 +1888,8 @@ class App {
         };
 
         // Create all cells in original order (Draggable)
-        // Indices: 0: Channels, 1: BitDepth, 2: SampleRate, 3: Filename, 4: Format, 5: Scene, 6: Take, 7: Duration, 8: TCStart, 9: FPS, 10: FileSize, 11: Tape, 12: Project, 13: EndTC, 14: Notes
+        // Indices: 0: Channels, 1: BitDepth, 2: SampleRate, 3: Filename, 4: Format, 5: Scene, 6: Take, 7: Duration, 8: TCStart, 9: FPS, 10: FileSize, 11: Tape, 12: Project, 13: EndTC, 14: Notes,
+        // 15: Circled, 16: FalseStart, 17: WildTrack, 18: NoGood
         
         // Format channel display with Mono/Poly indicator
         const channelCount = metadata.channels || 0;
@@ -1626,7 +1905,8 @@ class App {
         const cells = [];
         cells[0] = createCell('channels', channelDisplay, false);
         cells[1] = createCell('bitDepth', metadata.bitDepth ? metadata.bitDepth : '', false);
-        cells[2] = createCell('sampleRate', metadata.sampleRate ? (metadata.sampleRate / 1000) + 'k' : '', false);
+        cells[2] = createCell('sampleRate', this.formatSampleRate(metadata), false);
+        cells[2].title = this.describePull(metadata);
         
         // Special handling for filename cell - add expand/collapse icon for sibling groups
         const filenameCell = document.createElement('td');
@@ -1696,6 +1976,31 @@ class App {
         cells[13] = createCell('endTC', this.calculateEndTC(metadata), false);
         cells[14] = createCell('notes', metadata.notes);
 
+        // Take flag toggles (iXML CIRCLED / FALSE_START / WILD_TRACK / NO_GOOD)
+        const createFlagCell = (key) => {
+            const td = document.createElement('td');
+            td.className = 'flag-cell';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'flag-checkbox';
+            checkbox.checked = !!metadata[key];
+            checkbox.disabled = isLargeFile;
+            checkbox.addEventListener('change', (e) => {
+                this.updateMetadata(index, key, e.target.checked);
+                tr.classList.toggle('circled-row', !!this.files[index].metadata.circled);
+            });
+            td.appendChild(checkbox);
+            return td;
+        };
+        cells[15] = createFlagCell('circled');
+        cells[16] = createFlagCell('falseStart');
+        cells[17] = createFlagCell('wildTrack');
+        cells[18] = createFlagCell('noGood');
+
+        if (metadata.circled) {
+            tr.classList.add('circled-row');
+        }
+
         // Append in current column order
         this.columnOrder.forEach(colIndex => {
             if (cells[colIndex]) {
@@ -1844,7 +2149,8 @@ class App {
             
             cells[0] = createCell(childChannelDisplay);
             cells[1] = createCell(childMetadata.bitDepth ? childMetadata.bitDepth : '');
-            cells[2] = createCell(childMetadata.sampleRate ? (childMetadata.sampleRate / 1000) + 'k' : '');
+            cells[2] = createCell(this.formatSampleRate(childMetadata));
+            cells[2].title = this.describePull(childMetadata);
             
             // Filename with indentation
             const filenameCell = document.createElement('td');
@@ -1869,6 +2175,10 @@ class App {
             cells[12] = createCell(childMetadata.project);
             cells[13] = createCell(this.calculateEndTC(childMetadata));
             cells[14] = createCell(childMetadata.notes);
+            cells[15] = createCell(childMetadata.circled ? '✓' : '');
+            cells[16] = createCell(childMetadata.falseStart ? '✓' : '');
+            cells[17] = createCell(childMetadata.wildTrack ? '✓' : '');
+            cells[18] = createCell(childMetadata.noGood ? '✓' : '');
             
             // Append cells in column order
             this.columnOrder.forEach(colIndex => {
@@ -1892,16 +2202,25 @@ class App {
         childRows.forEach(row => row.remove());
     }
 
-    validateTimecode(tc) {
-        // Validate HH:MM:SS:FF format
-        const pattern = /^([0-9]{2}):([0-5][0-9]):([0-5][0-9]):([0-9]{2})$/;
-        return pattern.test(tc);
+    validateTimecode(tc, fpsExact = null) {
+        // Validate HH:MM:SS:FF format (';' before the frames is accepted for drop-frame)
+        const pattern = /^([0-9]{2}):([0-5][0-9]):([0-5][0-9])[:;]([0-9]{2})$/;
+        const match = pattern.exec(tc);
+        if (!match) return false;
+        if (!fpsExact) return true;
+
+        const [, , minutes, seconds, frames] = match.map(Number);
+        if (frames >= Math.round(fpsExact.numerator / fpsExact.denominator)) return false;
+
+        // Drop-frame skips the first frame numbers of each minute except every 10th
+        const drop = this.metadataHandler.dropFramesPerMinute(fpsExact);
+        return !(drop > 0 && seconds === 0 && minutes % 10 !== 0 && frames < drop);
     }
 
     parseTimecodeToSeconds(timecode) {
         // Parse HH:MM:SS:FF or HH:MM:SS format to seconds (ignoring frames)
         if (!timecode) return 0;
-        const parts = timecode.split(':');
+        const parts = timecode.split(/[:;]/);
         if (parts.length < 3) return 0;
         
         const hours = parseInt(parts[0]) || 0;
@@ -1921,19 +2240,22 @@ class App {
         // Get FPS exact fraction
         const fpsExact = metadata.fpsExact || { numerator: 24, denominator: 1 };
 
+        // Timecode runs at the timestamp rate (differs from the fmt rate for pull-up/down files)
+        const tcRate = this.metadataHandler.timecodeSampleRate(metadata);
+
         // Convert Start TC to samples
         const startSamples = this.metadataHandler.tcToSamples(
             metadata.tcStart,
-            metadata.sampleRate,
+            tcRate,
             fpsExact
         );
 
-        // Add duration in samples
+        // Add duration in samples (one timestamp sample per audio frame)
         const durationSamples = Math.round(metadata.durationSec * metadata.sampleRate);
         const endSamples = startSamples + durationSamples;
 
         // Convert back to timecode
-        const endTC = this.metadataHandler.samplesToTC(endSamples, metadata.sampleRate, fpsExact);
+        const endTC = this.metadataHandler.samplesToTC(endSamples, tcRate, fpsExact);
 
         return endTC;
     }
@@ -1953,7 +2275,14 @@ class App {
         // Convert HH:MM:SS:FF to seconds, accounting for frame rate
         // This is frame-accurate, unlike parseTimecodeToSeconds which drops frames
         if (!timecode) return 0;
-        const parts = timecode.split(':');
+
+        // Drop-frame labels skip frame numbers, so go through the frame count
+        if (this.metadataHandler.isDropFrame(fpsExact)) {
+            const totalFrames = this.metadataHandler.tcToFrames(timecode, fpsExact);
+            return totalFrames === null ? 0 : totalFrames * fpsExact.denominator / fpsExact.numerator;
+        }
+
+        const parts = timecode.split(/[:;]/);
         if (parts.length < 3) return 0;
         
         const hours = parseInt(parts[0]) || 0;
@@ -1980,7 +2309,8 @@ class App {
         let key;
         if (typeof keyOrIndex === 'number') {
             const keyMap = [
-                'channels', 'bitDepth', 'sampleRate', 'filename', 'format', 'scene', 'take', 'duration', 'tcStart', 'fps', 'fileSize', 'tape', 'project', 'endTC', 'notes'
+                'channels', 'bitDepth', 'sampleRate', 'filename', 'format', 'scene', 'take', 'duration', 'tcStart', 'fps', 'fileSize', 'tape', 'project', 'endTC', 'notes',
+                'circled', 'falseStart', 'wildTrack', 'noGood'
             ];
             key = keyMap[keyOrIndex];
         } else {
@@ -2011,6 +2341,11 @@ class App {
                 valA = parseFloat(valA) || 0;
                 valB = parseFloat(valB) || 0;
             }
+            // Take flags sort as set/unset
+            else if (['circled', 'falseStart', 'wildTrack', 'noGood'].includes(key)) {
+                valA = valA ? 1 : 0;
+                valB = valB ? 1 : 0;
+            }
             // TC-based sort for timecode columns (convert to comparable format)
             else if (['tcStart'].includes(key)) {
                 valA = this.parseTimecodeToSeconds(valA) || 0;
@@ -2037,8 +2372,20 @@ class App {
         });
     }
 
+    /**
+     * Remember which fields were edited on a row
+     * Saving a sibling group copies only these fields onto its siblings.
+     * @param {Object} item - File entry or sibling group
+     * @param {...string} keys - Metadata keys
+     */
+    markEdited(item, ...keys) {
+        if (!item.editedFields) item.editedFields = new Set();
+        keys.forEach(key => item.editedFields.add(key));
+    }
+
     updateMetadata(index, key, value) {
         this.files[index].metadata[key] = value;
+        this.markEdited(this.files[index], key);
         // Enable save button
         document.getElementById('batch-save-btn').disabled = false;
         
@@ -2097,6 +2444,36 @@ class App {
         }
     }
 
+    /**
+     * Save the files changed by a batch edit tool
+     * The changed files become the selection and go through saveSelected. With auto-save on,
+     * they are left to the (debounced) auto-save, so they are not saved twice.
+     * @param {Iterable<number>} indices - Indices of the changed files
+     */
+    async applyAndSaveIndices(indices) {
+        this.selectedIndices = new Set(indices);
+        this.selectedChildren.clear();
+        const tbody = document.getElementById('file-list-body');
+        tbody.innerHTML = '';
+        this.files.forEach((file, i) => this.addTableRow(i, file.metadata));
+        this.updateSelectionUI();
+
+        if (this.autoSaveEnabled) {
+            this.scheduleAutoSave();
+            return;
+        }
+
+        document.body.style.cursor = 'wait';
+        try {
+            await this.saveSelected();
+        } catch (err) {
+            console.error('Error saving changes:', err);
+            alert('Error saving changes. Please try again.');
+        } finally {
+            document.body.style.cursor = 'default';
+        }
+    }
+
     showToast(message, type = 'info', duration = 2000) {
         const toast = document.getElementById('toast-notification');
         toast.textContent = message;
@@ -2112,27 +2489,20 @@ class App {
     async saveSelected() {
         if (this.selectedIndices.size === 0) return;
 
-        // Check for large files that can't be saved (>2GB browser memory limit)
+        // Files over 2GB can only be patched in place; a full rewrite would exceed browser memory
         const MAX_FILE_SIZE = 2 * 1024 * 1024 * 1024; // 2GB
         const largeFiles = [];
-        
+
+        // AIFF files are read-only; metadata is written when converting to BWF
+        const aiffFiles = [];
         for (const index of this.selectedIndices) {
             const item = this.files[index];
             const targets = item.isGroup ? item.siblings : [item];
-            
-            for (const target of targets) {
-                if (target.file.size > MAX_FILE_SIZE) {
-                    largeFiles.push({
-                        name: target.metadata.filename,
-                        size: (target.file.size / 1024 / 1024 / 1024).toFixed(2)
-                    });
-                }
-            }
+            targets.filter(t => this.isAiffItem(t)).forEach(t => aiffFiles.push(t.metadata.filename));
         }
-        
-        if (largeFiles.length > 0) {
-            const fileList = largeFiles.map(f => `• ${f.name} (${f.size} GB)`).join('\n');
-            alert(`Cannot save files larger than 2GB due to browser memory limitations:\n\n${fileList}\n\nMetadata editing is not supported for files over 2GB.`);
+
+        if (aiffFiles.length > 0) {
+            alert(`AIFF files cannot be saved in place:\n\n${aiffFiles.map(f => `• ${f}`).join('\n')}\n\nUse "Convert to BWF" to write a Broadcast WAV with the edited metadata.`);
             return;
         }
 
@@ -2146,22 +2516,16 @@ class App {
                     if (edits.fps) {
                         // Update FPS display value
                         metadata.fps = edits.fps;
+                        this.markEdited(this.files[index], 'fps', 'fpsExact');
 
-                        // Update fpsExact for calculations
-                        // Parse common frame rates
-                        if (edits.fps === '23.98') {
-                            metadata.fpsExact = { numerator: 24000, denominator: 1001 };
-                        } else if (edits.fps === '29.97' || edits.fps === '29.97nd' || edits.fps === '29.97df') {
-                            metadata.fpsExact = { numerator: 30000, denominator: 1001 };
-                        } else {
-                            const fpsNum = parseFloat(edits.fps);
-                            metadata.fpsExact = { numerator: fpsNum, denominator: 1 };
-                        }
+                        // Update fpsExact for calculations (drop-frame labels set dropFrame)
+                        metadata.fpsExact = this.metadataHandler.fpsToExact(edits.fps);
                     }
 
                     if (edits.tcStart) {
                         // Update TC Start display value
                         metadata.tcStart = edits.tcStart;
+                        this.markEdited(this.files[index], 'tcStart', 'timeReference');
 
                         // Ensure sampleRate and fpsExact are present
                         if (!metadata.sampleRate && this.files[index].metadata.sampleRate) {
@@ -2175,7 +2539,7 @@ class App {
                         if (metadata.sampleRate && metadata.fpsExact) {
                             metadata.timeReference = this.metadataHandler.tcToSamples(
                                 edits.tcStart,
-                                metadata.sampleRate,
+                                this.metadataHandler.timecodeSampleRate(metadata),
                                 metadata.fpsExact
                             );
                         }
@@ -2191,6 +2555,18 @@ class App {
             const item = this.files[index];
             const isGroup = item.isGroup;
             const targets = isGroup ? item.siblings : [item];
+            const edited = item.editedFields || new Set();
+
+            // A TC edited on a group is applied per sibling: the same TC for siblings of one recording,
+            // the same shift for TC-overlap groups (their siblings can come from different recorders)
+            const groupTcEdited = isGroup && (edited.has('tcStart') || edited.has('timeReference'));
+            const groupFpsEdited = isGroup && (edited.has('fps') || edited.has('fpsExact'));
+            const groupRate = isGroup ? this.metadataHandler.timecodeSampleRate(item.metadata) : 0;
+            const groupSeconds = groupTcEdited && groupRate ? (item.metadata.timeReference || 0) / groupRate : 0;
+            const firstSibling = isGroup ? item.siblings[0].metadata : null;
+            const shiftSeconds = groupTcEdited && item.tcOverlap
+                ? groupSeconds - (firstSibling.timeReference || 0) / this.metadataHandler.timecodeSampleRate(firstSibling)
+                : 0;
 
             totalFilesToSave += targets.length;
 
@@ -2201,15 +2577,30 @@ class App {
                 // Start with target's original metadata to preserve low-level details
                 const metadataToSave = { ...target.metadata };
 
-                // Fields to sync from the representative item (the one being edited in UI)
-                const commonFields = ['scene', 'take', 'tape', 'project', 'notes', 'date', 'fps', 'fpsExact', 'tcStart', 'timeReference'];
+                // Fields to sync from the representative item (the one being edited in UI);
+                // a group only passes on the fields edited on its row, and its TC is handled below
+                const commonFields = ['scene', 'take', 'tape', 'project', 'notes', 'date', 'fps', 'fpsExact', 'tcStart', 'timeReference', 'circled', 'falseStart', 'wildTrack', 'noGood'];
 
                 commonFields.forEach(key => {
-                    if (item.metadata[key] !== undefined) {
-                        metadataToSave[key] = item.metadata[key];
-                    }
+                    if (item.metadata[key] === undefined) return;
+                    if (isGroup && (!edited.has(key) || key === 'tcStart' || key === 'timeReference')) return;
+                    metadataToSave[key] = item.metadata[key];
                 });
 
+                if (groupTcEdited || groupFpsEdited) {
+                    const rate = this.metadataHandler.timecodeSampleRate(metadataToSave);
+                    const fpsExact = metadataToSave.fpsExact || { numerator: 24, denominator: 1 };
+                    let timeReference = metadataToSave.timeReference || 0;
+                    if (groupTcEdited && item.tcOverlap) {
+                        const day = this.metadataHandler.tcToSamples('24:00:00:00', rate, fpsExact);
+                        timeReference = (((timeReference + Math.round(shiftSeconds * rate)) % day) + day) % day;
+                    } else if (groupTcEdited) {
+                        timeReference = Math.round(groupSeconds * rate);
+                    }
+                    metadataToSave.timeReference = timeReference;
+                    metadataToSave.tcStart = this.metadataHandler.samplesToTC(timeReference, rate, fpsExact);
+                }
+
                 // Handle Track Names
                 if (isGroup) {
                     // For groups, map specific track index to this sibling
@@ -2226,10 +2617,24 @@ class App {
                 try {
                     console.log(`Saving file: ${target.metadata.filename} (Group: ${isGroup})`);
 
-                    const newBlob = await this.metadataHandler.saveWav(target.file, metadataToSave);
+                    // WAV metadata is patched in place when it fits in the existing chunks and padding
+                    const savedInPlace = target.handle.kind === 'file' && this.isWavItem(target) &&
+                        await this.metadataHandler.saveWavInPlace(target.handle, target.file, metadataToSave);
+
+                    if (!savedInPlace && target.file.size > MAX_FILE_SIZE) {
+                        largeFiles.push({
+                            name: target.metadata.filename,
+                            size: (target.file.size / 1024 / 1024 / 1024).toFixed(2)
+                        });
+                        continue;
+                    }
+
+                    const newBlob = savedInPlace ? null : target.metadata.format === 'FLAC'
+                        ? await this.metadataHandler.saveFlac(target.file, { ...target.metadata, ...metadataToSave })
+                        : await this.metadataHandler.saveWav(target.file, metadataToSave);
 
                     if (target.handle.kind === 'file') {
-                        const success = await this.fileIO.saveFile(target.handle, newBlob);
+                        const success = savedInPlace || await this.fileIO.saveFile(target.handle, newBlob);
                         if (success) {
                             successCount++;
                             // Refresh the file object from the handle
@@ -2257,6 +2662,8 @@ class App {
                     console.error('Error saving file:', target.metadata.filename, err);
                 }
             }
+
+            delete item.editedFields;
         }
 
         // Clear pending edits
@@ -2282,6 +2689,11 @@ class App {
                 currentTimecode.textContent = this.secondsToTimecode(0);
             }
         }
+
+        if (largeFiles.length > 0) {
+            const fileList = largeFiles.map(f => `• ${f.name} (${f.size} GB)`).join('\n');
+            alert(`Cannot save files larger than 2GB due to browser memory limitations:\n\n${fileList}\n\nThe new metadata does not fit in the space reserved in these files, and rewriting them is not supported for files over 2GB.`);
+        }
     }
 
     removeSelected() {
@@ -2514,6 +2926,7 @@ class App {
         };
         
         safeSetDisabled('batch-edit-btn', !hasSelection);
+        safeSetDisabled('find-replace-btn', this.files.length === 0);
         this.updateSaveButtonState();
         safeSetDisabled('batch-remove-btn', !hasSelection);
         safeSetDisabled('batch-delete-btn', !hasSelection);
@@ -2537,9 +2950,24 @@ class App {
         safeSetDisabled('auto-group-btn', !hasSelection && !hasUngroupedFiles && !canUngroup);
         
         safeSetDisabled('diagnostics-btn', this.selectedIndices.size !== 1 || this.selectedChildren.size > 0);
+        safeSetDisabled('qc-lint-btn', this.files.length === 0);
+        safeSetDisabled('compare-btn', !this.getCompareIndices());
+        safeSetDisabled('export-metadata-btn', this.files.length === 0);
+        safeSetDisabled('import-metadata-btn', this.files.length === 0);
+        safeSetDisabled('export-timeline-btn', !hasSelection);
         safeSetDisabled('corrupt-ixml-modal-btn', this.selectedIndices.size !== 1);
         safeSetDisabled('normalize-btn', !hasSelection);
         safeSetDisabled('rename-btn', !hasSelection);
+        safeSetDisabled('tc-restamp-btn', !hasSelection);
+        const trackListTarget = this.selectedIndices.size === 1 && this.selectedChildren.size === 0
+            ? this.files[Array.from(this.selectedIndices)[0]]
+            : null;
+        safeSetDisabled('track-list-btn', !trackListTarget || trackListTarget.isGroup);
+        const hasAiffSelected = Array.from(this.selectedIndices).some(idx => {
+            const item = this.files[idx];
+            return item.isGroup ? item.siblings.some(s => this.isAiffItem(s)) : this.isAiffItem(item);
+        });
+        safeSetDisabled('convert-bwf-btn', !hasAiffSelected);
         safeSetDisabled('export-btn', !hasSelection);
         safeSetDisabled('save-mix-btn', this.selectedIndices.size !== 1);
         safeSetDisabled('load-mix-btn', this.selectedIndices.size !== 1);
@@ -2701,6 +3129,21 @@ class App {
         }
         safeSetDisabled('repair-ixmlbtn', !needsRepair);
         safeSetDisabled('repair-ixml-modal-btn', !needsRepair);
+
+        // Enable container conversion if any selected file is a WAV/RF64
+        const hasWavSelected = Array.from(this.selectedIndices).some(index => this.isWavItem(this.files[index]));
+        safeSetDisabled('convert-rf64-btn', !hasWavSelected);
+        safeSetDisabled('convert-riff-btn', !hasWavSelected);
+
+        // Enable re-stamping if any selected WAV (or group member) was pulled up/down and not re-stamped yet
+        const needsRestamp = Array.from(this.selectedIndices).some(index => {
+            const item = this.files[index];
+            return (item.isGroup ? item.siblings : [item]).some(target => {
+                const pull = this.isWavItem(target) && this.metadataHandler.pullInfo(target.metadata);
+                return pull && !pull.restamped;
+            });
+        });
+        safeSetDisabled('restamp-nominal-btn', !needsRestamp);
         
         // Enable split button if exactly one poly file is selected (not a sibling group)
         safeSetDisabled('split-btn', !isPolySelected);
@@ -2709,6 +3152,47 @@ class App {
         this.updateSidebar();
     }
 
+    /**
+     * Recorder label for the sidebar: detected bEXT dialect, Originator model and firmware
+     * @param {Object} metadata - File metadata
+     * @returns {string} e.g. "Zoom F-series (ZOOM F8n, v2.40)"
+     */
+    formatRecorder(metadata) {
+        const originator = (metadata.originator || '').trim();
+        const swver = this.metadataHandler.getDescriptionTag(metadata.bextTags, 'SWVER');
+        const details = [];
+        if (originator && originator !== metadata.recorder) details.push(originator);
+        if (swver && swver.trim()) details.push(`v${swver.trim().replace(/^v/i, '')}`);
+
+        if (!metadata.recorder) return details.join(', ');
+        return details.length > 0 ? `${metadata.recorder} (${details.join(', ')})` : metadata.recorder;
+    }
+
+    /**
+     * Sample rate for the file list, with an arrow for pull-up (↑) or pull-down (↓) recordings
+     * @param {Object} metadata - File metadata
+     * @returns {string} e.g. "48k ↑"
+     */
+    formatSampleRate(metadata) {
+        if (!metadata.sampleRate) return '';
+        const pull = this.metadataHandler.pullInfo(metadata);
+        const arrow = pull ? (pull.direction === 'up' ? ' ↑' : ' ↓') : '';
+        return (metadata.sampleRate / 1000) + 'k' + arrow;
+    }
+
+    /**
+     * Tooltip explaining a pull-up/pull-down recording
+     * @param {Object} metadata - File metadata
+     * @returns {string} Description, or '' for a standard-rate recording
+     */
+    describePull(metadata) {
+        const pull = this.metadataHandler.pullInfo(metadata);
+        if (!pull) return '';
+        const tcRate = this.metadataHandler.timecodeSampleRate(metadata);
+        return `${pull.label}: captured at ${pull.captureRate} Hz, file plays at ${metadata.sampleRate} Hz, ` +
+            `timecode counts at ${tcRate} Hz` + (pull.restamped ? ' (re-stamped)' : '');
+    }
+
     updateSidebar() {
         const sidebarContent = document.getElementById('sidebar-content');
         if (!sidebarContent) return;
@@ -2776,7 +3260,7 @@ class App {
                         </div>` : ''}
                         ${metadata.sampleRate ? `<div class="sidebar-detail-row">
                             <span class="sidebar-detail-label">Sample Rate:</span>
-                            <span class="sidebar-detail-value">${metadata.sampleRate} Hz</span>
+                            <span class="sidebar-detail-value">${metadata.sampleRate} Hz${this.metadataHandler.pullInfo(metadata) ? ` <span class="pull-indicator" title="${this.escapeHtml(this.describePull(metadata))}">${this.metadataHandler.pullInfo(metadata).label}</span>` : ''}</span>
                         </div>` : ''}
                         ${metadata.bitDepth ? `<div class="sidebar-detail-row">
                             <span class="sidebar-detail-label">Bit Depth:</span>
@@ -2804,6 +3288,10 @@ class App {
                                 <option value="60" ${metadata.fps === '60' ? 'selected' : ''}>60</option>
                             </select>
                         </div>` : ''}
+                        ${metadata.recorder || metadata.originator ? `<div class="sidebar-detail-row">
+                            <span class="sidebar-detail-label">Recorder:</span>
+                            <span class="sidebar-detail-value">${this.escapeHtml(this.formatRecorder(metadata))}</span>
+                        </div>` : ''}
                         ${metadata.project ? `<div class="sidebar-detail-row">
                             <span class="sidebar-detail-label">Project:</span>
                             <span class="sidebar-detail-value">${this.escapeHtml(metadata.project)}</span>
@@ -2812,6 +3300,10 @@ class App {
                             <span class="sidebar-detail-label">Tape:</span>
                             <span class="sidebar-detail-value">${this.escapeHtml(metadata.tape)}</span>
                         </div>` : ''}
+                        ${metadata.infoTags && Object.keys(metadata.infoTags).length > 0 ? `<div class="sidebar-detail-row">
+                            <span class="sidebar-detail-label">LIST-INFO:</span>
+                            <span class="sidebar-detail-value">${Object.entries(metadata.infoTags).map(([tag, value]) => `${tag}: ${this.escapeHtml(value)}`).join('<br/>')}</span>
+                        </div>` : ''}
                         ${metadata.trackNames ? `<div class="sidebar-detail-row">
                             <div style="display: flex; align-items: flex-start; gap: 0.5rem;">
                                 <span class="sidebar-detail-label">Track Names:</span>
@@ -3013,16 +3505,228 @@ class App {
         document.getElementById('selected-count').textContent = this.selectedIndices.size;
 
         // Clear form
-        document.querySelectorAll('.apply-checkbox').forEach(cb => cb.checked = false);
-        document.getElementById('batch-scene').value = '';
-        document.getElementById('batch-take').value = '';
-        document.getElementById('batch-project').value = '';
-        document.getElementById('batch-tape').value = '';
-        document.getElementById('batch-notes').value = '';
+        this.fillBatchEditForm({});
+        this.populateBatchTemplateSelect('');
 
         modal.classList.add('active');
     }
 
+    /**
+     * Read the checked batch edit fields as a template (form values, not yet applied)
+     * @returns {Object} {scene?, take?, project?, tape?, fps?, notes?, circled?..., info?: {INAM...}, trackNames?: []}
+     */
+    readBatchEditForm() {
+        const fields = {};
+
+        ['scene', 'take', 'project', 'tape', 'fps', 'notes'].forEach(key => {
+            if (document.getElementById(`apply-${key}`).checked) {
+                fields[key] = document.getElementById(`batch-${key}`).value;
+            }
+        });
+        ['circled', 'falseStart', 'wildTrack', 'noGood'].forEach(flag => {
+            if (document.getElementById(`apply-${flag}`).checked) {
+                fields[flag] = document.getElementById(`batch-${flag}`).value === 'true';
+            }
+        });
+
+        // LIST-INFO mappings are templates resolved per file (e.g. "{scene}/{take}")
+        ['INAM', 'IART', 'ICMT', 'ICRD', 'ISFT'].forEach(tag => {
+            if (document.getElementById(`apply-info-${tag.toLowerCase()}`).checked) {
+                fields.info = fields.info || {};
+                fields.info[tag] = document.getElementById(`batch-info-${tag.toLowerCase()}`).value;
+            }
+        });
+
+        // Track names by index; a blank line leaves that track's name alone
+        if (document.getElementById('apply-trackNames').checked) {
+            fields.trackNames = document.getElementById('batch-trackNames').value
+                .split(/\r?\n/)
+                .map(name => name.trim());
+            while (fields.trackNames.length > 0 && !fields.trackNames[fields.trackNames.length - 1]) {
+                fields.trackNames.pop();
+            }
+        }
+
+        return fields;
+    }
+
+    /**
+     * Fill the batch edit form from template fields (fields not in the template are cleared and unchecked)
+     * @param {Object} fields - Fields as returned by readBatchEditForm
+     */
+    fillBatchEditForm(fields) {
+        document.querySelectorAll('#batch-edit-modal .apply-checkbox').forEach(cb => cb.checked = false);
+        ['scene', 'take', 'project', 'tape', 'notes', 'trackNames'].forEach(key => {
+            document.getElementById(`batch-${key}`).value = '';
+        });
+        document.querySelectorAll('.batch-info-input').forEach(input => input.value = '');
+
+        ['scene', 'take', 'project', 'tape', 'notes'].forEach(key => {
+            if (typeof fields[key] === 'string') {
+                document.getElementById(`batch-${key}`).value = fields[key];
+                document.getElementById(`apply-${key}`).checked = true;
+            }
+        });
+        const fpsSelect = document.getElementById('batch-fps');
+        if (fields.fps && Array.from(fpsSelect.options).some(o => o.value === fields.fps)) {
+            fpsSelect.value = fields.fps;
+            document.getElementById('apply-fps').checked = true;
+        }
+        ['circled', 'falseStart', 'wildTrack', 'noGood'].forEach(flag => {
+            if (typeof fields[flag] === 'boolean') {
+                document.getElementById(`batch-${flag}`).value = String(fields[flag]);
+                document.getElementById(`apply-${flag}`).checked = true;
+            }
+        });
+        Object.entries(fields.info || {}).forEach(([tag, value]) => {
+            const input = document.getElementById(`batch-info-${tag.toLowerCase()}`);
+            if (input && typeof value === 'string') {
+                input.value = value;
+                document.getElementById(`apply-info-${tag.toLowerCase()}`).checked = true;
+            }
+        });
+        if (Array.isArray(fields.trackNames)) {
+            document.getElementById('batch-trackNames').value = fields.trackNames.join('\n');
+            document.getElementById('apply-trackNames').checked = true;
+        }
+    }
+
+    loadBatchTemplates() {
+        try {
+            const templates = JSON.parse(localStorage.getItem('batchEditTemplates') || '[]');
+            return Array.isArray(templates) ? templates : [];
+        } catch (err) {
+            console.warn('Ignoring unreadable batch edit templates:', err);
+            return [];
+        }
+    }
+
+    saveBatchTemplates(templates) {
+        templates.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' }));
+        localStorage.setItem('batchEditTemplates', JSON.stringify(templates));
+    }
+
+    populateBatchTemplateSelect(selectedName) {
+        const select = document.getElementById('batch-template-select');
+        select.innerHTML = '<option value="">(none)</option>' + this.loadBatchTemplates()
+            .map(t => `<option value="${this.escapeHtml(t.name)}">${this.escapeHtml(t.name)}</option>`)
+            .join('');
+        select.value = selectedName || '';
+        document.getElementById('batch-template-delete-btn').disabled = !select.value;
+    }
+
+    applyBatchTemplate(name) {
+        document.getElementById('batch-template-delete-btn').disabled = !name;
+        if (!name) return;
+        const template = this.loadBatchTemplates().find(t => t.name === name);
+        if (template) this.fillBatchEditForm(template.fields || {});
+    }
+
+    saveBatchTemplateAs() {
+        const fields = this.readBatchEditForm();
+        if (Object.keys(fields).length === 0) {
+            alert('Check the fields to include in the template first.');
+            return;
+        }
+
+        const current = document.getElementById('batch-template-select').value;
+        const name = (prompt('Template name:', current) || '').trim();
+        if (!name) return;
+
+        const templates = this.loadBatchTemplates();
+        const existing = templates.findIndex(t => t.name === name);
+        if (existing !== -1) {
+            if (!confirm(`Replace the template "${name}"?`)) return;
+            templates.splice(existing, 1);
+        }
+        templates.push({ name, fields });
+        this.saveBatchTemplates(templates);
+        this.populateBatchTemplateSelect(name);
+        this.showToast(`Template "${name}" saved`, 'success', 2000);
+    }
+
+    deleteBatchTemplate() {
+        const name = document.getElementById('batch-template-select').value;
+        if (!name || !confirm(`Delete the template "${name}"?`)) return;
+
+        this.saveBatchTemplates(this.loadBatchTemplates().filter(t => t.name !== name));
+        this.populateBatchTemplateSelect('');
+    }
+
+    async exportBatchTemplates() {
+        const templates = this.loadBatchTemplates();
+        if (templates.length === 0) {
+            alert('There are no templates to export.');
+            return;
+        }
+
+        const json = JSON.stringify({ type: 'wave-agent-x-batch-templates', version: 1, templates }, null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const suggestedName = 'batch-edit-templates.json';
+
+        try {
+            if (window.showSaveFilePicker) {
+                const handle = await window.showSaveFilePicker({
+                    suggestedName,
+                    types: [{ description: 'JSON Files', accept: { 'application/json': ['.json'] } }]
+                });
+                const writable = await handle.createWritable();
+                await writable.write(blob);
+                await writable.close();
+            } else {
+                const url = URL.createObjectURL(blob);
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = suggestedName;
+                a.click();
+                URL.revokeObjectURL(url);
+            }
+            this.showToast(`Exported ${templates.length} template${templates.length > 1 ? 's' : ''}`, 'success', 2000);
+        } catch (err) {
+            if (err.name !== 'AbortError') {
+                console.error('Template export failed:', err);
+                alert(`Failed to export templates: ${err.message}`);
+            }
+        }
+    }
+
+    async importBatchTemplates() {
+        try {
+            const [fileHandle] = await window.showOpenFilePicker({
+                types: [{
+                    description: 'JSON Files',
+                    accept: { 'application/json': ['.json'] }
+                }],
+                multiple: false
+            });
+
+            const file = await fileHandle.getFile();
+            const data = JSON.parse(await file.text());
+            // Accept an export file, a bare array of templates or a single template
+            const incoming = Array.isArray(data) ? data : (Array.isArray(data.templates) ? data.templates : [data]);
+            const valid = incoming.filter(t => t && typeof t.name === 'string' && t.name.trim() &&
+                t.fields && typeof t.fields === 'object');
+
+            if (valid.length === 0) {
+                alert('No templates found in this file.');
+                return;
+            }
+
+            // Imported templates replace local ones with the same name
+            const names = new Set(valid.map(t => t.name.trim()));
+            const templates = this.loadBatchTemplates().filter(t => !names.has(t.name));
+            valid.forEach(t => templates.push({ name: t.name.trim(), fields: t.fields }));
+            this.saveBatchTemplates(templates);
+            this.populateBatchTemplateSelect(document.getElementById('batch-template-select').value);
+            this.showToast(`Imported ${valid.length} template${valid.length > 1 ? 's' : ''}`, 'success', 2000);
+        } catch (err) {
+            if (err.name !== 'AbortError') {
+                console.error('Template import failed:', err);
+                alert(`Failed to import templates: ${err.message}`);
+            }
+        }
+    }
+
     closeBatchEditModal() {
         const modal = document.getElementById('batch-edit-modal');
         modal.classList.remove('active');
@@ -3105,35 +3809,10 @@ class App {
     }
 
     async applyBatchEdit() {
-        const updates = {};
-
-        // Collect checked fields
-        if (document.getElementById('apply-scene').checked) {
-            updates.scene = document.getElementById('batch-scene').value;
-        }
-        if (document.getElementById('apply-take').checked) {
-            updates.take = document.getElementById('batch-take').value;
-        }
-        if (document.getElementById('apply-project').checked) {
-            updates.project = document.getElementById('batch-project').value;
-        }
-        if (document.getElementById('apply-tape').checked) {
-            updates.tape = document.getElementById('batch-tape').value;
-        }
-        if (document.getElementById('apply-fps').checked) {
-            updates.fps = document.getElementById('batch-fps').value;
+        const { info: infoMappings = {}, trackNames, ...updates } = this.readBatchEditForm();
+        if (updates.fps) {
             // Also set fpsExact for iXML
-            if (updates.fps === '23.976') {
-                updates.fpsExact = { numerator: 24000, denominator: 1001 };
-            } else if (updates.fps === '29.97') {
-                updates.fpsExact = { numerator: 30000, denominator: 1001 };
-            } else {
-                const fpsNum = parseFloat(updates.fps);
-                updates.fpsExact = { numerator: fpsNum, denominator: 1 };
-            }
-        }
-        if (document.getElementById('apply-notes').checked) {
-            updates.notes = document.getElementById('batch-notes').value;
+            updates.fpsExact = this.metadataHandler.fpsToExact(updates.fps);
         }
 
         // Apply to selected files
@@ -3144,6 +3823,26 @@ class App {
                 file.metadata[key] = updates[key];
                 updateCount++;
             });
+            this.markEdited(file, ...Object.keys(updates));
+
+            // Siblings keep their own INFO tags, so resolve against each sibling's filename
+            if (Object.keys(infoMappings).length > 0) {
+                const targets = file.isGroup ? [file, ...file.siblings] : [file];
+                for (const target of targets) {
+                    const source = { ...file.metadata, filename: target.metadata.filename };
+                    const infoTags = { ...(target.metadata.infoTags || {}) };
+                    for (const [tag, template] of Object.entries(infoMappings)) {
+                        infoTags[tag] = this.resolveInfoTemplate(template, source);
+                    }
+                    target.metadata.infoTags = infoTags;
+                }
+                updateCount++;
+            }
+
+            if (trackNames && trackNames.some(name => name)) {
+                this.applyBatchTrackNames(file, trackNames);
+                updateCount++;
+            }
         }
 
         // Re-render table
@@ -3173,6 +3872,959 @@ class App {
         }
     }
 
+    /**
+     * Apply track names by index; blank entries keep the current name
+     * In a sibling group each sibling is one track.
+     * @param {Object} item - File or sibling group
+     * @param {Array<string>} trackNames - Names in track order
+     */
+    applyBatchTrackNames(item, trackNames) {
+        if (item.isGroup) {
+            item.siblings.forEach((sibling, i) => {
+                if (!trackNames[i]) return;
+                const names = [...(sibling.metadata.trackNames || [])];
+                names[0] = trackNames[i];
+                sibling.metadata.trackNames = names;
+            });
+            item.metadata.trackNames = item.siblings.map((sibling, i) =>
+                sibling.metadata.trackNames?.[0] || item.metadata.trackNames?.[i] || `Ch${i + 1}`);
+            return;
+        }
+
+        const channels = item.metadata.channels || 1;
+        const names = [...(item.metadata.trackNames || [])];
+        for (let i = 0; i < Math.min(channels, trackNames.length); i++) {
+            if (trackNames[i]) names[i] = trackNames[i];
+        }
+        item.metadata.trackNames = Array.from({ length: names.length }, (_, i) => names[i] ?? `Track ${i + 1}`);
+    }
+
+    /**
+     * Fill a LIST-INFO template such as "{scene}/{take}" from metadata
+     * Unknown placeholders are left as typed
+     */
+    resolveInfoTemplate(template, metadata) {
+        const fields = {
+            scene: metadata.scene,
+            take: metadata.take,
+            tape: metadata.tape,
+            project: metadata.project,
+            notes: metadata.notes,
+            date: metadata.date,
+            tcStart: metadata.tcStart,
+            filename: (metadata.filename || '').replace(/\.[^/.]+$/, '')
+        };
+        return template.replace(/\{(\w+)\}/g, (match, key) => key in fields ? (fields[key] || '') : match).trim();
+    }
+
+    openTcRestampModal() {
+        if (this.selectedIndices.size === 0) return;
+
+        // Groups are restamped sibling by sibling, so count files rather than rows
+        document.getElementById('tc-restamp-count').textContent = Array.from(this.selectedIndices)
+            .reduce((sum, index) => sum + (this.files[index].isGroup ? this.files[index].siblings.length : 1), 0);
+        document.getElementById('tc-restamp-offset').value = '';
+        document.getElementById('tc-restamp-start').value = '';
+        document.getElementById('tc-restamp-modal').classList.add('active');
+        this.updateTcRestampPreview();
+    }
+
+    closeTcRestampModal() {
+        document.getElementById('tc-restamp-modal').classList.remove('active');
+        this.tcRestampChanges = [];
+    }
+
+    /**
+     * Compute the new timeReference of every selected file from the TC Offset dialog
+     * Sibling groups are expanded: each sibling is restamped with its own sample rate and frame rate.
+     * @returns {Object} {changes: [{index, target, oldRef, newRef, oldStart, newStart, oldEnd, newEnd}], error?}
+     */
+    computeTcRestamp() {
+        const mode = document.querySelector('input[name="tc-restamp-mode"]:checked').value;
+        const targets = Array.from(this.selectedIndices).sort((a, b) => a - b)
+            .flatMap(index => {
+                const item = this.files[index];
+                return (item.isGroup ? item.siblings : [item]).map(target => ({ index, target }));
+            })
+            .filter(({ target }) => target.metadata.sampleRate);
+        if (targets.length === 0) return { changes: [], error: 'The selected files have no sample rate.' };
+
+        const fpsOf = metadata => metadata.fpsExact || { numerator: 24, denominator: 1 };
+        const rateOf = metadata => this.metadataHandler.timecodeSampleRate(metadata);
+        let deltaFor;
+
+        if (mode === 'offset') {
+            const unit = document.getElementById('tc-restamp-unit').value;
+            const value = document.getElementById('tc-restamp-offset').value.trim();
+            const sign = parseInt(document.getElementById('tc-restamp-sign').value, 10);
+            if (!value) return { changes: [], error: 'Enter an offset.' };
+
+            if (unit === 'tc') {
+                if (!/^\d{1,2}[:;.]\d{1,2}[:;.]\d{1,2}[:;.]\d{1,3}$/.test(value)) {
+                    return { changes: [], error: 'Enter the offset as HH:MM:SS:FF.' };
+                }
+                deltaFor = metadata => sign * this.metadataHandler.tcToSamples(value, rateOf(metadata), fpsOf(metadata));
+            } else {
+                if (!/^\d+$/.test(value)) return { changes: [], error: `Enter the offset as a whole number of ${unit}.` };
+                const amount = parseInt(value, 10);
+                deltaFor = unit === 'samples'
+                    ? () => sign * amount
+                    : metadata => {
+                        const fps = fpsOf(metadata);
+                        return sign * Math.round(amount * fps.denominator / fps.numerator * rateOf(metadata));
+                    };
+            }
+        } else {
+            const startTC = document.getElementById('tc-restamp-start').value.trim();
+            const first = targets[0].target.metadata;
+            if (!this.validateTimecode(startTC, fpsOf(first))) {
+                return { changes: [], error: 'Enter a valid start TC (HH:MM:SS:FF).' };
+            }
+            const stampFor = metadata => this.metadataHandler.tcToSamples(startTC, rateOf(metadata), fpsOf(metadata));
+
+            if (document.getElementById('tc-restamp-relative').checked) {
+                // The earliest file (in seconds) lands on the typed TC; the rest move by the same amount
+                const earliest = targets
+                    .map(({ target }) => target.metadata)
+                    .reduce((a, b) => ((b.timeReference || 0) / rateOf(b) < (a.timeReference || 0) / rateOf(a) ? b : a));
+                const shiftSeconds = stampFor(earliest) / rateOf(earliest) - (earliest.timeReference || 0) / rateOf(earliest);
+                deltaFor = metadata => Math.round(shiftSeconds * rateOf(metadata));
+            } else {
+                deltaFor = metadata => stampFor(metadata) - (metadata.timeReference || 0);
+            }
+        }
+
+        const changes = targets.map(({ index, target }) => {
+            const metadata = target.metadata;
+            const fpsExact = fpsOf(metadata);
+            // Wrap around midnight (24:00:00:00 in this file's timecode)
+            const day = this.metadataHandler.tcToSamples('24:00:00:00', rateOf(metadata), fpsExact);
+            const oldRef = metadata.timeReference || 0;
+            const newRef = (((oldRef + deltaFor(metadata)) % day) + day) % day;
+            const newStart = this.metadataHandler.samplesToTC(newRef, rateOf(metadata), fpsExact);
+            return {
+                index,
+                target,
+                oldRef,
+                newRef,
+                oldStart: metadata.tcStart || this.metadataHandler.samplesToTC(oldRef, rateOf(metadata), fpsExact),
+                newStart,
+                oldEnd: this.calculateEndTC(metadata),
+                newEnd: this.calculateEndTC({ ...metadata, tcStart: newStart })
+            };
+        });
+
+        return { changes };
+    }
+
+    updateTcRestampPreview() {
+        const mode = document.querySelector('input[name="tc-restamp-mode"]:checked').value;
+        document.getElementById('tc-restamp-offset-row').style.display = mode === 'offset' ? '' : 'none';
+        document.getElementById('tc-restamp-start-row').style.display = mode === 'restamp' ? '' : 'none';
+        document.getElementById('tc-restamp-offset').placeholder =
+            document.getElementById('tc-restamp-unit').value === 'tc' ? '00:00:00:00' : '0';
+
+        const { changes, error } = this.computeTcRestamp();
+        this.tcRestampChanges = changes;
+
+        const summary = document.getElementById('tc-restamp-summary');
+        const moved = changes.filter(c => c.newRef !== c.oldRef).length;
+        summary.textContent = error || `${moved} of ${changes.length} file${changes.length !== 1 ? 's' : ''} will change.`;
+        document.getElementById('tc-restamp-apply-btn').disabled = !!error || moved === 0;
+
+        const tbody = document.getElementById('tc-restamp-preview');
+        tbody.innerHTML = '';
+        changes.forEach(change => {
+            const tr = document.createElement('tr');
+            tr.innerHTML = `
+                <td>${this.escapeHtml(change.target.metadata.filename)}</td>
+                <td class="diff-before">${this.escapeHtml(change.oldStart)}</td>
+                <td class="diff-after">${this.escapeHtml(change.newStart)}</td>
+                <td class="diff-before">${this.escapeHtml(change.oldEnd)}</td>
+                <td class="diff-after">${this.escapeHtml(change.newEnd)}</td>
+                <td>${change.oldRef} &rarr; ${change.newRef}</td>
+            `;
+            tbody.appendChild(tr);
+        });
+    }
+
+    async applyTcRestamp() {
+        const changes = (this.tcRestampChanges || []).filter(c => c.newRef !== c.oldRef);
+        if (changes.length === 0) return;
+
+        for (const change of changes) {
+            const item = this.files[change.index];
+            if (item.isGroup) {
+                // Written to the sibling itself; the group row shows the first sibling's TC
+                change.target.metadata.timeReference = change.newRef;
+                change.target.metadata.tcStart = change.newStart;
+                if (change.target === item.siblings[0]) {
+                    item.metadata.timeReference = change.newRef;
+                    item.metadata.tcStart = change.newStart;
+                }
+            } else {
+                this.updateMetadata(change.index, 'timeReference', change.newRef);
+                this.updateMetadata(change.index, 'tcStart', change.newStart);
+            }
+            // A typed TC Start waiting to be saved would overwrite the new timeReference
+            if (this.pendingEdits?.[change.index]) {
+                delete this.pendingEdits[change.index].tcStart;
+            }
+        }
+
+        this.closeTcRestampModal();
+
+        // bEXT TimeReference and iXML TIMESTAMP_SAMPLES_SINCE_MIDNIGHT are both written from timeReference
+        await this.applyAndSaveIndices(changes.map(change => change.index));
+    }
+
+    openFindReplaceModal() {
+        if (this.files.length === 0) return;
+
+        // Default to the selection when there is one
+        const scope = this.selectedIndices.size > 0 ? 'selected' : 'all';
+        document.querySelector(`input[name="find-replace-scope"][value="${scope}"]`).checked = true;
+        document.querySelector('input[name="find-replace-scope"][value="selected"]').disabled = this.selectedIndices.size === 0;
+
+        document.getElementById('find-replace-modal').classList.add('active');
+        this.updateFindReplacePreview();
+        document.getElementById('find-replace-find').focus();
+    }
+
+    closeFindReplaceModal() {
+        document.getElementById('find-replace-modal').classList.remove('active');
+        this.findReplaceChanges = [];
+    }
+
+    /**
+     * Build the matcher for the Find & Replace dialog
+     * @returns {Object|null} {pattern: RegExp, replace: function(string): string}, null when Find is empty
+     * @throws {SyntaxError} If the regular expression is invalid
+     */
+    getFindReplaceMatcher() {
+        const find = document.getElementById('find-replace-find').value;
+        if (!find) return null;
+
+        const replacement = document.getElementById('find-replace-replace').value;
+        const useRegex = document.getElementById('find-replace-regex').checked;
+        const flags = document.getElementById('find-replace-case').checked ? 'g' : 'gi';
+        const pattern = new RegExp(useRegex ? find : find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), flags);
+
+        // Literal mode inserts the replacement as typed; regex mode expands $1, $<name>, $&
+        const replace = useRegex
+            ? value => value.replace(pattern, replacement)
+            : value => value.replace(pattern, () => replacement);
+        return { pattern, replace };
+    }
+
+    /**
+     * Collect the changes Find & Replace would make
+     * @returns {Array<Object>} {index, field, trackIndex?, before, after}
+     */
+    collectFindReplaceChanges(matcher) {
+        const fields = Array.from(document.querySelectorAll('.find-replace-field:checked')).map(cb => cb.value);
+        const scope = document.querySelector('input[name="find-replace-scope"]:checked').value;
+        const indices = scope === 'selected'
+            ? Array.from(this.selectedIndices).sort((a, b) => a - b)
+            : this.files.map((_, i) => i);
+
+        const changes = [];
+        for (const index of indices) {
+            const metadata = this.files[index].metadata;
+            for (const field of fields) {
+                if (field === 'trackNames') {
+                    (Array.isArray(metadata.trackNames) ? metadata.trackNames : []).forEach((name, trackIndex) => {
+                        const before = name || '';
+                        const after = matcher.replace(before);
+                        if (after !== before) changes.push({ index, field, trackIndex, before, after });
+                    });
+                } else {
+                    const value = metadata[field];
+                    if (value === undefined || value === null) continue;
+                    const before = String(value);
+                    const after = matcher.replace(before);
+                    if (after !== before) changes.push({ index, field, before, after });
+                }
+            }
+        }
+        return changes;
+    }
+
+    updateFindReplacePreview() {
+        const summary = document.getElementById('find-replace-summary');
+        const tbody = document.getElementById('find-replace-preview');
+        const applyBtn = document.getElementById('find-replace-apply-btn');
+        tbody.innerHTML = '';
+        this.findReplaceChanges = [];
+        applyBtn.disabled = true;
+
+        let matcher;
+        try {
+            matcher = this.getFindReplaceMatcher();
+        } catch (err) {
+            summary.textContent = `Invalid regular expression: ${err.message}`;
+            return;
+        }
+        if (!matcher) {
+            summary.textContent = 'Enter text to find.';
+            return;
+        }
+
+        const changes = this.collectFindReplaceChanges(matcher);
+        this.findReplaceChanges = changes;
+        applyBtn.disabled = changes.length === 0;
+
+        const fileCount = new Set(changes.map(c => c.index)).size;
+        summary.textContent = changes.length === 0
+            ? 'No matches.'
+            : `${changes.length} change${changes.length > 1 ? 's' : ''} in ${fileCount} file${fileCount > 1 ? 's' : ''}.`;
+
+        const fieldLabels = { scene: 'Scene', take: 'Take', notes: 'Notes', tape: 'Tape', project: 'Project' };
+        const PREVIEW_LIMIT = 500;
+        changes.slice(0, PREVIEW_LIMIT).forEach(change => {
+            const tr = document.createElement('tr');
+            const label = change.field === 'trackNames' ? `Track ${change.trackIndex + 1}` : fieldLabels[change.field];
+            tr.innerHTML = `
+                <td>${this.escapeHtml(this.files[change.index].metadata.filename)}</td>
+                <td>${label}</td>
+                <td class="diff-before">${this.escapeHtml(change.before)}</td>
+                <td class="diff-after">${this.escapeHtml(change.after)}</td>
+            `;
+            tbody.appendChild(tr);
+        });
+        if (changes.length > PREVIEW_LIMIT) {
+            summary.textContent += ` Showing the first ${PREVIEW_LIMIT}.`;
+        }
+    }
+
+    async applyFindReplace() {
+        const changes = this.findReplaceChanges || [];
+        if (changes.length === 0) return;
+
+        const changedIndices = new Set();
+        const trackNameEdits = new Map(); // index -> new trackNames array
+        for (const change of changes) {
+            changedIndices.add(change.index);
+            if (change.field === 'trackNames') {
+                if (!trackNameEdits.has(change.index)) {
+                    trackNameEdits.set(change.index, [...this.files[change.index].metadata.trackNames]);
+                }
+                trackNameEdits.get(change.index)[change.trackIndex] = change.after;
+            } else {
+                this.updateMetadata(change.index, change.field, change.after);
+            }
+        }
+        for (const [index, trackNames] of trackNameEdits) {
+            this.updateMetadata(index, 'trackNames', trackNames);
+        }
+
+        this.closeFindReplaceModal();
+
+        console.log(`Find & Replace: ${changes.length} change(s) in ${changedIndices.size} file(s)`);
+        await this.applyAndSaveIndices(changedIndices);
+    }
+
+    /**
+     * Editable metadata of every loaded file as sheet rows (one row per file or sibling group)
+     * Duration and FPS are exported so rows can be matched by TC + duration; they are not imported.
+     * @returns {Object} { columns: Array<string>, rows: Array<Object> } keyed by column name
+     */
+    buildMetadataSheet() {
+        const maxTracks = this.files.reduce((max, item) => Math.max(max, (item.metadata.trackNames || []).length), 0);
+        const trackColumns = Array.from({ length: maxTracks }, (_, i) => `Track ${i + 1}`);
+        const columns = ['Filename', 'Scene', 'Take', 'Tape', 'Project', 'Notes', 'Circled', 'TC Start', 'Duration', 'FPS', ...trackColumns];
+
+        const rows = this.files.map(item => {
+            const metadata = item.metadata;
+            const row = {
+                'Filename': metadata.filename || '',
+                'Scene': metadata.scene || '',
+                'Take': metadata.take || '',
+                'Tape': metadata.tape || '',
+                'Project': metadata.project || '',
+                'Notes': metadata.notes || '',
+                'Circled': metadata.circled ? 'TRUE' : 'FALSE',
+                'TC Start': metadata.tcStart || '',
+                'Duration': metadata.duration || '',
+                'FPS': metadata.fps || ''
+            };
+            trackColumns.forEach((column, i) => { row[column] = (metadata.trackNames || [])[i] || ''; });
+            return row;
+        });
+
+        return { columns, rows };
+    }
+
+    /**
+     * Write the metadata sheet as CSV (opens in Excel) or JSON, chosen by the file extension
+     */
+    async exportMetadataSheet() {
+        if (this.files.length === 0) return;
+        const { columns, rows } = this.buildMetadataSheet();
+
+        const toCSV = () => {
+            const quote = value => `"${String(value).replace(/"/g, '""')}"`;
+            const lines = [columns.map(quote).join(','), ...rows.map(row => columns.map(c => quote(row[c])).join(','))];
+            // BOM so Excel reads the file as UTF-8
+            return '\uFEFF' + lines.join('\r\n') + '\r\n';
+        };
+        const toJSON = () => JSON.stringify({ type: 'wave-agent-x-metadata', version: 1, files: rows }, null, 2);
+
+        try {
+            if (window.showSaveFilePicker) {
+                const handle = await window.showSaveFilePicker({
+                    suggestedName: 'metadata.csv',
+                    types: [
+                        { description: 'CSV Files', accept: { 'text/csv': ['.csv'] } },
+                        { description: 'JSON Files', accept: { 'application/json': ['.json'] } }
+                    ]
+                });
+                const isJSON = handle.name.toLowerCase().endsWith('.json');
+                const writable = await handle.createWritable();
+                await writable.write(new Blob([isJSON ? toJSON() : toCSV()], { type: isJSON ? 'application/json' : 'text/csv' }));
+                await writable.close();
+            } else {
+                const url = URL.createObjectURL(new Blob([toCSV()], { type: 'text/csv' }));
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = 'metadata.csv';
+                a.click();
+                URL.revokeObjectURL(url);
+            }
+            this.showToast(`Exported metadata of ${rows.length} file${rows.length > 1 ? 's' : ''}`, 'success', 2000);
+        } catch (err) {
+            if (err.name !== 'AbortError') {
+                console.error('Metadata export failed:', err);
+                alert(`Failed to export metadata: ${err.message}`);
+            }
+        }
+    }
+
+    /**
+     * Split CSV text into rows, allowing quoted fields with commas, quotes and line breaks
+     * The delimiter (comma, semicolon or tab, as saved by Excel in different locales) is taken from the header line.
+     * @param {string} text - CSV file content
+     * @returns {Array<Array<string>>} Non-empty rows
+     */
+    parseCSVText(text) {
+        text = text.replace(/^\uFEFF/, '');
+        const headerLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+        const delimiter = [',', ';', '\t'].reduce((best, d) =>
+            headerLine.split(d).length > headerLine.split(best).length ? d : best, ',');
+
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows.filter(r => r.some(value => value.trim() !== ''));
+    }
+
+    /**
+     * Map a sheet row (CSV columns or JSON keys, any spelling/case) to metadata fields
+     * Only columns present in the sheet are returned, so missing columns leave fields untouched.
+     * @param {Object} raw - Column name -> value
+     * @returns {Object} { filename?, scene?, take?, tape?, project?, notes?, circled?, tcStart?, duration?, trackNames? }
+     */
+    normalizeSheetRow(raw) {
+        const aliases = {
+            filename: 'filename', file: 'filename', filenames: 'filename',
+            scene: 'scene', take: 'take', tape: 'tape', roll: 'tape', project: 'project',
+            notes: 'notes', note: 'notes', comment: 'notes', comments: 'notes',
+            circled: 'circled', circle: 'circled',
+            tcstart: 'tcStart', starttc: 'tcStart', timecode: 'tcStart', tc: 'tcStart',
+            duration: 'duration', length: 'duration'
+        };
+        const row = {};
+        Object.entries(raw).forEach(([column, value]) => {
+            const key = column.toLowerCase().replace(/[^a-z0-9]/g, '');
+            const track = key.match(/^(?:track|trackname|trk)(\d+)$/);
+            if (track) {
+                if (!row.trackNames) row.trackNames = [];
+                row.trackNames[parseInt(track[1], 10) - 1] = String(value ?? '').trim();
+            } else if (key === 'tracknames' && Array.isArray(value)) {
+                row.trackNames = value.map(name => String(name ?? '').trim());
+            } else if (aliases[key]) {
+                row[aliases[key]] = typeof value === 'boolean' ? value : String(value ?? '').trim();
+            }
+        });
+        return row;
+    }
+
+    /**
+     * Find the file a sheet row belongs to: by filename (extension optional, sibling names count),
+     * otherwise by TC Start plus duration when exactly one file matches
+     * @param {Object} row - Normalized sheet row
+     * @returns {number} Index in this.files, or -1
+     */
+    matchSheetRow(row) {
+        if (row.filename) {
+            const wanted = row.filename.toLowerCase();
+            const stem = name => name.replace(/\.[^.]+$/, '');
+            const names = item => [item.metadata.filename, ...(item.siblings || []).map(s => s.metadata.filename)]
+                .filter(Boolean).map(name => name.toLowerCase());
+            let index = this.files.findIndex(item => names(item).includes(wanted));
+            if (index === -1) index = this.files.findIndex(item => names(item).some(name => stem(name) === stem(wanted)));
+            if (index !== -1) return index;
+        }
+
+        if (row.tcStart && row.duration) {
+            const tc = row.tcStart.replace(/;/g, ':');
+            const seconds = this.parseTimecodeToSeconds(row.duration);
+            const matches = this.files
+                .map((item, index) => ({ item, index }))
+                .filter(({ item }) => (item.metadata.tcStart || '').replace(/;/g, ':') === tc &&
+                    Math.abs(Math.floor(item.metadata.durationSec || 0) - seconds) <= 1);
+            if (matches.length === 1) return matches[0].index;
+        }
+        return -1;
+    }
+
+    /**
+     * Compare an imported sheet with the loaded files
+     * @param {Array<Object>} sheetRows - Normalized sheet rows
+     * @returns {Object} { changes: [{index, field, trackIndex?, before, after, value}], unmatched: [label], errors: [message] }
+     */
+    collectMetadataImportChanges(sheetRows) {
+        const changes = [];
+        const unmatched = [];
+        const errors = [];
+        const parseFlag = value => {
+            if (typeof value === 'boolean') return value;
+            const text = value.toLowerCase();
+            if (['true', 'yes', 'y', '1', 'x', '*', 'circled'].includes(text)) return true;
+            if (['false', 'no', 'n', '0', ''].includes(text)) return false;
+            return null;
+        };
+
+        sheetRows.forEach((row, rowIndex) => {
+            const label = row.filename || row.tcStart || `Row ${rowIndex + 1}`;
+            const index = this.matchSheetRow(row);
+            if (index === -1) {
+                unmatched.push(label);
+                return;
+            }
+            const metadata = this.files[index].metadata;
+
+            ['scene', 'take', 'tape', 'project', 'notes'].forEach(field => {
+                if (row[field] === undefined) return;
+                const before = metadata[field] === undefined || metadata[field] === null ? '' : String(metadata[field]);
+                if (row[field] !== before) changes.push({ index, field, before, after: row[field], value: row[field] });
+            });
+
+            if (row.circled !== undefined) {
+                const circled = parseFlag(row.circled);
+                if (circled === null) {
+                    errors.push(`${label}: Circled "${row.circled}" is not TRUE/FALSE`);
+                } else if (circled !== !!metadata.circled) {
+                    changes.push({ index, field: 'circled', before: metadata.circled ? 'TRUE' : 'FALSE', after: circled ? 'TRUE' : 'FALSE', value: circled });
+                }
+            }
+
+            if (row.tcStart) {
+                if (!this.validateTimecode(row.tcStart, metadata.fpsExact)) {
+                    errors.push(`${label}: TC Start "${row.tcStart}" is not a valid timecode${metadata.fps ? ` at ${metadata.fps} fps` : ''}`);
+                } else if (row.tcStart !== (metadata.tcStart || '') && metadata.sampleRate) {
+                    changes.push({ index, field: 'tcStart', before: metadata.tcStart || '', after: row.tcStart, value: row.tcStart });
+                }
+            }
+
+            (row.trackNames || []).forEach((name, trackIndex) => {
+                if (name === undefined) return;
+                const before = (metadata.trackNames || [])[trackIndex] || '';
+                if (name !== before) changes.push({ index, field: 'trackNames', trackIndex, before, after: name, value: name });
+            });
+        });
+
+        return { changes, unmatched, errors };
+    }
+
+    async importMetadataSheet() {
+        let sheetRows;
+        try {
+            const [fileHandle] = await window.showOpenFilePicker({
+                types: [
+                    { description: 'CSV or JSON Files', accept: { 'text/csv': ['.csv', '.txt'], 'application/json': ['.json'] } }
+                ],
+                multiple: false
+            });
+            const file = await fileHandle.getFile();
+            const text = await file.text();
+
+            if (file.name.toLowerCase().endsWith('.json')) {
+                const data = JSON.parse(text);
+                const entries = Array.isArray(data) ? data : (Array.isArray(data.files) ? data.files : []);
+                sheetRows = entries.filter(entry => entry && typeof entry === 'object').map(entry => this.normalizeSheetRow(entry));
+            } else {
+                const [header, ...lines] = this.parseCSVText(text);
+                if (!header) throw new Error('The file is empty');
+                sheetRows = lines.map(values => this.normalizeSheetRow(
+                    Object.fromEntries(header.map((column, i) => [column, values[i] ?? '']))));
+            }
+        } catch (err) {
+            if (err.name !== 'AbortError') {
+                console.error('Metadata import failed:', err);
+                alert(`Failed to read metadata file: ${err.message}`);
+            }
+            return;
+        }
+
+        if (sheetRows.length === 0) {
+            alert('No rows found in this file.');
+            return;
+        }
+
+        this.metadataImport = this.collectMetadataImportChanges(sheetRows);
+        this.metadataImport.rowCount = sheetRows.length;
+        this.renderMetadataImportPreview();
+        document.getElementById('metadata-import-modal').classList.add('active');
+    }
+
+    renderMetadataImportPreview() {
+        const { changes, unmatched, errors, rowCount } = this.metadataImport;
+        const fileCount = new Set(changes.map(c => c.index)).size;
+
+        let summary = changes.length === 0
+            ? `No changes in ${rowCount} row${rowCount !== 1 ? 's' : ''}.`
+            : `${changes.length} change${changes.length > 1 ? 's' : ''} in ${fileCount} file${fileCount > 1 ? 's' : ''}.`;
+        if (unmatched.length > 0) {
+            summary += ` ${unmatched.length} row${unmatched.length > 1 ? 's' : ''} matched no file: ${unmatched.slice(0, 10).join(', ')}${unmatched.length > 10 ? ', ...' : ''}.`;
+        }
+        document.getElementById('metadata-import-summary').textContent = summary;
+
+        const errorList = document.getElementById('metadata-import-errors');
+        errorList.innerHTML = errors.map(message => `<li>${this.escapeHtml(message)}</li>`).join('');
+        errorList.style.display = errors.length > 0 ? 'block' : 'none';
+
+        const fieldLabels = { scene: 'Scene', take: 'Take', tape: 'Tape', project: 'Project', notes: 'Notes', circled: 'Circled', tcStart: 'TC Start' };
+        const tbody = document.getElementById('metadata-import-preview');
+        tbody.innerHTML = '';
+        changes.forEach(change => {
+            const tr = document.createElement('tr');
+            const label = change.field === 'trackNames' ? `Track ${change.trackIndex + 1}` : fieldLabels[change.field];
+            tr.innerHTML = `
+                <td>${this.escapeHtml(this.files[change.index].metadata.filename)}</td>
+                <td>${label}</td>
+                <td class="diff-before">${this.escapeHtml(change.before)}</td>
+                <td class="diff-after">${this.escapeHtml(change.after)}</td>
+            `;
+            tbody.appendChild(tr);
+        });
+
+        document.getElementById('metadata-import-apply-btn').disabled = changes.length === 0;
+    }
+
+    closeMetadataImportModal() {
+        document.getElementById('metadata-import-modal').classList.remove('active');
+    }
+
+    async applyMetadataImport() {
+        const changes = this.metadataImport?.changes || [];
+        if (changes.length === 0) return;
+
+        const changedIndices = new Set();
+        const trackNameEdits = new Map(); // index -> new trackNames array
+        for (const change of changes) {
+            changedIndices.add(change.index);
+            const metadata = this.files[change.index].metadata;
+            if (change.field === 'trackNames') {
+                if (!trackNameEdits.has(change.index)) {
+                    trackNameEdits.set(change.index, [...(metadata.trackNames || [])]);
+                }
+                trackNameEdits.get(change.index)[change.trackIndex] = change.value;
+            } else if (change.field === 'tcStart') {
+                const fpsExact = metadata.fpsExact || { numerator: 24, denominator: 1 };
+                this.updateMetadata(change.index, 'tcStart', change.value);
+                this.updateMetadata(change.index, 'timeReference', this.metadataHandler.tcToSamples(
+                    change.value, this.metadataHandler.timecodeSampleRate(metadata), fpsExact));
+                // A typed TC Start waiting to be saved would overwrite the imported one
+                if (this.pendingEdits?.[change.index]) {
+                    delete this.pendingEdits[change.index].tcStart;
+                }
+            } else {
+                this.updateMetadata(change.index, change.field, change.value);
+            }
+        }
+        for (const [index, trackNames] of trackNameEdits) {
+            this.updateMetadata(index, 'trackNames', Array.from(trackNames, name => name || ''));
+        }
+
+        this.closeMetadataImportModal();
+
+        console.log(`Metadata import: ${changes.length} change(s) in ${changedIndices.size} file(s)`);
+        await this.applyAndSaveIndices(changedIndices);
+    }
+
+    /**
+     * Lay out the selected takes on a timeline positioned by their record TC
+     * Every take gets one lane per poly channel or grouped sibling. A take that overlaps an
+     * earlier one moves down to the next free block of lanes.
+     * @returns {Object|null} { fps, start, end, laneCount, takes } with positions in frames of the
+     *          first take's rate, or null when no selected file has audio to place
+     */
+    buildTimelineLayout() {
+        const mh = this.metadataHandler;
+        const items = Array.from(this.selectedIndices).sort((a, b) => a - b).map(i => this.files[i]);
+        for (const key of this.selectedChildren.keys()) {
+            const [parentIndex, siblingOrder] = key.split(':').map(Number);
+            const sibling = this.files[parentIndex]?.siblings?.[siblingOrder];
+            if (sibling && !this.selectedIndices.has(parentIndex)) items.push(sibling);
+        }
+        const placeable = items.filter(item => item && item.metadata.sampleRate && item.metadata.durationSec);
+        if (placeable.length === 0) return null;
+
+        const fpsOf = metadata => metadata.fpsExact || { numerator: 24, denominator: 1 };
+        const fps = fpsOf(placeable[0].metadata);
+        const toFrames = seconds => Math.round(seconds * fps.numerator / fps.denominator);
+
+        const takes = placeable.map(item => {
+            const metadata = item.metadata;
+            const ownFps = fpsOf(metadata);
+            const tcFrames = metadata.tcStart ? mh.tcToFrames(metadata.tcStart, ownFps) : null;
+            const startSeconds = tcFrames !== null
+                ? tcFrames * ownFps.denominator / ownFps.numerator
+                : (metadata.timeReference || 0) / mh.timecodeSampleRate(metadata);
+            // Timecode counts at the timestamp rate, so pulled recordings run longer or shorter in TC
+            const durationSeconds = metadata.durationSec * metadata.sampleRate / mh.timecodeSampleRate(metadata);
+
+            const sources = item.isGroup ? item.siblings : [item];
+            const lanes = sources.flatMap((source, s) =>
+                Array.from({ length: source.metadata.channels || 1 }, (_, channel) => ({
+                    name: (item.isGroup && (source.metadata.channels || 1) === 1
+                        ? (metadata.trackNames || [])[s]
+                        : (source.metadata.trackNames || [])[channel]) || '',
+                    metadata: source.metadata,
+                    channel
+                })));
+            lanes.forEach((lane, i) => { lane.name = lane.name || `Track ${i + 1}`; });
+
+            return {
+                name: (metadata.filename || '').replace(/\.[^.]+$/, ''),
+                metadata,
+                start: toFrames(startSeconds),
+                duration: Math.max(1, toFrames(durationSeconds)),
+                lanes
+            };
+        }).sort((a, b) => a.start - b.start);
+
+        const laneEnds = []; // lane -> frame where its last clip ends
+        for (const take of takes) {
+            let base = 0;
+            while (take.lanes.some((_, k) => (laneEnds[base + k] ?? -Infinity) > take.start)) base++;
+            take.laneBase = base;
+            take.lanes.forEach((_, k) => { laneEnds[base + k] = take.start + take.duration; });
+        }
+
+        return {
+            fps,
+            start: takes[0].start,
+            end: Math.max(...takes.map(take => take.start + take.duration)),
+            laneCount: laneEnds.length,
+            takes
+        };
+    }
+
+    /**
+     * OpenTimelineIO JSON: one audio track per lane, takes separated by gaps
+     * Clips reference their media by filename, so keep the .otio next to the audio files.
+     * @param {Object} layout - From buildTimelineLayout()
+     * @returns {string} .otio file content
+     */
+    buildOTIOTimeline(layout) {
+        const rate = layout.fps.numerator / layout.fps.denominator;
+        const time = value => ({ OTIO_SCHEMA: 'RationalTime.1', rate, value });
+        const range = (start, duration) => ({ OTIO_SCHEMA: 'TimeRange.1', start_time: time(start), duration: time(duration) });
+        const base = (schema, name) => ({ OTIO_SCHEMA: schema, name, metadata: {}, effects: [], markers: [], enabled: true });
+
+        const tracks = Array.from({ length: layout.laneCount }, (_, lane) => {
+            const children = [];
+            let trackName = '';
+            let cursor = layout.start;
+            for (const take of layout.takes) {
+                const laneInfo = take.lanes[lane - take.laneBase];
+                if (!laneInfo) continue;
+                trackName = trackName || laneInfo.name;
+                if (take.start > cursor) {
+                    children.push({ ...base('Gap.1', ''), source_range: range(0, take.start - cursor) });
+                }
+                const metadata = laneInfo.metadata;
+                children.push({
+                    ...base('Clip.2', `${take.name} - ${laneInfo.name}`),
+                    metadata: {
+                        wave_agent_x: {
+                            scene: take.metadata.scene || '',
+                            take: take.metadata.take || '',
+                            tape: take.metadata.tape || '',
+                            track_name: laneInfo.name,
+                            channel: laneInfo.channel + 1,
+                            channels: metadata.channels || 1
+                        }
+                    },
+                    source_range: range(take.start, take.duration),
+                    media_references: {
+                        DEFAULT_MEDIA: {
+                            OTIO_SCHEMA: 'ExternalReference.1',
+                            name: metadata.filename || '',
+                            metadata: {},
+                            available_range: range(take.start, take.duration),
+                            available_image_bounds: null,
+                            target_url: encodeURI(metadata.filename || '')
+                        }
+                    },
+                    active_media_reference_key: 'DEFAULT_MEDIA'
+                });
+                cursor = take.start + take.duration;
+            }
+            return { ...base('Track.1', trackName || `Track ${lane + 1}`), source_range: null, kind: 'Audio', children };
+        });
+
+        const project = layout.takes[0].metadata.project;
+        return JSON.stringify({
+            OTIO_SCHEMA: 'Timeline.1',
+            name: project || 'Wave Agent X',
+            metadata: {},
+            global_start_time: time(layout.start),
+            tracks: { ...base('Stack.1', 'tracks'), source_range: null, children: tracks }
+        }, null, 2);
+    }
+
+    /**
+     * FCPXML 1.10: a gap spanning the timeline with every lane as a connected audio clip
+     * Connected clips sit at their record TC, so takes recorded at once stay in sync.
+     * @param {Object} layout - From buildTimelineLayout()
+     * @returns {string} .fcpxml file content
+     */
+    buildFCPXMLTimeline(layout) {
+        const mh = this.metadataHandler;
+        const { fps } = layout;
+        const esc = value => mh.escapeXML(String(value));
+        const seconds = frames => frames === 0 ? '0s' : `${frames * fps.denominator}/${fps.numerator}s`;
+        const rateLabel = rate => `${mh.nominalSampleRate(rate) / 1000}k`;
+
+        const assets = new Map(); // filename -> { id, metadata, take }
+        for (const take of layout.takes) {
+            for (const lane of take.lanes) {
+                if (!assets.has(lane.metadata.filename)) {
+                    assets.set(lane.metadata.filename, { id: `r${assets.size + 2}`, metadata: lane.metadata, take });
+                }
+            }
+        }
+
+        const project = layout.takes[0].metadata.project || 'Wave Agent X';
+        const tcFormat = mh.isDropFrame(fps) ? 'DF' : 'NDF';
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<!DOCTYPE fcpxml>',
+            '<fcpxml version="1.10">',
+            '    <resources>',
+            `        <format id="r1" frameDuration="${seconds(1)}" width="1920" height="1080"/>`
+        ];
+        for (const [filename, asset] of assets) {
+            lines.push(`        <asset id="${asset.id}" name="${esc(filename.replace(/\.[^.]+$/, ''))}" ` +
+                `start="${seconds(asset.take.start)}" duration="${seconds(asset.take.duration)}" hasAudio="1" ` +
+                `audioSources="1" audioChannels="${asset.metadata.channels || 1}" audioRate="${mh.nominalSampleRate(asset.metadata.sampleRate)}">`);
+            lines.push(`            <media-rep kind="original-media" src="${esc(encodeURI(filename))}"/>`);
+            lines.push('        </asset>');
+        }
+        lines.push('    </resources>');
+        lines.push('    <library>');
+        lines.push(`        <event name="${esc(project)}">`);
+        lines.push(`            <project name="${esc(project)}">`);
+        lines.push(`                <sequence format="r1" duration="${seconds(layout.end - layout.start)}" tcStart="${seconds(layout.start)}" ` +
+            `tcFormat="${tcFormat}" audioLayout="stereo" audioRate="${rateLabel(layout.takes[0].metadata.sampleRate)}">`);
+        lines.push('                    <spine>');
+        lines.push(`                        <gap name="Gap" offset="${seconds(layout.start)}" start="${seconds(layout.start)}" ` +
+            `duration="${seconds(layout.end - layout.start)}">`);
+        for (const take of layout.takes) {
+            take.lanes.forEach((lane, k) => {
+                const asset = assets.get(lane.metadata.filename);
+                lines.push(`                            <asset-clip ref="${asset.id}" lane="-${take.laneBase + k + 1}" ` +
+                    `name="${esc(`${take.name} - ${lane.name}`)}" offset="${seconds(take.start)}" start="${seconds(take.start)}" ` +
+                    `duration="${seconds(take.duration)}" tcFormat="${tcFormat}" audioRole="dialogue">`);
+                lines.push(`                                <audio-channel-source srcCh="${lane.channel + 1}" role="dialogue"/>`);
+                lines.push('                            </asset-clip>');
+            });
+        }
+        lines.push('                        </gap>');
+        lines.push('                    </spine>');
+        lines.push('                </sequence>');
+        lines.push('            </project>');
+        lines.push('        </event>');
+        lines.push('    </library>');
+        lines.push('</fcpxml>');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Export the selected takes and groups as an OpenTimelineIO or FCPXML timeline, chosen by file extension
+     */
+    async exportTimeline() {
+        const layout = this.buildTimelineLayout();
+        if (!layout) {
+            alert('Select one or more files with audio to export a timeline.');
+            return;
+        }
+
+        try {
+            if (window.showSaveFilePicker) {
+                const handle = await window.showSaveFilePicker({
+                    suggestedName: 'timeline.otio',
+                    types: [
+                        { description: 'OpenTimelineIO', accept: { 'application/json': ['.otio'] } },
+                        { description: 'Final Cut Pro XML', accept: { 'application/xml': ['.fcpxml'] } }
+                    ]
+                });
+                const isFCPXML = handle.name.toLowerCase().endsWith('.fcpxml');
+                const writable = await handle.createWritable();
+                await writable.write(new Blob([isFCPXML ? this.buildFCPXMLTimeline(layout) : this.buildOTIOTimeline(layout)],
+                    { type: isFCPXML ? 'application/xml' : 'application/json' }));
+                await writable.close();
+            } else {
+                const url = URL.createObjectURL(new Blob([this.buildOTIOTimeline(layout)], { type: 'application/json' }));
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = 'timeline.otio';
+                a.click();
+                URL.revokeObjectURL(url);
+            }
+            this.showToast(`Exported timeline with ${layout.takes.length} take${layout.takes.length > 1 ? 's' : ''}`, 'success', 2000);
+        } catch (err) {
+            if (err.name !== 'AbortError') {
+                console.error('Timeline export failed:', err);
+                alert(`Failed to export timeline: ${err.message}`);
+            }
+        }
+    }
+
     async viewIXML() {
         const item = this.getSelectedFileForDiagnostics();
         if (!item) return;
@@ -3192,9 +4844,67 @@ class App {
 
         content.textContent = displayText;
 
+        this.renderLineage(metadata);
+
         // Note: Modal opening is handled by the caller
     }
 
+    /**
+     * Follow iXML HISTORY from a file back to its original recorder file
+     * Parents that are loaded are followed through their own HISTORY; the chain stops at the
+     * first parent that isn't loaded and ends with ORIGINAL_FILENAME.
+     * @param {Object} metadata - Metadata of the file to trace
+     * @returns {Array<{filename: string, loaded: boolean, original: boolean}>} This file first
+     */
+    buildLineageChain(metadata) {
+        const loaded = this.files.flatMap(item => item.isGroup ? item.siblings : [item]);
+        const findLoaded = (filename, fileUid) => loaded.find(item =>
+            fileUid ? item.metadata.fileUid === fileUid : item.metadata.filename === filename);
+
+        const chain = [{ filename: metadata.filename, loaded: true, original: false }];
+        const seen = new Set([metadata.filename]);
+        let current = metadata;
+        while (current.history?.parentFilename && !seen.has(current.history.parentFilename)) {
+            const { parentFilename, parentUid } = current.history;
+            seen.add(parentFilename);
+            const parent = findLoaded(parentFilename, parentUid);
+            chain.push({ filename: parentFilename, loaded: !!parent, original: false });
+            if (!parent) break;
+            current = parent.metadata;
+        }
+
+        const originalFilename = current.history?.originalFilename;
+        if (originalFilename) {
+            const last = chain[chain.length - 1];
+            if (last.filename === originalFilename) {
+                last.original = true;
+            } else if (!seen.has(originalFilename)) {
+                chain.push({ filename: originalFilename, loaded: !!findLoaded(originalFilename), original: true });
+            }
+        }
+        return chain;
+    }
+
+    renderLineage(metadata) {
+        const container = document.getElementById('ixml-lineage');
+        if (!container) return;
+
+        const chain = metadata ? this.buildLineageChain(metadata) : [];
+        if (chain.length < 2) {
+            container.innerHTML = '';
+            container.style.display = 'none';
+            return;
+        }
+
+        container.innerHTML = '<strong>Lineage:</strong> ' + chain.map(link => {
+            const classes = ['lineage-link'];
+            if (!link.loaded) classes.push('not-loaded');
+            const label = this.escapeHtml(link.filename) + (link.original ? ' <em>(original)</em>' : '');
+            return `<span class="${classes.join(' ')}" title="${link.loaded ? 'Loaded' : 'Not loaded'}">${label}</span>`;
+        }).join(' <span class="lineage-arrow">&larr;</span> ');
+        container.style.display = 'block';
+    }
+
     formatXMLForDisplay(xmlString) {
         // Pretty-print XML with proper indentation
         // Tags with only text content stay on one line: <TAG>content</TAG>
@@ -3392,9 +5102,23 @@ class App {
             return;
         }
         
+        // FILE_SET families first, then overlapping TC ranges or exact tcStart + duration
+        const getMetadata = item => item.file.metadata;
+        const { families, rest } = this.bucketByFileSet(filesToProcess, getMetadata);
+        const validGroups = [...families];
+        const overlapClusters = new Set();
+        let remaining = rest;
+
+        if (this.groupOverlapEnabled) {
+            const overlap = this.clusterByTimecodeOverlap(rest, getMetadata);
+            validGroups.push(...overlap.clusters);
+            overlap.clusters.forEach(cluster => overlapClusters.add(cluster));
+            remaining = overlap.rest;
+        }
+
         // Group by tcStart + duration (independent of channel count and file size)
         const groups = new Map();
-        filesToProcess.forEach(item => {
+        remaining.forEach(item => {
             const key = `${item.file.metadata.tcStart}_${item.file.metadata.duration}`;
             if (!groups.has(key)) {
                 groups.set(key, []);
@@ -3403,7 +5127,6 @@ class App {
         });
         
         // Filter to only groups with 2+ files
-        const validGroups = [];
         for (const [key, items] of groups.entries()) {
             if (items.length < 2) continue;
             
@@ -3413,8 +5136,8 @@ class App {
         
         if (validGroups.length === 0) {
             const msg = isSelection 
-                ? 'No groupable files found in selection.\n\nFiles must:\n• Have matching TC Start and duration\n• Have at least 2 files per group'
-                : 'No groupable files found.\n\nFiles must:\n• Have matching TC Start and duration\n• Have at least 2 files per group';
+                ? 'No groupable files found in selection.\n\nFiles must:\n• Share an iXML FILE_SET family, have matching TC Start and duration, or overlap in timecode (if enabled in Settings)\n• Have at least 2 files per group'
+                : 'No groupable files found.\n\nFiles must:\n• Share an iXML FILE_SET family, have matching TC Start and duration, or overlap in timecode (if enabled in Settings)\n• Have at least 2 files per group';
             alert(msg);
             return;
         }
@@ -3434,10 +5157,8 @@ class App {
         const newGroups = [];
         
         for (const groupItems of validGroups) {
-            // Sort by filename for consistent ordering
-            groupItems.sort((a, b) => 
-                a.file.metadata.filename.localeCompare(b.file.metadata.filename, undefined, { numeric: true, sensitivity: 'base' })
-            );
+            // Sort by FILE_SET_INDEX, then filename, for consistent ordering
+            groupItems.sort((a, b) => this.compareFileSetOrder(a.file.metadata, b.file.metadata));
             
             // Generate group name from Scene + Take metadata
             const firstFile = groupItems[0].file;
@@ -3474,6 +5195,7 @@ class App {
                     channels: groupItems.reduce((sum, item) => sum + (item.file.metadata.channels || 1), 0), // Total channels across all siblings
                     trackNames: trackNames // Track names from all siblings
                 },
+                tcOverlap: overlapClusters.has(groupItems),
                 siblings: groupItems.map((item, idx) => ({
                     handle: item.file.handle,
                     file: item.file.file,
@@ -3526,6 +5248,584 @@ class App {
         this.showToast(`Created ${validGroups.length} sibling group${validGroups.length > 1 ? 's' : ''} from ${totalFiles} file${totalFiles > 1 ? 's' : ''}`, 'success', 3000);
     }
 
+    /**
+     * Check whether a file item was loaded from an AIFF/AIFC file
+     * @param {Object} item - File item
+     * @returns {boolean}
+     */
+    isAiffItem(item) {
+        return !!item && !item.isGroup && (item.metadata.format === 'AIFF' || item.metadata.format === 'AIFC');
+    }
+
+    /**
+     * Check whether a file item is a RIFF or RF64 WAV file
+     * @param {Object} item - File item
+     * @returns {boolean}
+     */
+    /**
+     * Whether metadata editing is locked for a file over 2GB
+     * Such files can't be rewritten in browser memory, but a WAV with filler chunks
+     * (JUNK/PAD/FLLR) can still have its metadata patched in place.
+     * @param {Object} item - File entry or sibling group
+     * @returns {boolean}
+     */
+    isLargeFileLocked(item) {
+        const targets = item.isGroup ? item.siblings : [item];
+        return targets.some(target => target.file && target.file.size > 2 * 1024 * 1024 * 1024 &&
+            !(this.isWavItem(target) && this.metadataHandler.hasInPlaceRoom(target.metadata)));
+    }
+
+    isWavItem(item) {
+        return !!item && !item.isGroup && (item.metadata.format === 'WAV' || item.metadata.format === 'RF64 (WAV)');
+    }
+
+    /**
+     * Convert selected AIFF/AIFC files to Broadcast WAV in a chosen folder.
+     * Scene/take/notes, LIST-INFO and MARK markers are carried across.
+     */
+    async handleConvertToBWF() {
+        const targets = [];
+        for (const index of this.selectedIndices) {
+            const item = this.files[index];
+            const candidates = item.isGroup ? item.siblings : [item];
+            candidates.filter(c => this.isAiffItem(c)).forEach(c => targets.push(c));
+        }
+        if (targets.length === 0) return;
+
+        const dirHandle = await this.pickDirectory();
+        if (!dirHandle) return;
+
+        const newHandles = [];
+        const errors = [];
+        for (const target of targets) {
+            try {
+                const arrayBuffer = await target.file.arrayBuffer();
+                const blob = this.metadataHandler.convertAiffToWav(arrayBuffer, {
+                    ...target.metadata,
+                    ...this.metadataHandler.deriveHistory(target.metadata)
+                });
+                const baseName = target.metadata.filename.replace(/\.(aif|aiff|aifc)$/i, '');
+                const handle = await dirHandle.getFileHandle(`${baseName}.wav`, { create: true });
+                const writable = await handle.createWritable();
+                await writable.write(blob);
+                await writable.close();
+                newHandles.push(handle);
+            } catch (err) {
+                console.error('AIFF conversion failed:', target.metadata.filename, err);
+                errors.push(`${target.metadata.filename}: ${err.message}`);
+            }
+        }
+
+        if (newHandles.length > 0) {
+            await this.processFiles(newHandles);
+            this.showToast(`Converted ${newHandles.length} AIFF file${newHandles.length > 1 ? 's' : ''} to BWF`, 'success', 3000);
+        }
+        if (errors.length > 0) {
+            alert(`Some files could not be converted:\n\n${errors.join('\n')}`);
+        }
+    }
+
+    /**
+     * Scan every loaded file (and every sibling of a group) for metadata problems
+     * and show them in the QC Lint panel
+     */
+    async runQcLint() {
+        if (this.files.length === 0) return;
+
+        const targets = [];
+        for (const item of this.files) {
+            const members = item.isGroup ? item.siblings : [item];
+            for (const member of members) {
+                targets.push({ item, file: member.file, metadata: member.metadata });
+            }
+        }
+
+        this.showToast(`Checking ${targets.length} file${targets.length > 1 ? 's' : ''}...`, 'info', 2000);
+
+        const issues = [];
+        for (const target of targets) {
+            const push = issue => issues.push({ ...issue, item: target.item, filename: target.metadata.filename });
+            try {
+                const fileIssues = await this.metadataHandler.lintFile(target.file, target.metadata);
+                fileIssues.forEach(push);
+            } catch (err) {
+                console.error('QC lint failed:', target.metadata.filename, err);
+                push({ severity: 'error', check: 'Read', message: `Could not be checked: ${err.message}` });
+            }
+        }
+
+        // Duplicate scene/take: the same scene+take on different recordings.
+        // Siblings of one take share TC start (or a FILE_SET family), so they are not duplicates.
+        const takes = new Map();
+        for (const target of targets) {
+            const { scene, take } = target.metadata;
+            if (!scene || !take) continue;
+            const key = `${scene.trim().toUpperCase()}|${take.toString().trim().toUpperCase()}`;
+            const recording = target.metadata.fileSet?.familyUid || `tr_${target.metadata.timeReference}`;
+            if (!takes.has(key)) takes.set(key, { recordings: new Set(), targets: [] });
+            takes.get(key).recordings.add(recording);
+            takes.get(key).targets.push(target);
+        }
+        for (const { recordings, targets: dupes } of takes.values()) {
+            if (recordings.size < 2) continue;
+            for (const target of dupes) {
+                issues.push({
+                    severity: 'warning',
+                    check: 'Duplicate take',
+                    message: `Scene ${target.metadata.scene} take ${target.metadata.take} is used by ${recordings.size} different recordings`,
+                    item: target.item,
+                    filename: target.metadata.filename
+                });
+            }
+        }
+
+        this.qcLintIssues = issues;
+        this.qcLintFileCount = targets.length;
+        this.qcLintSort = { key: 'severity', direction: 'asc' };
+        this.renderQcLint();
+        document.getElementById('qc-lint-modal').classList.add('active');
+    }
+
+    sortQcLint(key) {
+        if (!this.qcLintIssues) return;
+        if (this.qcLintSort.key === key) {
+            this.qcLintSort.direction = this.qcLintSort.direction === 'asc' ? 'desc' : 'asc';
+        } else {
+            this.qcLintSort = { key, direction: 'asc' };
+        }
+        this.renderQcLint();
+    }
+
+    renderQcLint() {
+        const { key, direction } = this.qcLintSort;
+        const severityRank = { error: 0, warning: 1 };
+        const value = issue => key === 'severity' ? severityRank[issue.severity] : (issue[key] || '').toString();
+
+        const sorted = [...this.qcLintIssues].sort((a, b) => {
+            const valA = value(a);
+            const valB = value(b);
+            let result = typeof valA === 'number'
+                ? valA - valB
+                : valA.localeCompare(valB, undefined, { numeric: true, sensitivity: 'base' });
+            if (result === 0) result = a.filename.localeCompare(b.filename, undefined, { numeric: true, sensitivity: 'base' });
+            return direction === 'asc' ? result : -result;
+        });
+
+        const errors = this.qcLintIssues.filter(i => i.severity === 'error').length;
+        const warnings = this.qcLintIssues.length - errors;
+        const fileCount = this.qcLintFileCount;
+        document.getElementById('qc-lint-summary').textContent = this.qcLintIssues.length === 0
+            ? `No problems found in ${fileCount} file${fileCount > 1 ? 's' : ''}.`
+            : `${errors} error${errors !== 1 ? 's' : ''} and ${warnings} warning${warnings !== 1 ? 's' : ''} in ${fileCount} file${fileCount > 1 ? 's' : ''}.`;
+
+        const tbody = document.getElementById('qc-lint-body');
+        tbody.innerHTML = '';
+        sorted.forEach(issue => {
+            const tr = document.createElement('tr');
+            tr.className = `qc-lint-${issue.severity}`;
+            tr.innerHTML = `
+                <td>${issue.severity === 'error' ? 'Error' : 'Warning'}</td>
+                <td>${this.escapeHtml(issue.filename)}</td>
+                <td>${this.escapeHtml(issue.check)}</td>
+                <td>${this.escapeHtml(issue.message)}</td>
+            `;
+            tr.addEventListener('click', () => this.jumpToQcLintIssue(issue));
+            tbody.appendChild(tr);
+        });
+
+        document.querySelectorAll('.qc-lint-table th[data-sort]').forEach(th => {
+            th.classList.remove('sort-asc', 'sort-desc');
+            if (th.dataset.sort === key) {
+                th.classList.add(direction === 'asc' ? 'sort-asc' : 'sort-desc');
+            }
+        });
+    }
+
+    jumpToQcLintIssue(issue) {
+        const index = this.files.indexOf(issue.item);
+        if (index === -1) {
+            this.showToast(`${issue.filename} is no longer loaded`, 'error', 3000);
+            return;
+        }
+
+        this.closeQcLintModal();
+        this.selectFile(index, { metaKey: false, ctrlKey: false, shiftKey: false });
+        const rows = document.querySelectorAll('#file-list-body tr');
+        const row = Array.from(rows).find(r => r.dataset.index === String(index) && !r.classList.contains('sibling-child-row'));
+        if (row) {
+            row.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+        }
+    }
+
+    closeQcLintModal() {
+        document.getElementById('qc-lint-modal').classList.remove('active');
+    }
+
+    /**
+     * The two top-level rows (files or sibling groups) selected for Compare
+     * @returns {Array<number>|null} Indices in list order, or null unless exactly two are selected
+     */
+    getCompareIndices() {
+        if (this.selectedIndices.size !== 2 || this.selectedChildren.size > 0) return null;
+        return Array.from(this.selectedIndices).sort((a, b) => a - b);
+    }
+
+    async openCompareModal() {
+        const indices = this.getCompareIndices();
+        if (!indices) {
+            alert('Select exactly two files to compare.');
+            return;
+        }
+        this.compareIndices = indices;
+        document.getElementById('compare-modal').classList.add('active');
+        await this.renderCompare();
+    }
+
+    closeCompareModal() {
+        document.getElementById('compare-modal').classList.remove('active');
+    }
+
+    /**
+     * Every parsed field of a file as rows for the Compare view
+     * Rows with copy set can be copied to the other file (they map to editable metadata).
+     * @param {Object} item - File entry (a sibling group is compared by its first file)
+     * @returns {Promise<Array<{section: string, key: string, label: string, value: string, copy?: boolean}>>}
+     */
+    async collectCompareFields(item) {
+        const metadata = item.metadata;
+        const rows = [];
+        const text = value => value === undefined || value === null ? ''
+            : Array.isArray(value) ? value.join(', ')
+            : typeof value === 'object' ? JSON.stringify(value)
+            : String(value);
+        const add = (section, key, label, value, copy = false) => rows.push({ section, key, label, value: text(value), copy });
+
+        add('File', 'file:filename', 'Filename', metadata.filename);
+        add('File', 'file:format', 'Format', metadata.format);
+        add('File', 'file:fileSize', 'File Size', item.file ? `${item.file.size.toLocaleString()} B` : '');
+
+        add('fmt', 'fmt:channels', 'Channels', metadata.channels);
+        add('fmt', 'fmt:sampleRate', 'Sample Rate', metadata.sampleRate);
+        add('fmt', 'fmt:bitDepth', 'Bit Depth', metadata.bitDepth);
+        add('fmt', 'fmt:duration', 'Duration', metadata.duration);
+        add('fmt', 'fmt:audioDataSize', 'Audio Data Size', metadata.audioDataSize);
+
+        add('Timecode', 'field:fps', 'FPS', metadata.fps, true);
+        add('Timecode', 'field:tcStart', 'TC Start', metadata.tcStart, true);
+        add('Timecode', 'tc:timeReference', 'TimeReference', metadata.timeReference);
+        add('Timecode', 'tc:fileSampleRate', 'FILE_SAMPLE_RATE', metadata.fileSampleRate);
+        add('Timecode', 'tc:digitizerSampleRate', 'DIGITIZER_SAMPLE_RATE', metadata.digitizerSampleRate);
+        add('Timecode', 'tc:timestampSampleRate', 'TIMESTAMP_SAMPLE_RATE', metadata.timestampSampleRate);
+
+        [['scene', 'Scene'], ['take', 'Take'], ['tape', 'Tape'], ['project', 'Project'], ['notes', 'Notes'],
+            ['circled', 'Circled'], ['falseStart', 'False Start'], ['wildTrack', 'Wild Track'], ['noGood', 'No Good']]
+            .forEach(([key, label]) => add('Production', `field:${key}`, label, metadata[key], true));
+
+        add('bEXT', 'bext:description', 'Description', metadata.description);
+        [['originator', 'Originator'], ['originatorRef', 'Originator Reference'], ['date', 'Origination Date'],
+            ['time', 'Origination Time'], ['umid', 'UMID'], ['loudnessValue', 'Loudness Value'],
+            ['loudnessRange', 'Loudness Range'], ['maxTruePeakLevel', 'Max True Peak'],
+            ['maxMomentaryLoudness', 'Max Momentary Loudness'], ['maxShortTermLoudness', 'Max Short-Term Loudness'],
+            ['codingHistory', 'Coding History']]
+            .forEach(([key, label]) => add('bEXT', `field:${key}`, label, metadata[key], true));
+        add('bEXT', 'bext:bextVersion', 'Version', metadata.bextVersion);
+        add('bEXT', 'bext:recorder', 'Recorder', this.formatRecorder(metadata));
+
+        Object.entries(metadata.bextTags || {}).forEach(([tag, value]) => add('bEXT Description Tags', `bextTag:${tag}`, tag, value));
+
+        (metadata.trackNames || []).forEach((name, i) => add('Track Names', `track:${i}`, `Track ${i + 1}`, name, true));
+
+        Object.entries(metadata.infoTags || {}).forEach(([tag, value]) => add('LIST-INFO', `info:${tag}`, tag, value, true));
+
+        this.metadataHandler.flattenIXML(metadata.ixmlRaw)
+            .forEach(({ path, value }) => add('iXML', `ixml:${path}`, path, value));
+
+        if (item.file) {
+            try {
+                const tree = await this.metadataHandler.scanChunkTree(item.file);
+                const labels = tree.children.map(c => c.listType ? `${c.id.trim()} (${c.listType})` : c.id.trim());
+                add('Chunks', 'chunks:order', 'Order', labels.join(' · '));
+                const seen = {};
+                tree.children.forEach((chunk, i) => {
+                    seen[labels[i]] = (seen[labels[i]] || 0) + 1;
+                    const label = seen[labels[i]] > 1 ? `${labels[i]} #${seen[labels[i]]}` : labels[i];
+                    const flag = chunk.invalid ? ' (invalid)' : chunk.truncated ? ' (truncated)' : '';
+                    add('Chunks', `chunk:${label}`, label, `${chunk.size.toLocaleString()} B${flag}`);
+                });
+            } catch (err) {
+                add('Chunks', 'chunks:order', 'Order', `Cannot read chunk structure: ${err.message}`);
+            }
+        }
+
+        return rows;
+    }
+
+    /**
+     * Line up the fields of both compared files, sections in order and keys missing from one side included
+     */
+    async renderCompare() {
+        const [indexA, indexB] = this.compareIndices;
+        const itemA = this.files[indexA];
+        const itemB = this.files[indexB];
+        const [rowsA, rowsB] = await Promise.all([this.collectCompareFields(itemA), this.collectCompareFields(itemB)]);
+
+        const sections = [];
+        const bySection = new Map();
+        [...rowsA, ...rowsB].forEach(row => {
+            if (!bySection.has(row.section)) {
+                bySection.set(row.section, new Map());
+                sections.push(row.section);
+            }
+            const keys = bySection.get(row.section);
+            if (!keys.has(row.key)) keys.set(row.key, row);
+        });
+        const valuesA = new Map(rowsA.map(row => [row.key, row.value]));
+        const valuesB = new Map(rowsB.map(row => [row.key, row.value]));
+
+        document.getElementById('compare-file-a').textContent = itemA.metadata.filename + (itemA.isGroup ? ' (group)' : '');
+        document.getElementById('compare-file-b').textContent = itemB.metadata.filename + (itemB.isGroup ? ' (group)' : '');
+
+        const diffOnly = document.getElementById('compare-diff-only').checked;
+        const tbody = document.getElementById('compare-body');
+        tbody.innerHTML = '';
+        let diffCount = 0;
+        let fieldCount = 0;
+
+        sections.forEach(section => {
+            const sectionRows = [];
+            bySection.get(section).forEach((row, key) => {
+                if (key === 'file:filename') return;
+                const a = valuesA.get(key) ?? '';
+                const b = valuesB.get(key) ?? '';
+                const differs = a !== b;
+                fieldCount++;
+                if (differs) diffCount++;
+                if (diffOnly && !differs) return;
+
+                const tr = document.createElement('tr');
+                if (differs) tr.className = 'compare-diff';
+                const missing = value => value === '' ? '<span class="compare-missing">—</span>' : this.escapeHtml(value);
+                const copyButtons = row.copy && differs
+                    ? `<button class="btn secondary compare-copy" data-from="0" title="Copy to ${this.escapeHtml(itemB.metadata.filename)}">→</button>` +
+                      `<button class="btn secondary compare-copy" data-from="1" title="Copy to ${this.escapeHtml(itemA.metadata.filename)}">←</button>`
+                    : '';
+                tr.innerHTML = `
+                    <td>${this.escapeHtml(row.label)}</td>
+                    <td class="compare-value">${missing(a)}</td>
+                    <td class="compare-actions">${copyButtons}</td>
+                    <td class="compare-value">${missing(b)}</td>
+                `;
+                tr.querySelectorAll('.compare-copy').forEach(btn => {
+                    btn.addEventListener('click', () => this.copyCompareValue(key, parseInt(btn.dataset.from, 10)));
+                });
+                sectionRows.push(tr);
+            });
+
+            if (sectionRows.length === 0) return;
+            const header = document.createElement('tr');
+            header.className = 'compare-section';
+            header.innerHTML = `<td colspan="4">${this.escapeHtml(section)}</td>`;
+            tbody.appendChild(header);
+            sectionRows.forEach(tr => tbody.appendChild(tr));
+        });
+
+        document.getElementById('compare-summary').textContent = diffCount === 0
+            ? `All ${fieldCount} fields match.`
+            : `${diffCount} of ${fieldCount} field${fieldCount !== 1 ? 's' : ''} differ.`;
+    }
+
+    /**
+     * Copy one field from one compared file to the other (written on the next save)
+     * @param {string} key - Row key from collectCompareFields (field:*, track:*, info:*)
+     * @param {number} fromSide - 0 copies left to right, 1 right to left
+     */
+    async copyCompareValue(key, fromSide) {
+        const [from, to] = fromSide === 0 ? this.compareIndices : [...this.compareIndices].reverse();
+        const source = this.files[from].metadata;
+        const target = this.files[to].metadata;
+        const separator = key.indexOf(':');
+        const kind = key.substring(0, separator);
+        const name = key.substring(separator + 1);
+
+        if (kind === 'track') {
+            const i = parseInt(name, 10);
+            const trackNames = Array.from({ length: Math.max(target.trackNames?.length || 0, i + 1) },
+                (_, n) => target.trackNames?.[n] || '');
+            trackNames[i] = source.trackNames?.[i] || '';
+            this.updateMetadata(to, 'trackNames', trackNames);
+        } else if (kind === 'info') {
+            const infoTags = { ...(target.infoTags || {}) };
+            if (source.infoTags?.[name] !== undefined) {
+                infoTags[name] = source.infoTags[name];
+            } else {
+                delete infoTags[name];
+            }
+            this.updateMetadata(to, 'infoTags', infoTags);
+        } else if (name === 'fps') {
+            this.updateMetadata(to, 'fps', source.fps);
+            this.updateMetadata(to, 'fpsExact', source.fpsExact);
+        } else if (name === 'tcStart') {
+            // Same TC label, counted in the target's own sample rate and frame rate
+            const fpsExact = target.fpsExact || { numerator: 24, denominator: 1 };
+            const tcRate = this.metadataHandler.timecodeSampleRate(target);
+            this.updateMetadata(to, 'tcStart', source.tcStart);
+            if (source.tcStart && tcRate) {
+                this.updateMetadata(to, 'timeReference', this.metadataHandler.tcToSamples(source.tcStart, tcRate, fpsExact));
+            }
+        } else {
+            this.updateMetadata(to, name, source[name]);
+        }
+
+        // Saving a group only syncs the production and TC fields from its representative metadata,
+        // so bEXT-only fields and LIST-INFO tags are copied onto each sibling as well
+        const targetItem = this.files[to];
+        if (targetItem.isGroup && kind !== 'track' && name !== 'fps' && name !== 'tcStart') {
+            for (const sibling of targetItem.siblings) {
+                if (kind === 'info') {
+                    const infoTags = { ...(sibling.metadata.infoTags || {}) };
+                    if (source.infoTags?.[name] !== undefined) {
+                        infoTags[name] = source.infoTags[name];
+                    } else {
+                        delete infoTags[name];
+                    }
+                    sibling.metadata.infoTags = infoTags;
+                } else {
+                    sibling.metadata[name] = source[name];
+                }
+            }
+        }
+
+        const tbody = document.getElementById('file-list-body');
+        tbody.innerHTML = '';
+        this.files.forEach((file, i) => this.addTableRow(i, file.metadata));
+        this.updateSelectionUI();
+        if (!this.autoSaveEnabled) {
+            this.showToast(`Copied to ${target.filename} - save to write it to the file`, 'info', 3000);
+        }
+        await this.renderCompare();
+    }
+
+    openTrackListModal() {
+        if (this.selectedIndices.size !== 1) return;
+        const index = Array.from(this.selectedIndices)[0];
+        const item = this.files[index];
+        if (!item || item.isGroup) return;
+
+        const metadata = item.metadata;
+        const channels = metadata.channels || 1;
+        const tracks = this.metadataHandler.buildTrackListForWrite(metadata, channels);
+        // Show tracks in interleave order so the list reads like the mixer
+        tracks.sort((a, b) => a.interleaveIndex - b.interleaveIndex);
+
+        this.trackListEditIndex = index;
+        document.getElementById('track-list-filename').textContent = metadata.filename;
+
+        const rowsHTML = tracks.map(track => `
+            <div class="track-list-row" draggable="true">
+                <span class="track-list-handle">⋮⋮</span>
+                <input type="checkbox" class="track-list-enabled" title="Enabled" ${track.enabled !== false ? 'checked' : ''}>
+                <input type="number" class="track-list-interleave" min="1" max="${channels}" value="${track.interleaveIndex}" title="Interleave index (audio channel in the file)">
+                <input type="number" class="track-list-channel" min="1" value="${track.channelIndex}" title="Recorder channel index">
+                <input type="text" class="track-list-name" value="${this.escapeHtml(track.name || '')}" placeholder="Track name">
+                <input type="text" class="track-list-function" list="track-function-options" value="${this.escapeHtml(track.function || '')}" placeholder="Function">
+            </div>
+        `).join('');
+
+        document.getElementById('track-list-rows').innerHTML = rowsHTML;
+        this.setupTrackListDragHandlers();
+        document.getElementById('track-list-modal').classList.add('active');
+    }
+
+    closeTrackListModal() {
+        document.getElementById('track-list-modal').classList.remove('active');
+        this.trackListEditIndex = null;
+    }
+
+    setupTrackListDragHandlers() {
+        const rowList = document.getElementById('track-list-rows');
+        if (!rowList) return;
+
+        rowList.querySelectorAll('.track-list-row').forEach(row => {
+            row.addEventListener('dragstart', (e) => {
+                // Let text inputs keep normal text selection
+                if (e.target !== row) return;
+                e.dataTransfer.effectAllowed = 'move';
+                row.classList.add('dragging');
+            });
+
+            row.addEventListener('dragend', () => {
+                row.classList.remove('dragging');
+            });
+
+            row.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+                const dragging = rowList.querySelector('.track-list-row.dragging');
+                if (dragging && dragging !== row) {
+                    const rect = row.getBoundingClientRect();
+                    const midpoint = rect.top + rect.height / 2;
+                    if (e.clientY < midpoint) {
+                        rowList.insertBefore(dragging, row);
+                    } else {
+                        rowList.insertBefore(dragging, row.nextSibling);
+                    }
+                }
+            });
+        });
+    }
+
+    applyTrackListEdit() {
+        const index = this.trackListEditIndex;
+        const item = this.files[index];
+        if (!item) return;
+
+        const channels = item.metadata.channels || 1;
+        const rows = Array.from(document.querySelectorAll('#track-list-rows .track-list-row'));
+        const trackList = rows.map(row => ({
+            channelIndex: parseInt(row.querySelector('.track-list-channel').value),
+            interleaveIndex: parseInt(row.querySelector('.track-list-interleave').value),
+            name: row.querySelector('.track-list-name').value.trim(),
+            function: row.querySelector('.track-list-function').value.trim(),
+            enabled: row.querySelector('.track-list-enabled').checked
+        }));
+
+        // Every audio channel needs exactly one track entry
+        const interleaveSeen = new Set();
+        const channelSeen = new Set();
+        for (const track of trackList) {
+            if (!Number.isInteger(track.interleaveIndex) || track.interleaveIndex < 1 || track.interleaveIndex > channels) {
+                alert(`Interleave index must be between 1 and ${channels}.`);
+                return;
+            }
+            if (interleaveSeen.has(track.interleaveIndex)) {
+                alert(`Interleave index ${track.interleaveIndex} is used more than once.`);
+                return;
+            }
+            interleaveSeen.add(track.interleaveIndex);
+
+            if (!Number.isInteger(track.channelIndex) || track.channelIndex < 1) {
+                alert('Channel index must be a positive number.');
+                return;
+            }
+            if (channelSeen.has(track.channelIndex)) {
+                alert(`Channel index ${track.channelIndex} is used more than once.`);
+                return;
+            }
+            channelSeen.add(track.channelIndex);
+        }
+
+        const trackNames = new Array(channels).fill('');
+        trackList.forEach(track => {
+            trackNames[track.interleaveIndex - 1] = track.name || `Track ${track.interleaveIndex}`;
+        });
+
+        console.log('Applying track list edit:', trackList);
+        item.metadata.trackList = trackList;
+        this.updateMetadata(index, 'trackNames', trackNames);
+        this.updateSidebar();
+        this.closeTrackListModal();
+    }
+
     openDiagnosticsModal() {
         console.log('Opening diagnostics modal');
         // Default to iXML tab and populate it
@@ -3574,6 +5874,8 @@ class App {
             this.viewIXML();
         } else if (document.getElementById('bext-tab-btn').classList.contains('active')) {
             this.viewBEXT();
+        } else if (document.getElementById('chunks-tab-btn').classList.contains('active')) {
+            this.viewChunks();
         }
     }
 
@@ -3598,9 +5900,11 @@ class App {
     switchToIXMLTab() {
         document.getElementById('ixml-tab-btn').classList.add('active');
         document.getElementById('bext-tab-btn').classList.remove('active');
+        document.getElementById('chunks-tab-btn').classList.remove('active');
         document.getElementById('tools-tab-btn').classList.remove('active');
         document.getElementById('ixml-tab-content').classList.add('active');
         document.getElementById('bext-tab-content').classList.remove('active');
+        document.getElementById('chunks-tab-content').classList.remove('active');
         document.getElementById('tools-tab-content').classList.remove('active');
         // Populate iXML content when switching to this tab (only if modal is already open)
         if (document.getElementById('diagnostics-modal').classList.contains('active')) {
@@ -3611,9 +5915,11 @@ class App {
     switchToBEXTTab() {
         document.getElementById('bext-tab-btn').classList.add('active');
         document.getElementById('ixml-tab-btn').classList.remove('active');
+        document.getElementById('chunks-tab-btn').classList.remove('active');
         document.getElementById('tools-tab-btn').classList.remove('active');
         document.getElementById('bext-tab-content').classList.add('active');
         document.getElementById('ixml-tab-content').classList.remove('active');
+        document.getElementById('chunks-tab-content').classList.remove('active');
         document.getElementById('tools-tab-content').classList.remove('active');
         // Populate bEXT content when switching to this tab (only if modal is already open)
         if (document.getElementById('diagnostics-modal').classList.contains('active')) {
@@ -3621,20 +5927,102 @@ class App {
         }
     }
 
+    switchToChunksTab() {
+        document.getElementById('chunks-tab-btn').classList.add('active');
+        document.getElementById('ixml-tab-btn').classList.remove('active');
+        document.getElementById('bext-tab-btn').classList.remove('active');
+        document.getElementById('tools-tab-btn').classList.remove('active');
+        document.getElementById('chunks-tab-content').classList.add('active');
+        document.getElementById('ixml-tab-content').classList.remove('active');
+        document.getElementById('bext-tab-content').classList.remove('active');
+        document.getElementById('tools-tab-content').classList.remove('active');
+        if (document.getElementById('diagnostics-modal').classList.contains('active')) {
+            this.viewChunks();
+        }
+    }
+
     switchToToolsTab() {
         document.getElementById('tools-tab-btn').classList.add('active');
         document.getElementById('ixml-tab-btn').classList.remove('active');
         document.getElementById('bext-tab-btn').classList.remove('active');
+        document.getElementById('chunks-tab-btn').classList.remove('active');
         document.getElementById('tools-tab-content').classList.add('active');
         document.getElementById('ixml-tab-content').classList.remove('active');
         document.getElementById('bext-tab-content').classList.remove('active');
+        document.getElementById('chunks-tab-content').classList.remove('active');
         // No content to populate for tools tab
     }
 
+    /**
+     * Populate the chunk tree for the diagnostics file
+     * Every chunk is listed in file order, including duplicates and LIST sub-chunks.
+     */
+    async viewChunks() {
+        const item = this.getSelectedFileForDiagnostics();
+        const tree = document.getElementById('chunk-tree');
+        const info = document.getElementById('chunk-detail-info');
+        const hex = document.getElementById('chunk-hex');
+        tree.innerHTML = '';
+        hex.textContent = '';
+        info.textContent = 'Select a chunk to view its contents.';
+        if (!item) return;
+
+        let root;
+        try {
+            root = await this.metadataHandler.scanChunkTree(item.file);
+        } catch (err) {
+            info.textContent = `Cannot read chunk structure: ${err.message}`;
+            return;
+        }
+
+        const addNode = (node, depth) => {
+            const li = document.createElement('li');
+            li.className = 'chunk-tree-item';
+            if (node.invalid || node.truncated) li.classList.add('chunk-tree-warning');
+            li.style.paddingLeft = `${0.5 + depth * 1.25}rem`;
+            const label = node.listType ? `${node.id} (${node.listType})` : node.id;
+            const flag = node.invalid ? ' — invalid' : node.truncated ? ' — truncated' : '';
+            li.innerHTML = `<span class="chunk-id">${this.escapeHtml(label)}</span>` +
+                `<span class="chunk-meta">@${node.offset.toLocaleString()} · ${node.size.toLocaleString()} B${flag}</span>`;
+            li.addEventListener('click', () => {
+                tree.querySelectorAll('.chunk-tree-item.selected').forEach(el => el.classList.remove('selected'));
+                li.classList.add('selected');
+                this.showChunkHexDump(item.file, node);
+            });
+            tree.appendChild(li);
+            (node.children || []).forEach(child => addNode(child, depth + 1));
+        };
+
+        addNode({ id: root.id, listType: root.formType, offset: root.offset, size: root.size }, 0);
+        root.children.forEach(child => addNode(child, 1));
+    }
+
+    /**
+     * Show a hex/ASCII dump of one chunk (header included, capped at 64 KB)
+     * @param {File} file - File containing the chunk
+     * @param {Object} node - Chunk node from scanChunkTree
+     */
+    async showChunkHexDump(file, node) {
+        const MAX_DUMP_BYTES = 64 * 1024;
+        const info = document.getElementById('chunk-detail-info');
+        const hex = document.getElementById('chunk-hex');
+
+        const totalBytes = Math.min(8 + node.size, file.size - node.offset);
+        const dumpBytes = Math.min(totalBytes, MAX_DUMP_BYTES);
+        const bytes = new Uint8Array(await file.slice(node.offset, node.offset + dumpBytes).arrayBuffer());
+
+        info.textContent = `${node.id}: offset ${node.offset.toLocaleString()} (0x${node.offset.toString(16).toUpperCase()}), ` +
+            `size ${node.size.toLocaleString()} bytes` +
+            (dumpBytes < totalBytes ? ` — showing first ${dumpBytes.toLocaleString()} bytes` : '');
+        hex.textContent = this.metadataHandler.formatHexDump(bytes, node.offset);
+    }
+
     async viewBEXT() {
         const item = this.getSelectedFileForDiagnostics();
         if (!item) return;
 
+        this.populateBextFieldsForm(item.metadata);
+
         try {
             const content = document.getElementById('bext-content');
             
@@ -3696,6 +6084,70 @@ class App {
         }
     }
 
+    populateBextFieldsForm(metadata) {
+        const setVal = (id, value) => {
+            const el = document.getElementById(id);
+            if (el) el.value = value === null || value === undefined ? '' : value;
+        };
+        setVal('bext-umid', metadata?.umid);
+        setVal('bext-loudness-value', metadata?.loudnessValue);
+        setVal('bext-loudness-range', metadata?.loudnessRange);
+        setVal('bext-max-true-peak', metadata?.maxTruePeakLevel);
+        setVal('bext-max-momentary', metadata?.maxMomentaryLoudness);
+        setVal('bext-max-short-term', metadata?.maxShortTermLoudness);
+        setVal('bext-coding-history', metadata?.codingHistory);
+    }
+
+    applyBextFields() {
+        // Loudness and UMID are per-file values, so only a single top-level file can be edited
+        if (this.selectedIndices.size !== 1 || this.selectedChildren.size > 0) {
+            alert('Please select exactly one file to edit bEXT fields.');
+            return;
+        }
+        const index = Array.from(this.selectedIndices)[0];
+        const item = this.files[index];
+        if (!item || item.isGroup) {
+            alert('bEXT fields can only be edited on a single file, not a sibling group.');
+            return;
+        }
+
+        const umid = document.getElementById('bext-umid').value.replace(/\s+/g, '');
+        if (umid && (!/^[0-9a-fA-F]+$/.test(umid) || (umid.length !== 64 && umid.length !== 128))) {
+            alert('UMID must be 64 hex digits (basic UMID) or 128 hex digits (extended UMID).');
+            return;
+        }
+
+        const loudnessInputs = {
+            loudnessValue: 'bext-loudness-value',
+            loudnessRange: 'bext-loudness-range',
+            maxTruePeakLevel: 'bext-max-true-peak',
+            maxMomentaryLoudness: 'bext-max-momentary',
+            maxShortTermLoudness: 'bext-max-short-term'
+        };
+        const updates = { umid: umid.toLowerCase() };
+        for (const [key, id] of Object.entries(loudnessInputs)) {
+            const raw = document.getElementById(id).value.trim();
+            if (raw === '') {
+                updates[key] = null;
+                continue;
+            }
+            const value = parseFloat(raw);
+            // Stored as int16 hundredths; 0x7FFF is reserved for "not set"
+            if (isNaN(value) || value < -327.68 || value > 327.66) {
+                alert(`Invalid value for ${key}: ${raw}`);
+                return;
+            }
+            updates[key] = value;
+        }
+        updates.codingHistory = document.getElementById('bext-coding-history').value.replace(/\r?\n/g, '\r\n');
+
+        console.log('Applying bEXT fields:', updates);
+        Object.entries(updates).forEach(([key, value]) => this.updateMetadata(index, key, value));
+        if (!this.autoSaveEnabled) {
+            this.showToast('bEXT fields updated - save to write them to the file', 'info', 3000);
+        }
+    }
+
     // Debug function to corrupt iXML for testing repair functionality
     async corruptIXMLForTesting(corruptionType = 'missing-closing-tag') {
         if (this.selectedIndices.size !== 1) {
@@ -4229,15 +6681,8 @@ class App {
             // Get FPS first to convert frames to seconds accurately
             let fpsExact = sourceFile.metadata.fpsExact;
             if (!fpsExact && sourceFile.metadata.fps) {
-                // Convert fps string to fpsExact fraction
-                if (sourceFile.metadata.fps === '23.98') {
-                    fpsExact = { numerator: 24000, denominator: 1001 };
-                } else if (sourceFile.metadata.fps === '29.97') {
-                    fpsExact = { numerator: 30000, denominator: 1001 };
-                } else {
-                    const fpsNum = parseFloat(sourceFile.metadata.fps);
-                    fpsExact = { numerator: fpsNum, denominator: 1 };
-                }
+                // Convert fps string to fpsExact fraction
+                fpsExact = this.metadataHandler.fpsToExact(sourceFile.metadata.fps);
             } else {
                 fpsExact = fpsExact || { numerator: 24, denominator: 1 };
             }
@@ -4304,7 +6749,8 @@ class App {
                 sampleRate: sampleRate,
                 // Don't copy ixmlRaw and bextRaw so we create fresh chunks with correct metadata
                 ixmlRaw: undefined,
-                bextRaw: undefined
+                bextRaw: undefined,
+                ...this.metadataHandler.deriveHistory(sourceFile.metadata)
             };
 
             // If source has bEXT but no iXML, extract track names from bEXT description
@@ -4326,54 +6772,15 @@ class App {
             // Create audio file
             let blob;
             if (format === 'wav') {
-                const wavBuffer = this.audioProcessor.createWavFile(extractedBuffer, bitDepth, null, exportMetadata);
-                
                 // Create bEXT and iXML chunks with timecode information
                 const bextChunk = this.metadataHandler.createBextChunk(exportMetadata);
                 const ixmlChunk = this.metadataHandler.createIXMLChunk(exportMetadata);
-                
-                // Calculate padding and sizes
-                const bextPadding = bextChunk.byteLength % 2 !== 0 ? 1 : 0;
-                const ixmlPadding = ixmlChunk.byteLength % 2 !== 0 ? 1 : 0;
-                const bextTotalSize = 8 + bextChunk.byteLength + bextPadding;
-                const ixmlTotalSize = 8 + ixmlChunk.byteLength + ixmlPadding;
-                
-                // Calculate new file size
-                const wavView = new DataView(wavBuffer);
-                const wavArray = new Uint8Array(wavBuffer);
-                const riffSize = wavView.getUint32(4, true);
-                const oldFileSize = riffSize + 8;
-                const newFileSize = oldFileSize + bextTotalSize + ixmlTotalSize;
-                
-                // Create new buffer with both chunks
-                const newWavBuffer = new Uint8Array(newFileSize);
-                newWavBuffer.set(wavArray);
-                
-                const chunkView = new DataView(newWavBuffer.buffer);
-                
-                // Write bEXT chunk
-                let chunkOffset = oldFileSize;
-                newWavBuffer[chunkOffset] = 0x62;     // 'b'
-                newWavBuffer[chunkOffset + 1] = 0x65; // 'e'
-                newWavBuffer[chunkOffset + 2] = 0x78; // 'x'
-                newWavBuffer[chunkOffset + 3] = 0x74; // 't'
-                chunkView.setUint32(chunkOffset + 4, bextChunk.byteLength, true);
-                newWavBuffer.set(new Uint8Array(bextChunk), chunkOffset + 8);
-                
-                // Write iXML chunk
-                chunkOffset = oldFileSize + bextTotalSize;
-                newWavBuffer[chunkOffset] = 0x69;     // 'i'
-                newWavBuffer[chunkOffset + 1] = 0x58; // 'X'
-                newWavBuffer[chunkOffset + 2] = 0x4D; // 'M'
-                newWavBuffer[chunkOffset + 3] = 0x4C; // 'L'
-                chunkView.setUint32(chunkOffset + 4, ixmlChunk.byteLength, true);
-                newWavBuffer.set(new Uint8Array(ixmlChunk), chunkOffset + 8);
-                
-                // Update RIFF size
-                const newRiffSize = newFileSize - 8;
-                chunkView.setUint32(4, newRiffSize, true);
-                
-                blob = new Blob([newWavBuffer.buffer], { type: 'audio/wav' });
+
+                // Written after the audio in one pass (as RF64 if the result exceeds 4 GB)
+                blob = this.audioProcessor.createWavFile(extractedBuffer, bitDepth, null, exportMetadata, [
+                    { id: 'bext', data: bextChunk },
+                    { id: 'iXML', data: ixmlChunk }
+                ]);
             } else {
                 // MP3 export
                 if (typeof lamejs === 'undefined') {
@@ -4689,6 +7096,140 @@ class App {
         }
     }
 
+    /**
+     * Convert selected WAV files between RIFF and RF64 containers
+     * Patches the header in place when the file has a JUNK/ds64 placeholder,
+     * otherwise rewrites the file (up to 2 GB, which fits in memory).
+     * @param {string} target - 'RF64' or 'RIFF'
+     */
+    async handleConvertContainer(target) {
+        const targets = Array.from(this.selectedIndices)
+            .map(index => this.files[index])
+            .filter(item => this.isWavItem(item) && item.handle);
+        if (targets.length === 0) {
+            alert('Please select at least one WAV file to convert.');
+            return;
+        }
+
+        const label = target === 'RF64' ? 'RF64' : 'WAV';
+        const MAX_REWRITE_SIZE = 2 * 1024 * 1024 * 1024;
+        let successCount = 0;
+        const failedFiles = [];
+
+        try {
+            document.body.style.cursor = 'wait';
+            for (const item of targets) {
+                try {
+                    const patched = await this.metadataHandler.convertWavContainerInPlace(item.handle, item.file, target);
+                    if (!patched) {
+                        if (item.file.size > MAX_REWRITE_SIZE) {
+                            throw new Error('File is too large to rewrite and has no JUNK placeholder for an in-place conversion');
+                        }
+                        const buffer = await item.file.arrayBuffer();
+                        const converted = this.metadataHandler.convertWavContainer(buffer, target);
+                        const saved = await this.fileIO.saveFile(item.handle, converted);
+                        if (!saved) throw new Error('Could not write file');
+                    }
+
+                    item.file = await item.handle.getFile();
+                    const newMetadata = await this.metadataHandler.parseFile(item.file);
+                    item.metadata = { ...item.metadata, ...newMetadata };
+                    successCount++;
+                } catch (err) {
+                    console.error(`[handleConvertContainer] Failed to convert ${item.metadata.filename}:`, err);
+                    failedFiles.push(`${item.metadata.filename}: ${err.message}`);
+                }
+            }
+
+            const tbody = document.getElementById('file-list-body');
+            tbody.innerHTML = '';
+            this.files.forEach((file, i) => this.addTableRow(i, file.metadata));
+            this.updateSelectionUI();
+
+            let message = `✅ Converted ${successCount} file(s) to ${label}`;
+            if (failedFiles.length > 0) {
+                message += `\n\n⚠️ Failed to convert ${failedFiles.length} file(s):\n${failedFiles.join('\n')}`;
+            }
+            alert(message);
+        } finally {
+            document.body.style.cursor = 'default';
+        }
+    }
+
+    /**
+     * Re-stamp selected pull-up/pull-down recordings at their standard rate (48048/47952 Hz → 48 kHz)
+     * The fmt rate and timestamp rate become 48 kHz so the files play at speed in post; the start
+     * timecode label is kept and DIGITIZER_SAMPLE_RATE still records the capture rate.
+     */
+    async handleRestampNominal() {
+        const targets = [];
+        Array.from(this.selectedIndices).sort((a, b) => a - b).forEach(index => {
+            const item = this.files[index];
+            (item.isGroup ? item.siblings : [item]).forEach(target => {
+                const pull = this.metadataHandler.pullInfo(target.metadata);
+                if (this.isWavItem(target) && target.handle && pull && !pull.restamped) targets.push(target);
+            });
+        });
+        if (targets.length === 0) {
+            alert('None of the selected WAV files need re-stamping (no pull-up/pull-down sample rate).');
+            return;
+        }
+
+        const rates = [...new Set(targets.map(t => this.metadataHandler.pullInfo(t.metadata).nominalRate))];
+        if (!confirm(`Re-stamp ${targets.length} file(s) as ${rates.map(r => `${r / 1000}k`).join('/')}?\n\n` +
+            'The sample rate in the file header changes (the audio is not resampled), so the files play ' +
+            '0.1% slower or faster. Start timecode is kept.')) {
+            return;
+        }
+
+        let successCount = 0;
+        const failedFiles = [];
+
+        try {
+            document.body.style.cursor = 'wait';
+            for (const target of targets) {
+                try {
+                    const { nominalRate } = this.metadataHandler.pullInfo(target.metadata);
+                    // null when patched in place; otherwise a rewritten file (needs the whole file in memory)
+                    const blob = await this.metadataHandler.restampWav(target.handle, target.file, target.metadata, nominalRate);
+                    if (blob && !await this.fileIO.saveFile(target.handle, blob)) {
+                        throw new Error('Could not write file');
+                    }
+
+                    target.file = await target.handle.getFile();
+                    const newMetadata = await this.metadataHandler.parseFile(target.file);
+                    target.metadata = { ...target.metadata, ...newMetadata };
+                    successCount++;
+                } catch (err) {
+                    console.error(`[handleRestampNominal] Failed to re-stamp ${target.metadata.filename}:`, err);
+                    failedFiles.push(`${target.metadata.filename}: ${err.message}`);
+                }
+            }
+
+            // Group rows show the first sibling's rate and timecode
+            this.files.filter(item => item.isGroup).forEach(group => {
+                const first = group.siblings[0].metadata;
+                ['sampleRate', 'fileSampleRate', 'digitizerSampleRate', 'timestampSampleRate',
+                    'timeReference', 'tcStart', 'durationSec', 'duration'].forEach(key => {
+                    group.metadata[key] = first[key];
+                });
+            });
+
+            const tbody = document.getElementById('file-list-body');
+            tbody.innerHTML = '';
+            this.files.forEach((file, i) => this.addTableRow(i, file.metadata));
+            this.updateSelectionUI();
+
+            let message = `✅ Re-stamped ${successCount} file(s)`;
+            if (failedFiles.length > 0) {
+                message += `\n\n⚠️ Failed to re-stamp ${failedFiles.length} file(s):\n${failedFiles.join('\n')}`;
+            }
+            alert(message);
+        } finally {
+            document.body.style.cursor = 'default';
+        }
+    }
+
     secondsToDuration(seconds, fpsExact = null) {
         // If fpsExact is provided, use frame-accurate calculation
         if (fpsExact !== null && fpsExact !== 24) {
@@ -4854,7 +7395,7 @@ class App {
     calculateEndTCFromLength(startTC, length, fpsExact) {
         // Ensure length has frames field (pad with :00 if missing)
         let lengthWithFrames = length;
-        if (length.split(':').length === 3) {
+        if (length.split(/[:;]/).length === 3) {
             lengthWithFrames = length + ':00';
         }
         
@@ -4890,14 +7431,7 @@ class App {
             // Get FPS for comparison
             let fpsExact = metadata.fpsExact || { numerator: 24, denominator: 1 };
             if (!metadata.fpsExact && metadata.fps) {
-                if (metadata.fps === '23.98') {
-                    fpsExact = { numerator: 24000, denominator: 1001 };
-                } else if (metadata.fps === '29.97') {
-                    fpsExact = { numerator: 30000, denominator: 1001 };
-                } else {
-                    const fpsNum = parseFloat(metadata.fps);
-                    fpsExact = { numerator: fpsNum, denominator: 1 };
-                }
+                fpsExact = this.metadataHandler.fpsToExact(metadata.fps) || fpsExact;
             }
 
             // Convert to seconds for comparison
@@ -5005,14 +7539,7 @@ class App {
                 if (firstMatch.metadata.fpsExact) {
                     fpsExact = firstMatch.metadata.fpsExact;
                 } else if (firstMatch.metadata.fps) {
-                    if (firstMatch.metadata.fps === '23.98') {
-                        fpsExact = { numerator: 24000, denominator: 1001 };
-                    } else if (firstMatch.metadata.fps === '29.97') {
-                        fpsExact = { numerator: 30000, denominator: 1001 };
-                    } else {
-                        const fpsNum = parseFloat(firstMatch.metadata.fps);
-                        fpsExact = { numerator: fpsNum, denominator: 1 };
-                    }
+                    fpsExact = this.metadataHandler.fpsToExact(firstMatch.metadata.fps) || fpsExact;
                 }
 
                 // Recalculate end TC with correct FPS
@@ -5370,6 +7897,34 @@ class App {
         return handle;
     }
 
+    /**
+     * Encode an AudioBuffer as FLAC with scene/take/tape/notes/TC in Vorbis comments
+     * @param {AudioBuffer} audioBuffer - Audio to encode
+     * @param {number} bitDepth - 16 or 24
+     * @param {Object} metadata - Metadata for the Vorbis comment block
+     * @returns {Blob} FLAC file blob
+     */
+    encodeFlacBlob(audioBuffer, bitDepth, metadata) {
+        const channelData = [];
+        for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) {
+            channelData.push(audioBuffer.getChannelData(ch));
+        }
+        const flacMetadata = { ...metadata, sampleRate: audioBuffer.sampleRate };
+        // Audio rendered at another rate (e.g. a mix at the AudioContext rate): TIME_REFERENCE
+        // counts samples of the new stream, so convert it to keep the same start TC
+        if (metadata.sampleRate && metadata.sampleRate !== audioBuffer.sampleRate && metadata.timeReference !== undefined) {
+            const tcRate = this.metadataHandler.timecodeSampleRate(metadata);
+            flacMetadata.timeReference = Math.round(metadata.timeReference / tcRate * audioBuffer.sampleRate);
+            delete flacMetadata.timestampSampleRate;
+        }
+        const blocks = [
+            { type: 4, data: this.metadataHandler.createVorbisCommentBlock(flacMetadata) },
+            { type: 1, data: new Uint8Array(4096) } // PADDING, room for later tag edits
+        ];
+        const bytes = this.flacCodec.encode(channelData, audioBuffer.sampleRate, bitDepth, blocks);
+        return new Blob([bytes], { type: 'audio/flac' });
+    }
+
     // ========== End Multi-Process Helper Methods ==========
 
     openMultiProcessModal() {
@@ -5815,8 +8370,9 @@ class App {
         const rename = document.getElementById('mp-rename').checked;
         const outputBitDepth = document.getElementById('mp-output-bitdepth').value;
         const convertBitDepth = outputBitDepth !== 'same';
+        const encodeFlac = document.getElementById('mp-output-format').value === 'flac';
 
-        if (!extractAudio && !combineToPoly && !normalize && !rename && !convertBitDepth) {
+        if (!extractAudio && !combineToPoly && !normalize && !rename && !convertBitDepth && !encodeFlac) {
             alert('Please select at least one process to execute.');
             return;
         }
@@ -5827,6 +8383,11 @@ class App {
             return;
         }
 
+        if (encodeFlac && !extractAudio && this.selectedIndices.size === 0) {
+            alert('Please select at least one file to encode as FLAC.');
+            return;
+        }
+
         // If Extract Audio is enabled, at least one file must be selected
         if (extractAudio && this.selectedIndices.size === 0) {
             alert('Please select at least one file.');
@@ -5893,6 +8454,7 @@ class App {
             renameCustom2: rename ? document.getElementById('mp-rename-custom2').value : '',
             renameCustom3: rename ? document.getElementById('mp-rename-custom3').value : '',
             outputBitDepth: document.getElementById('mp-output-bitdepth').value,
+            outputFormat: document.getElementById('mp-output-format').value,
             keepIntermediateFiles: document.getElementById('mp-keep-intermediate').checked,
             outputDirHandle
         };
@@ -6084,6 +8646,27 @@ class App {
                 }
             }
 
+            // STEP 7: Encode FLAC
+            if (options.outputFormat === 'flac') {
+                console.log('[MultiProcess] Step 7: Encoding FLAC...');
+                this.updateMPProgress(7, 7, 'Encoding FLAC...');
+                const previousFiles = [...processedFiles];
+                const encoded = await this.mpEncodeFlac(processedFiles, options);
+                successCount += encoded.filter(f => f.success).length;
+                failCount += encoded.filter(f => !f.success).length;
+                processedFiles = encoded.filter(f => f.success).map(f => f.fileObj);
+
+                // WAVs created earlier in the pipeline are superseded by the FLAC output;
+                // never remove the user's original selection
+                if (!options.keepIntermediateFiles) {
+                    previousFiles.forEach(f => {
+                        if (!selectedFiles.includes(f) && !intermediateFiles.includes(f)) {
+                            intermediateFiles.push(f);
+                        }
+                    });
+                }
+            }
+
             // Clean up intermediate files if not keeping them
             if (!options.keepIntermediateFiles && intermediateFiles.length > 0) {
                 console.log(`[MultiProcess] Cleaning up ${intermediateFiles.length} intermediate file(s)...`);
@@ -6210,14 +8793,7 @@ class App {
                     if (firstMatch.metadata.fpsExact) {
                         fpsExact = firstMatch.metadata.fpsExact;
                     } else if (firstMatch.metadata.fps) {
-                        if (firstMatch.metadata.fps === '23.98') {
-                            fpsExact = { numerator: 24000, denominator: 1001 };
-                        } else if (firstMatch.metadata.fps === '29.97') {
-                            fpsExact = { numerator: 30000, denominator: 1001 };
-                        } else {
-                            const fpsNum = parseFloat(firstMatch.metadata.fps);
-                            fpsExact = { numerator: fpsNum, denominator: 1 };
-                        }
+                        fpsExact = this.metadataHandler.fpsToExact(firstMatch.metadata.fps) || fpsExact;
                     }
 
                     // Recalculate end TC with correct FPS
@@ -6406,20 +8982,19 @@ class App {
                         trackNames: ['Mix'],
                         bitDepth: bitDepth,
                         filename: fileName,
-                        isMixExport: true // Flag for metadata regeneration
+                        isMixExport: true, // Flag for metadata regeneration
+                        ...this.metadataHandler.deriveHistory(baseMetadata)
                     };
 
                     // Create WAV file with metadata
                     const originalBuffer = await group[0].file.arrayBuffer();
-                    const wavBuffer = this.audioProcessor.createWavFile(
+                    const blob = this.audioProcessor.createWavFile(
                         mixedBuffer, 
                         bitDepth, 
                         originalBuffer, 
                         mixMetadata
                     );
 
-                    const blob = new Blob([wavBuffer], { type: 'audio/wav' });
-
                     // Save file
                     const fileHandle = await options.outputDirHandle.getFileHandle(fileName, { create: true });
                     const writable = await fileHandle.createWritable();
@@ -6572,13 +9147,6 @@ class App {
                 // Use first file's metadata as base (or mix file if present)
                 const baseMetadata = mixFile ? mixFile.metadata : group[0].metadata;
 
-                // Combine audio files using existing audioProcessor method
-                const combinedBlob = await this.audioProcessor.combineToPolyphonic(
-                    fileBuffers,
-                    trackNames,
-                    baseMetadata
-                );
-
                 // Determine bit depth
                 let bitDepth = 24;
                 if (options.outputBitDepth !== 'same') {
@@ -6592,21 +9160,22 @@ class App {
                     ...baseMetadata,
                     channels: fileBuffers.length,
                     trackNames: trackNames,
-                    bitDepth: bitDepth
+                    bitDepth: bitDepth,
+                    ...this.metadataHandler.deriveHistory(group[0].metadata)
                 };
 
+                // Combine audio files with the polyphonic metadata written in the same pass
+                const finalBlob = await this.audioProcessor.combineToPolyphonic(
+                    fileBuffers,
+                    trackNames,
+                    polyMetadata
+                );
+
                 // Create output filename based on first file
                 const nameWithoutExt = group[0].metadata.filename.replace(/\.[^/.]+$/, '');
                 const baseFileName = `${nameWithoutExt}_poly.wav`;
                 const fileName = await this.getUniqueFileName(options.outputDirHandle, baseFileName);
 
-                // Add metadata to combined file
-                const combinedArrayBuffer = await combinedBlob.arrayBuffer();
-                const finalBlob = await this.metadataHandler.saveWav(
-                    { arrayBuffer: async () => combinedArrayBuffer },
-                    polyMetadata
-                );
-
                 // Save file
                 const fileHandle = await options.outputDirHandle.getFileHandle(fileName, { create: true });
                 const writable = await fileHandle.createWritable();
@@ -6670,58 +9239,20 @@ class App {
                 // Prepare metadata - preserve all original metadata but update bit depth
                 const exportMetadata = {
                     ...fileObj.metadata,
-                    bitDepth: targetBitDepth
+                    bitDepth: targetBitDepth,
+                    ...this.metadataHandler.deriveHistory(fileObj.metadata)
                 };
 
-                // Create base WAV file with new bit depth
-                const wavBuffer = this.audioProcessor.createWavFile(audioBuffer, targetBitDepth, null, exportMetadata);
-                console.log(`[MultiProcess] WAV buffer created: ${wavBuffer.byteLength} bytes`);
-                
                 // Create bEXT and iXML chunks with metadata
                 const bextChunk = this.metadataHandler.createBextChunk(exportMetadata);
                 const ixmlChunk = this.metadataHandler.createIXMLChunk(exportMetadata);
-                
-                // Calculate padding and sizes
-                const bextPadding = bextChunk.byteLength % 2 !== 0 ? 1 : 0;
-                const ixmlPadding = ixmlChunk.byteLength % 2 !== 0 ? 1 : 0;
-                const bextTotalSize = 8 + bextChunk.byteLength + bextPadding;
-                const ixmlTotalSize = 8 + ixmlChunk.byteLength + ixmlPadding;
-                
-                // Calculate new file size
-                const wavView = new DataView(wavBuffer);
-                const wavArray = new Uint8Array(wavBuffer);
-                const riffSize = wavView.getUint32(4, true);
-                const oldFileSize = riffSize + 8;
-                const newFileSize = oldFileSize + bextTotalSize + ixmlTotalSize;
-                
-                // Create new buffer with metadata chunks
-                const newWavBuffer = new Uint8Array(newFileSize);
-                newWavBuffer.set(wavArray);
-                
-                const chunkView = new DataView(newWavBuffer.buffer);
-                
-                // Write bEXT chunk
-                let chunkOffset = oldFileSize;
-                newWavBuffer[chunkOffset] = 0x62;     // 'b'
-                newWavBuffer[chunkOffset + 1] = 0x65; // 'e'
-                newWavBuffer[chunkOffset + 2] = 0x78; // 'x'
-                newWavBuffer[chunkOffset + 3] = 0x74; // 't'
-                chunkView.setUint32(chunkOffset + 4, bextChunk.byteLength, true);
-                newWavBuffer.set(new Uint8Array(bextChunk), chunkOffset + 8);
-                chunkOffset += bextTotalSize;
-                
-                // Write iXML chunk
-                newWavBuffer[chunkOffset] = 0x69;     // 'i'
-                newWavBuffer[chunkOffset + 1] = 0x58; // 'X'
-                newWavBuffer[chunkOffset + 2] = 0x4d; // 'M'
-                newWavBuffer[chunkOffset + 3] = 0x4c; // 'L'
-                chunkView.setUint32(chunkOffset + 4, ixmlChunk.byteLength, true);
-                newWavBuffer.set(new Uint8Array(ixmlChunk), chunkOffset + 8);
-                
-                // Update RIFF file size
-                chunkView.setUint32(4, newFileSize - 8, true);
-                
-                const blob = new Blob([newWavBuffer], { type: 'audio/wav' });
+
+                // WAV file with the new bit depth, written in one pass (as RF64 if the result exceeds 4 GB)
+                const blob = this.audioProcessor.createWavFile(audioBuffer, targetBitDepth, null, exportMetadata, [
+                    { id: 'bext', data: bextChunk },
+                    { id: 'iXML', data: ixmlChunk }
+                ]);
+                console.log(`[MultiProcess] WAV file created: ${blob.size} bytes`);
 
                 // Write to file
                 console.log(`[MultiProcess] Writing file to output directory...`);
@@ -6755,6 +9286,53 @@ class App {
         return results;
     }
 
+    async mpEncodeFlac(fileList, options) {
+        const results = [];
+        // FLAC has no float format; 32-bit float sources are encoded at 24-bit
+        const requestedBitDepth = options.outputBitDepth === 'same' ? null : (options.outputBitDepth === '32f' ? 24 : parseInt(options.outputBitDepth));
+
+        for (const fileObj of fileList) {
+            try {
+                if (fileObj.metadata.format === 'FLAC') {
+                    console.log(`[MultiProcess] Skipping ${fileObj.metadata.filename} - already FLAC`);
+                    results.push({ success: true, fileObj: fileObj });
+                    continue;
+                }
+
+                console.log(`[MultiProcess] Encoding ${fileObj.metadata.filename} to FLAC...`);
+                const arrayBuffer = await fileObj.file.arrayBuffer();
+                const audioBuffer = await this.audioEngine.decodeAtNativeRate(arrayBuffer);
+
+                const bitDepth = requestedBitDepth || ((fileObj.metadata.bitDepth || 24) <= 16 ? 16 : 24);
+                const blob = this.encodeFlacBlob(audioBuffer, bitDepth, fileObj.metadata);
+
+                const nameWithoutExt = fileObj.metadata.filename.replace(/\.[^/.]+$/, '');
+                const fileName = await this.getUniqueFileName(options.outputDirHandle, `${nameWithoutExt}.flac`);
+                const fileHandle = await options.outputDirHandle.getFileHandle(fileName, { create: true });
+                const writable = await fileHandle.createWritable();
+                await writable.write(blob);
+                await writable.close();
+
+                const newFile = await fileHandle.getFile();
+                const metadata = await this.metadataHandler.parseFile(newFile);
+                const newFileObj = {
+                    handle: fileHandle,
+                    metadata: metadata,
+                    file: newFile,
+                    isGroup: false
+                };
+                this.files.push(newFileObj);
+                results.push({ success: true, fileObj: newFileObj });
+
+            } catch (err) {
+                console.error(`[MultiProcess] Failed to encode ${fileObj.metadata.filename} as FLAC:`, err);
+                results.push({ success: false, error: err.message });
+            }
+        }
+
+        return results;
+    }
+
     async mpNormalize(fileList, options) {
         const results = [];
 
@@ -6824,57 +9402,19 @@ class App {
                 // Prepare metadata - preserve all original metadata
                 const exportMetadata = {
                     ...fileObj.metadata,
-                    bitDepth: bitDepth
+                    bitDepth: bitDepth,
+                    ...this.metadataHandler.deriveHistory(fileObj.metadata)
                 };
 
-                // Create base WAV file
-                const wavBuffer = this.audioProcessor.createWavFile(normalizedBuffer, bitDepth, null, exportMetadata);
-                
                 // Create bEXT and iXML chunks with metadata
                 const bextChunk = this.metadataHandler.createBextChunk(exportMetadata);
                 const ixmlChunk = this.metadataHandler.createIXMLChunk(exportMetadata);
-                
-                // Calculate padding and sizes
-                const bextPadding = bextChunk.byteLength % 2 !== 0 ? 1 : 0;
-                const ixmlPadding = ixmlChunk.byteLength % 2 !== 0 ? 1 : 0;
-                const bextTotalSize = 8 + bextChunk.byteLength + bextPadding;
-                const ixmlTotalSize = 8 + ixmlChunk.byteLength + ixmlPadding;
-                
-                // Calculate new file size
-                const wavView = new DataView(wavBuffer);
-                const wavArray = new Uint8Array(wavBuffer);
-                const riffSize = wavView.getUint32(4, true);
-                const oldFileSize = riffSize + 8;
-                const newFileSize = oldFileSize + bextTotalSize + ixmlTotalSize;
-                
-                // Create new buffer with metadata chunks
-                const newWavBuffer = new Uint8Array(newFileSize);
-                newWavBuffer.set(wavArray);
-                
-                const chunkView = new DataView(newWavBuffer.buffer);
-                
-                // Write bEXT chunk
-                let chunkOffset = oldFileSize;
-                newWavBuffer[chunkOffset] = 0x62;     // 'b'
-                newWavBuffer[chunkOffset + 1] = 0x65; // 'e'
-                newWavBuffer[chunkOffset + 2] = 0x78; // 'x'
-                newWavBuffer[chunkOffset + 3] = 0x74; // 't'
-                chunkView.setUint32(chunkOffset + 4, bextChunk.byteLength, true);
-                newWavBuffer.set(new Uint8Array(bextChunk), chunkOffset + 8);
-                chunkOffset += bextTotalSize;
-                
-                // Write iXML chunk
-                newWavBuffer[chunkOffset] = 0x69;     // 'i'
-                newWavBuffer[chunkOffset + 1] = 0x58; // 'X'
-                newWavBuffer[chunkOffset + 2] = 0x4d; // 'M'
-                newWavBuffer[chunkOffset + 3] = 0x4c; // 'L'
-                chunkView.setUint32(chunkOffset + 4, ixmlChunk.byteLength, true);
-                newWavBuffer.set(new Uint8Array(ixmlChunk), chunkOffset + 8);
-                
-                // Update RIFF file size
-                chunkView.setUint32(4, newFileSize - 8, true);
-                
-                const blob = new Blob([newWavBuffer], { type: 'audio/wav' });
+
+                // WAV file written in one pass (as RF64 if the result exceeds 4 GB)
+                const blob = this.audioProcessor.createWavFile(normalizedBuffer, bitDepth, null, exportMetadata, [
+                    { id: 'bext', data: bextChunk },
+                    { id: 'iXML', data: ixmlChunk }
+                ]);
 
                 // Save file
                 const fileHandle = await options.outputDirHandle.getFileHandle(fileName, { create: true });
@@ -6955,6 +9495,15 @@ class App {
                 await writable.write(fileBlob);
                 await writable.close();
 
+                // Record lineage on the renamed copy
+                if (this.isWavItem(fileObj)) {
+                    await this.metadataHandler.writeHistoryToFile(
+                        newFileHandle,
+                        fileObj.metadata,
+                        this.metadataHandler.deriveHistory(fileObj.metadata)
+                    );
+                }
+
                 // Parse the new file and create file object
                 const newFile = await newFileHandle.getFile();
                 const metadata = await this.metadataHandler.parseFile(newFile);
@@ -7218,6 +9767,7 @@ class App {
                     }
 
                     // Step 2: Convert bit depth (if needed)
+                    let output = arrayBuffer;
                     if (outputBitDepth !== 'same') {
                         console.log(`Converting to ${outputBitDepth}-bit...`);
                         
@@ -7232,60 +9782,21 @@ class App {
                             // Update metadata
                             target.metadata.bitDepth = targetBitDepthNum;
                             
-                            // Create base WAV file with target bit depth
-                            let wavBuffer = this.audioProcessor.createWavFile(audioBuffer, targetBitDepthNum, null, target.metadata);
-                            
                             // Preserve bEXT and iXML chunks
                             const bextChunk = this.metadataHandler.createBextChunk(target.metadata);
                             const ixmlChunk = this.metadataHandler.createIXMLChunk(target.metadata);
-                            
-                            // Calculate padding and sizes
-                            const bextPadding = bextChunk.byteLength % 2 !== 0 ? 1 : 0;
-                            const ixmlPadding = ixmlChunk.byteLength % 2 !== 0 ? 1 : 0;
-                            const bextTotalSize = 8 + bextChunk.byteLength + bextPadding;
-                            const ixmlTotalSize = 8 + ixmlChunk.byteLength + ixmlPadding;
-                            
-                            // Get current WAV size
-                            const wavView = new DataView(wavBuffer);
-                            const wavArray = new Uint8Array(wavBuffer);
-                            const riffSize = wavView.getUint32(4, true);
-                            const oldFileSize = riffSize + 8;
-                            const newFileSize = oldFileSize + bextTotalSize + ixmlTotalSize;
-                            
-                            // Create new buffer with metadata chunks
-                            const newWavBuffer = new Uint8Array(newFileSize);
-                            newWavBuffer.set(wavArray);
-                            
-                            const chunkView = new DataView(newWavBuffer.buffer);
-                            
-                            // Write bEXT chunk
-                            let chunkOffset = oldFileSize;
-                            newWavBuffer[chunkOffset] = 0x62;     // 'b'
-                            newWavBuffer[chunkOffset + 1] = 0x65; // 'e'
-                            newWavBuffer[chunkOffset + 2] = 0x78; // 'x'
-                            newWavBuffer[chunkOffset + 3] = 0x74; // 't'
-                            chunkView.setUint32(chunkOffset + 4, bextChunk.byteLength, true);
-                            newWavBuffer.set(new Uint8Array(bextChunk), chunkOffset + 8);
-                            chunkOffset += bextTotalSize;
-                            
-                            // Write iXML chunk
-                            newWavBuffer[chunkOffset] = 0x69;     // 'i'
-                            newWavBuffer[chunkOffset + 1] = 0x58; // 'X'
-                            newWavBuffer[chunkOffset + 2] = 0x4d; // 'M'
-                            newWavBuffer[chunkOffset + 3] = 0x4c; // 'L'
-                            chunkView.setUint32(chunkOffset + 4, ixmlChunk.byteLength, true);
-                            newWavBuffer.set(new Uint8Array(ixmlChunk), chunkOffset + 8);
-                            
-                            // Update RIFF file size
-                            chunkView.setUint32(4, newFileSize - 8, true);
-                            
-                            arrayBuffer = newWavBuffer.buffer;
+
+                            // WAV file with target bit depth, written in one pass (as RF64 if the result exceeds 4 GB)
+                            output = this.audioProcessor.createWavFile(audioBuffer, targetBitDepthNum, null, target.metadata, [
+                                { id: 'bext', data: bextChunk },
+                                { id: 'iXML', data: ixmlChunk }
+                            ]);
                         }
                     }
 
                     // Save back to file
                     const writable = await target.handle.createWritable();
-                    await writable.write(arrayBuffer);
+                    await writable.write(output);
                     await writable.close();
 
                     // Refresh file object on the target
@@ -7506,13 +10017,13 @@ class App {
             if (endTCSeconds < earliestEndTCSeconds) {
                 earliestEndTCSeconds = endTCSeconds;
                 // Calculate end TC from the start of this file
-                const tcStartHMS = tcStart ? tcStart.split(':').slice(0, 3).join(':') : '00:00:00';
+                const tcStartHMS = tcStart ? tcStart.split(/[:;]/).slice(0, 3).join(':') : '00:00:00';
                 earliestEndTC = this.addSecondsToTimecode(tcStartHMS, durationSeconds);
             }
         }
 
         // Convert to HH:MM:SS format (remove frames if present)
-        const startTCHMS = highestTCStart ? highestTCStart.split(':').slice(0, 3).join(':') : '00:00:00';
+        const startTCHMS = highestTCStart ? highestTCStart.split(/[:;]/).slice(0, 3).join(':') : '00:00:00';
         const endTCHMS = earliestEndTC || '00:00:00';
         
         document.getElementById('export-tc-start').value = startTCHMS;
@@ -7694,10 +10205,9 @@ class App {
                     
                     // Flag this as a mix export requiring metadata regeneration
                     mixMetadata.isMixExport = true;
+                    Object.assign(mixMetadata, this.metadataHandler.deriveHistory(item.metadata));
                     
-                    const wavBuffer = this.audioProcessor.createWavFile(renderedBuffer, bitDepth, originalBuffer, mixMetadata);
-                    
-                    blob = new Blob([wavBuffer], { type: 'audio/wav' });
+                    blob = this.audioProcessor.createWavFile(renderedBuffer, bitDepth, originalBuffer, mixMetadata);
                 } else if (format === 'mp3') {
                     if (typeof lamejs === 'undefined') {
                         alert('lamejs library not loaded. Please refresh the page.');
@@ -7740,6 +10250,14 @@ class App {
                     if (mp3buf.length > 0) mp3Data.push(mp3buf);
 
                     blob = new Blob(mp3Data, { type: 'audio/mp3' });
+                } else if (format === 'flac') {
+                    const bitDepth = parseInt(document.getElementById('export-flac-bitdepth').value);
+                    const flacMetadata = { ...item.metadata };
+                    if (exportMetadata) {
+                        flacMetadata.timeReference = exportMetadata.timeReference;
+                    }
+                    flacMetadata.trackNames = renderedBuffer.numberOfChannels === 1 ? ['Mix'] : ['Mix L', 'Mix R'];
+                    blob = this.encodeFlacBlob(renderedBuffer, bitDepth, flacMetadata);
                 }
 
                 if (blob) {
@@ -7900,39 +10418,12 @@ class App {
         const tcStartSamples = this.currentFileMetadata.timeReference || 0;
         const totalSamples = samples + tcStartSamples;
 
-        // Get exact FPS fraction or fall back to parsed fps
-        let fpsExact = this.currentFileMetadata.fpsExact;
-        
-        if (!fpsExact) {
-            // Create fpsExact from fps string (e.g., "23.976" -> {numerator: 24000, denominator: 1001})
-            const fps = parseFloat(this.currentFileMetadata.fps) || 24;
-            // Simple approximation for common frame rates
-            if (Math.abs(fps - 23.976) < 0.01) {
-                fpsExact = { numerator: 24000, denominator: 1001 };
-            } else if (Math.abs(fps - 29.97) < 0.01) {
-                fpsExact = { numerator: 30000, denominator: 1001 };
-            } else if (Math.abs(fps - 59.94) < 0.01) {
-                fpsExact = { numerator: 60000, denominator: 1001 };
-            } else {
-                fpsExact = { numerator: Math.round(fps), denominator: 1 };
-            }
-        }
-
-        // Convert samples to total frames using exact fraction (matching samplesToTC logic)
-        const totalSeconds = totalSamples / this.currentFileMetadata.sampleRate;
-        const totalFrames = Math.floor(totalSeconds * fpsExact.numerator / fpsExact.denominator);
-
-        // Calculate timecode components
-        const framesPerSecond = Math.round(fpsExact.numerator / fpsExact.denominator);
-        const framesPerMinute = framesPerSecond * 60;
-        const framesPerHour = framesPerMinute * 60;
-
-        const h = Math.floor(totalFrames / framesPerHour);
-        const m = Math.floor((totalFrames % framesPerHour) / framesPerMinute);
-        const s = Math.floor((totalFrames % framesPerMinute) / framesPerSecond);
-        const f = totalFrames % framesPerSecond;
+        // Get exact FPS fraction or fall back to parsed fps (e.g., "29.97df" -> 30000/1001 drop-frame)
+        const fpsExact = this.currentFileMetadata.fpsExact ||
+            this.metadataHandler.fpsToExact(this.currentFileMetadata.fps || 24) ||
+            { numerator: 24, denominator: 1 };
 
-        return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}:${String(f).padStart(2, '0')}`;
+        return this.metadataHandler.samplesToTC(totalSamples, this.currentFileMetadata.sampleRate, fpsExact);
     }
 
     // ===== Cue Marker Methods =====
@@ -8076,11 +10567,15 @@ class App {
                     continue;
                 }
 
-                // Create cue chunk
+                // Create cue chunk, with names, comments and region lengths in LIST-adtl for other tools
                 const cueChunk = this.metadataHandler.createCueChunk(
                     this.cueMarkers.getAllSorted(),
                     sampleRate
                 );
+                const adtlData = this.metadataHandler.createAdtlChunk(
+                    this.cueMarkers.getAllSorted(),
+                    sampleRate
+                );
 
                 // Update iXML with sync points
                 const existingIXML = this.metadataHandler.getIXMLChunk(arrayBuffer);
@@ -8090,12 +10585,13 @@ class App {
                     sampleRate
                 );
 
-                // Write both chunks to file
+                // Write all chunks to file
                 await this.metadataHandler.updateCueMarkers(
                     target.handle,
                     arrayBuffer,
                     cueChunk,
-                    newIXML
+                    newIXML,
+                    adtlData
                 );
 
                 // Refresh file object
@@ -8124,28 +10620,40 @@ class App {
                 return;
             }
 
-            // Try loading from iXML first (has labels)
-            const ixmlString = this.metadataHandler.getIXMLChunk(arrayBuffer);
-            if (ixmlString) {
-                const syncPoints = this.metadataHandler.parseIXMLSyncPoints(ixmlString);
-                if (syncPoints && syncPoints.length > 0) {
-                    syncPoints.forEach(sp => {
-                        const time = sp.samplePosition / sampleRate;
-                        this.cueMarkers.add(time, sp.label || '');
-                    });
-                    console.log(`Loaded ${syncPoints.length} cue markers from iXML`);
-                    return;
-                }
+            // AIFF: markers come from the MARK chunk (parsed with metadata)
+            if (item.metadata.format === 'AIFF' || item.metadata.format === 'AIFC') {
+                (item.metadata.aiffMarkers || []).forEach(m => {
+                    this.cueMarkers.add(m.position / sampleRate, m.name || '');
+                });
+                console.log(`Loaded ${(item.metadata.aiffMarkers || []).length} cue markers from AIFF MARK chunk`);
+                return;
             }
 
-            // Fallback to cue chunk (no labels)
-            const cuePoints = this.metadataHandler.parseCueChunk(arrayBuffer);
+            const ixmlString = this.metadataHandler.getIXMLChunk(arrayBuffer);
+            const syncPoints = ixmlString ? this.metadataHandler.parseIXMLSyncPoints(ixmlString) || [] : [];
+
+            // Cue chunk first: other tools (Pro Tools, Reaper, Audition, Wavelab) edit it and its
+            // LIST-adtl labels. A point without an adtl label takes the iXML SYNC_POINT label at the same sample.
+            const cuePoints = this.metadataHandler.parseCueMarkers(arrayBuffer);
             if (cuePoints && cuePoints.length > 0) {
                 cuePoints.forEach(cp => {
-                    const time = cp.samplePosition / sampleRate;
-                    this.cueMarkers.add(time, '');
+                    const syncPoint = syncPoints.find(sp => sp.samplePosition === cp.samplePosition);
+                    this.cueMarkers.add(cp.samplePosition / sampleRate, cp.label || syncPoint?.label || '', {
+                        comment: cp.comment,
+                        duration: cp.length / sampleRate
+                    });
                 });
                 console.log(`Loaded ${cuePoints.length} cue markers from cue chunk`);
+                return;
+            }
+
+            // Fallback to iXML sync points (files without a cue chunk)
+            if (syncPoints.length > 0) {
+                syncPoints.forEach(sp => {
+                    const time = sp.samplePosition / sampleRate;
+                    this.cueMarkers.add(time, sp.label || '');
+                });
+                console.log(`Loaded ${syncPoints.length} cue markers from iXML`);
             }
         } catch (err) {
             console.error('Error loading cue markers:', err);
@@ -9125,15 +11633,15 @@ class App {
                     };
                     
                     // Convert bit depth using audioProcessor
-                    // createWavFile returns ArrayBuffer directly
-                    const convertedWavBuffer = this.audioProcessor.createWavFile(
+                    // createWavFile returns a Blob; the combine step needs the bytes
+                    const convertedWavBlob = this.audioProcessor.createWavFile(
                         decoded,
                         targetBitDepth,
                         arrayBuffer,
                         convertMetadata
                     );
                     
-                    convertedWavBuffers.push(convertedWavBuffer);
+                    convertedWavBuffers.push(await convertedWavBlob.arrayBuffer());
                 } catch (err) {
                     throw new Error(`Failed to convert ${sibling.metadata.filename} to ${targetBitDepth}-bit: ${err.message}`);
                 }
@@ -9145,7 +11653,8 @@ class App {
 
     /**
      * Combine polyphonic files by merging their channels
-     * Takes multiple poly files and creates one file with all channels
+     * Takes multiple poly files and creates one file with all channels,
+     * written with the bEXT, iXML and LIST-INFO of the given metadata
      */
     async combinePolyphonicFiles(wavBuffers, trackNames, metadata) {
         // Decode all WAV files to get their channel data
@@ -9200,14 +11709,13 @@ class App {
         }
         
         // Create WAV file from the output buffer
-        const wavBuffer = this.audioProcessor.createWavFile(
+        return this.audioProcessor.createWavFile(
             outputBuffer,
             metadata.bitDepth || 24,
             null,
-            { channels: totalChannels, trackNames: trackNames }
+            { channels: totalChannels, trackNames: trackNames },
+            this.metadataHandler.createMetadataChunks(metadata)
         );
-        
-        return new Blob([wavBuffer], { type: 'audio/wav' });
     }
 
     /**
@@ -9396,35 +11904,13 @@ class App {
                     }
                 }
 
-                // Phase 2: Combine WAV ArrayBuffers into polyphonic file
-                this.showToast(`Phase 2: Combining to polyphonic...`, 'info', 0);
-                
-                // Detect if combining mono or poly files
-                const firstFileChannels = group.siblings[0]?.metadata?.channels || 1;
-                let combinedBlob;
-                
-                if (firstFileChannels === 1) {
-                    // Combine mono files using the standard method
-                    combinedBlob = await this.audioProcessor.combineToPolyphonic(
-                        convertedWavBuffers,
-                        trackNames,
-                        group.metadata
-                    );
-                } else {
-                    // Combine poly files by merging channels
-                    combinedBlob = await this.combinePolyphonicFiles(
-                        convertedWavBuffers,
-                        trackNames,
-                        { ...group.metadata, bitDepth: targetBitDepth }
-                    );
-                }
-
                 // Prepare metadata for polyphonic file
                 const polyMetadata = {
                     ...group.metadata,
                     bitDepth: targetBitDepth,
                     channels: group.siblings.reduce((sum, sib) => sum + (sib.metadata?.channels || 1), 0),
-                    trackNames: trackNames
+                    trackNames: trackNames,
+                    ...this.metadataHandler.deriveHistory(group.siblings[0].metadata)
                 };
 
                 // Generate output filename using RenameManager
@@ -9437,12 +11923,28 @@ class App {
                 // Update metadata with generated filename
                 polyMetadata.filename = outputFilename;
 
-                // Add metadata to combined file
-                const combinedArrayBuffer = await combinedBlob.arrayBuffer();
-                const finalBlob = await this.metadataHandler.saveWav(
-                    { arrayBuffer: async () => combinedArrayBuffer },
-                    polyMetadata
-                );
+                // Phase 2: Combine WAV ArrayBuffers into polyphonic file
+                this.showToast(`Phase 2: Combining to polyphonic...`, 'info', 0);
+                
+                // Detect if combining mono or poly files
+                const firstFileChannels = group.siblings[0]?.metadata?.channels || 1;
+                let finalBlob;
+                
+                if (firstFileChannels === 1) {
+                    // Combine mono files using the standard method
+                    finalBlob = await this.audioProcessor.combineToPolyphonic(
+                        convertedWavBuffers,
+                        trackNames,
+                        polyMetadata
+                    );
+                } else {
+                    // Combine poly files by merging channels
+                    finalBlob = await this.combinePolyphonicFiles(
+                        convertedWavBuffers,
+                        trackNames,
+                        polyMetadata
+                    );
+                }
 
                 // Save file to destination directory
                 const suggestedName = outputFilename;
@@ -9752,17 +12254,13 @@ class App {
                         bitDepth: bitDepth
                     };
                     
-                    // Create WAV file using audioProcessor
-                    const wavArrayBuffer = this.audioProcessor.createWavFile(monoBuffer, bitDepth, null, splitMetadata);
-
-                    // Convert to mutable copy for chunk injection
-                    let wavBuffer = new Uint8Array(wavArrayBuffer);
-
-                    // Add iXML metadata with correct track name
-                    if (ixmlString) {
-                        const updatedIXML = this.metadataHandler.updateIXMLForMonoTrack(ixmlString, ch, trackName);
-                        wavBuffer = new Uint8Array(this.metadataHandler.injectIXMLChunk(wavBuffer.buffer, updatedIXML));
-                    }
+                    // Add iXML metadata with correct track name and lineage back to the poly file
+                    const lineage = this.metadataHandler.deriveHistory(metadata);
+                    const updatedIXML = ixmlString
+                        ? this.metadataHandler.injectHistoryIntoIXML(
+                            this.metadataHandler.updateIXMLForMonoTrack(ixmlString, ch, trackName), lineage)
+                        : new TextDecoder().decode(this.metadataHandler.createIXMLChunk({ ...splitMetadata, ...lineage }));
+                    const extraChunks = [{ id: 'iXML', data: new TextEncoder().encode(updatedIXML) }];
 
                     // Add bEXT metadata - preserve original description fields and update track name
                     let bextDescription = metadata.description || '';
@@ -9786,8 +12284,16 @@ class App {
                         originationTime: metadata.originationTime || '',
                         timeReference: metadata.timeReference || 0
                     };
-                    wavBuffer = new Uint8Array(this.metadataHandler.injectBextChunk(wavBuffer.buffer, bextData));
+                    extraChunks.push({ id: 'bext', data: this.metadataHandler.createBasicBextChunk(bextData) });
+
+                    // Carry LIST-INFO tags over to the mono file
+                    const infoData = this.metadataHandler.createListInfoChunk(metadata.infoTags);
+                    if (infoData) {
+                        extraChunks.push({ id: 'LIST', data: infoData });
+                    }
 
+                    // Create WAV file using audioProcessor, with the metadata chunks written in the same pass
+                    const wavBlob = this.audioProcessor.createWavFile(monoBuffer, bitDepth, null, splitMetadata, extraChunks);
 
                     // Write file to destination
                     let fileHandle;
@@ -9797,7 +12303,7 @@ class App {
                     }
                     
                     const writable = await fileHandle.createWritable();
-                    await writable.write(wavBuffer);
+                    await writable.write(wavBlob);
                     await writable.close();
                 }
                 
@@ -1,5 +1,9 @@
+import { FlacCodec } from './flac-codec.js';
+import { readExtended80 } from './metadata-handler.js';
+
 export class AudioEngine {
     constructor() {
+        this.flacCodec = new FlacCodec();
         this.audioCtx = new (window.AudioContext || window.webkitAudioContext)();
         this.source = null;
         this.buffer = null;
@@ -26,9 +30,17 @@ export class AudioEngine {
             // Native decoding requires cloning (double memory) and often crashes on large buffers
             const view = new DataView(arrayBuffer);
             const isRF64 = view.getUint32(0, false) === 0x52463634; // RF64 signature
+            const isAiff = view.getUint32(0, false) === 0x464F524D; // FORM signature
+            const isFlac = this.flacCodec.isFlac(view);
             const isLargeFile = arrayBuffer.byteLength > 2 * 1024 * 1024 * 1024; // > 2GB
 
-            if (isRF64 || isLargeFile) {
+            if (isFlac && isLargeFile) {
+                console.log(`Large FLAC detected (Size: ${arrayBuffer.byteLength}), skipping native decode...`);
+                return this.decodeFlacManually(arrayBuffer);
+            } else if (isAiff && isLargeFile) {
+                console.log(`Large AIFF detected (Size: ${arrayBuffer.byteLength}), skipping native decode...`);
+                return this.decodeAiffManually(arrayBuffer);
+            } else if (isRF64 || isLargeFile) {
                 console.log(`Large file detected (RF64: ${isRF64}, Size: ${arrayBuffer.byteLength}), skipping native decode...`);
                 return this.decodeWavManually(arrayBuffer);
             } else {
@@ -47,6 +59,14 @@ export class AudioEngine {
                     }
                     return decoded;
                 } catch (nativeErr) {
+                    if (isFlac) {
+                        console.log('[decodeFile] Native decoding not supported for this file, using manual FLAC decoder...');
+                        return this.decodeFlacManually(bufferClone);
+                    }
+                    if (isAiff) {
+                        console.log('[decodeFile] Native decoding not supported for this file, using manual AIFF decoder...');
+                        return this.decodeAiffManually(bufferClone);
+                    }
                     console.log('[decodeFile] Native decoding not supported for this file, using manual WAV decoder...');
                     return this.decodeWavManually(bufferClone);
                 }
@@ -57,6 +77,29 @@ export class AudioEngine {
         }
     }
 
+    /**
+     * Decode WAV/RF64, AIFF or FLAC at the file's own sample rate
+     * decodeAudioData resamples to the AudioContext rate, which is wrong wherever the PCM is
+     * written out again (e.g. lossless FLAC encoding). Compressed formats (MP3, AAC) have no
+     * native PCM to keep and still go through decodeAudioData.
+     * @param {ArrayBuffer} arrayBuffer - Complete file
+     * @returns {Promise<AudioBuffer>}
+     */
+    async decodeAtNativeRate(arrayBuffer) {
+        const view = new DataView(arrayBuffer);
+        const signature = view.byteLength >= 4 ? view.getUint32(0, false) : 0;
+        if (this.flacCodec.isFlac(view)) {
+            return this.decodeFlacManually(arrayBuffer);
+        }
+        if (signature === 0x464F524D) { // FORM
+            return this.decodeAiffManually(arrayBuffer);
+        }
+        if (signature === 0x52494646 || signature === 0x52463634) { // RIFF / RF64
+            return this.decodeWavManually(arrayBuffer);
+        }
+        return this.audioCtx.decodeAudioData(arrayBuffer.slice(0));
+    }
+
     decodeWavManually(arrayBuffer) {
         const view = new DataView(arrayBuffer);
 
@@ -91,6 +134,10 @@ export class AudioEngine {
                     blockAlign: view.getUint16(offset + 20, true),
                     bitsPerSample: view.getUint16(offset + 22, true)
                 };
+                // WAVE_FORMAT_EXTENSIBLE: the real format is the first two bytes of the SubFormat GUID
+                if (fmt.audioFormat === 0xFFFE && chunkSize >= 40) {
+                    fmt.audioFormat = view.getUint16(offset + 32, true);
+                }
             } else if (chunkId === 'data') {
                 dataOffset = offset + 8;
 
@@ -124,56 +171,171 @@ export class AudioEngine {
             channels.push(audioBuffer.getChannelData(c));
         }
 
-        let sampleIndex = 0;
-        let byteOffset = dataOffset;
-        const bytesPerSample = fmt.bitsPerSample / 8;
+        this.readPcmFrames(view, dataOffset, frameCount, channels, {
+            bitsPerSample: fmt.bitsPerSample,
+            isFloat: fmt.audioFormat === 3,
+            littleEndian: true,
+            unsigned8: true
+        });
+
+        return audioBuffer;
+    }
+
+    /**
+     * Decode FLAC with the bundled codec (at the stream's own sample rate)
+     * @param {ArrayBuffer} arrayBuffer - Complete FLAC file
+     * @returns {AudioBuffer}
+     */
+    decodeFlacManually(arrayBuffer) {
+        const decoded = this.flacCodec.decode(arrayBuffer);
+        const frameCount = decoded.channelData[0].length;
+
+        const audioBuffer = this.audioCtx.createBuffer(decoded.channels, frameCount, decoded.sampleRate);
+        for (let ch = 0; ch < decoded.channels; ch++) {
+            audioBuffer.copyToChannel(decoded.channelData[ch], ch);
+        }
+        return audioBuffer;
+    }
+
+    /**
+     * Decode AIFF/AIFC (big-endian PCM, 'sowt' little-endian PCM, or fl32/fl64 float)
+     * @param {ArrayBuffer} arrayBuffer - Complete AIFF file
+     * @returns {AudioBuffer}
+     */
+    decodeAiffManually(arrayBuffer) {
+        const view = new DataView(arrayBuffer);
+
+        if (view.getUint32(0, false) !== 0x464F524D) {
+            throw new Error('Not a valid AIFF file');
+        }
+        const formType = this.getChunkId(view, 8);
+        if (formType !== 'AIFF' && formType !== 'AIFC') {
+            throw new Error('Not a valid AIFF file');
+        }
+
+        let offset = 12;
+        let comm = null;
+        let dataOffset = -1;
+        let dataSize = 0;
+
+        while (offset + 8 <= view.byteLength) {
+            const chunkId = this.getChunkId(view, offset);
+            const chunkSize = view.getUint32(offset + 4, false);
+
+            if (chunkId === 'COMM') {
+                comm = {
+                    channels: view.getUint16(offset + 8, false),
+                    frameCount: view.getUint32(offset + 10, false),
+                    bitsPerSample: view.getUint16(offset + 14, false),
+                    sampleRate: readExtended80(view, offset + 16),
+                    compression: formType === 'AIFC' && chunkSize >= 22 ? this.getChunkId(view, offset + 26) : 'NONE'
+                };
+            } else if (chunkId === 'SSND') {
+                // SSND: offset (4), blockSize (4), then sample data
+                const ssndOffset = view.getUint32(offset + 8, false);
+                dataOffset = offset + 16 + ssndOffset;
+                dataSize = chunkSize - 8 - ssndOffset;
+            }
+
+            offset += 8 + chunkSize;
+            if (chunkSize % 2 !== 0) offset++;
+        }
+
+        if (!comm || dataOffset === -1) {
+            throw new Error('Missing COMM or SSND chunk');
+        }
+
+        const compression = comm.compression.toLowerCase();
+        if (!['none', 'twos', 'sowt', 'in24', 'in32', 'fl32', 'fl64'].includes(compression)) {
+            throw new Error(`Unsupported AIFC compression: ${comm.compression}`);
+        }
+        const isFloat = compression === 'fl32' || compression === 'fl64';
+        const bitsPerSample = compression === 'fl64' ? 64 : compression === 'fl32' ? 32 : comm.bitsPerSample;
+
+        console.log('Manual AIFF Decode:', comm);
+
+        const bytesPerFrame = comm.channels * Math.ceil(bitsPerSample / 8);
+        const frameCount = Math.min(comm.frameCount, Math.floor(Math.min(dataSize, view.byteLength - dataOffset) / bytesPerFrame));
+        const audioBuffer = this.audioCtx.createBuffer(comm.channels, frameCount, comm.sampleRate);
+
+        const channels = [];
+        for (let c = 0; c < comm.channels; c++) {
+            channels.push(audioBuffer.getChannelData(c));
+        }
+
+        this.readPcmFrames(view, dataOffset, frameCount, channels, {
+            bitsPerSample,
+            isFloat,
+            littleEndian: compression === 'sowt',
+            unsigned8: false // AIFF 8-bit samples are signed
+        });
+
+        return audioBuffer;
+    }
+
+    /**
+     * Read interleaved PCM frames into per-channel Float32Arrays
+     * @param {DataView} view - Source data
+     * @param {number} byteOffset - Offset of the first frame
+     * @param {number} frameCount - Number of frames to read
+     * @param {Float32Array[]} channels - Destination channel arrays
+     * @param {Object} format - {bitsPerSample, isFloat, littleEndian, unsigned8}
+     */
+    readPcmFrames(view, byteOffset, frameCount, channels, format) {
+        const { bitsPerSample, isFloat, littleEndian, unsigned8 } = format;
 
         // Helper to read sample based on bit depth
         // 16-bit: int16 -> float (-1.0 to 1.0)
         // 24-bit: int24 -> float
-        // 32-bit: float32 -> float
+        // 32-bit: float32 or int32 -> float
+        // 64-bit: float64 -> float
 
         // Optimization: Use TypedArrays if possible, but interleaving makes it hard.
         // We'll iterate frames.
 
         for (let i = 0; i < frameCount; i++) {
-            for (let c = 0; c < fmt.channels; c++) {
+            for (let c = 0; c < channels.length; c++) {
                 let sample = 0;
 
-                if (fmt.bitsPerSample === 16) {
-                    sample = view.getInt16(byteOffset, true) / 32768.0;
+                if (bitsPerSample === 16) {
+                    sample = view.getInt16(byteOffset, littleEndian) / 32768.0;
                     byteOffset += 2;
-                } else if (fmt.bitsPerSample === 24) {
+                } else if (bitsPerSample === 24) {
                     // Read 3 bytes as signed integer
                     const b1 = view.getUint8(byteOffset);
                     const b2 = view.getUint8(byteOffset + 1);
                     const b3 = view.getUint8(byteOffset + 2);
                     byteOffset += 3;
 
-                    let val = (b3 << 16) | (b2 << 8) | b1;
+                    let val = littleEndian ? (b3 << 16) | (b2 << 8) | b1 : (b1 << 16) | (b2 << 8) | b3;
                     // Sign extension for 24-bit
                     if (val & 0x800000) {
                         val = val - 16777216; // 2^24
                     }
                     sample = val / 8388608.0; // 2^23
-                } else if (fmt.bitsPerSample === 32) {
-                    if (fmt.audioFormat === 3) { // IEEE Float
-                        sample = view.getFloat32(byteOffset, true);
+                } else if (bitsPerSample === 32) {
+                    if (isFloat) { // IEEE Float
+                        sample = view.getFloat32(byteOffset, littleEndian);
                     } else { // Int32
-                        sample = view.getInt32(byteOffset, true) / 2147483648.0;
+                        sample = view.getInt32(byteOffset, littleEndian) / 2147483648.0;
                     }
                     byteOffset += 4;
-                } else {
-                    // 8-bit (unsigned 0-255)
+                } else if (bitsPerSample === 64) {
+                    sample = view.getFloat64(byteOffset, littleEndian);
+                    byteOffset += 8;
+                } else if (unsigned8) {
+                    // 8-bit WAV (unsigned 0-255)
                     sample = (view.getUint8(byteOffset) - 128) / 128.0;
                     byteOffset += 1;
+                } else {
+                    // 8-bit AIFF (signed)
+                    sample = view.getInt8(byteOffset) / 128.0;
+                    byteOffset += 1;
                 }
 
                 channels[c][i] = sample;
             }
         }
-
-        return audioBuffer;
     }
 
     getChunkId(view, offset) {
@@ -235,7 +235,17 @@ export class AudioProcessor {
         view.setUint8(offset + 2, (val >> 16) & 0xFF);
     }
 
-    createWavFile(audioBuffer, bitDepth, originalBuffer, exportMetadata) {
+    /**
+     * Encode an AudioBuffer as a WAV file (RF64 when over 4 GB)
+     * @param {AudioBuffer} audioBuffer - Audio to write
+     * @param {number} bitDepth - 16, 24 or 32 (float)
+     * @param {ArrayBuffer|null} originalBuffer - Source file whose metadata chunks are copied or regenerated
+     * @param {Object} exportMetadata - Metadata for the new file
+     * @param {Array<{id: string, data: ArrayBuffer|Uint8Array}>} extraChunks - Chunks appended after the
+     *        audio (e.g. bEXT and iXML), so the file is assembled once
+     * @returns {Blob} WAV file
+     */
+    createWavFile(audioBuffer, bitDepth, originalBuffer, exportMetadata, extraChunks = []) {
         const numChannels = audioBuffer.numberOfChannels;
         const sampleRate = audioBuffer.sampleRate;
         const length = audioBuffer.length;
@@ -328,36 +338,10 @@ export class AudioProcessor {
             }
         }
 
-        // Construct final file
-        const totalSize = chunks.reduce((acc, chunk) => acc + 8 + chunk.data.byteLength, 4);
-        const fileBuffer = new Uint8Array(totalSize + 8);
-        const fileView = new DataView(fileBuffer.buffer);
-
-        fileView.setUint8(0, 0x52); // R
-        fileView.setUint8(1, 0x49); // I
-        fileView.setUint8(2, 0x46); // F
-        fileView.setUint8(3, 0x46); // F
-        fileView.setUint32(4, totalSize, true);
-        fileView.setUint8(8, 0x57); // W
-        fileView.setUint8(9, 0x41); // A
-        fileView.setUint8(10, 0x56); // V
-        fileView.setUint8(11, 0x45); // E
-
-        let fileOffset = 12;
-        for (const chunk of chunks) {
-            // Chunk ID
-            for (let i = 0; i < 4; i++) {
-                fileView.setUint8(fileOffset + i, chunk.id.charCodeAt(i));
-            }
-            // Chunk Size
-            fileView.setUint32(fileOffset + 4, chunk.data.byteLength, true);
-            // Chunk Data
-            fileBuffer.set(chunk.data, fileOffset + 8);
+        chunks.push(...extraChunks);
 
-            fileOffset += 8 + chunk.data.byteLength;
-        }
-
-        return fileBuffer.buffer;
+        // Construct final file (RIFF, or RF64 with ds64 when over 4 GB)
+        return this.metadataHandler.buildWavFile(chunks);
     }
 
     /**
@@ -434,7 +418,7 @@ export class AudioProcessor {
      * Combines multiple monophonic WAV files into a single polyphonic WAV file.
      * @param {Array<ArrayBuffer>} fileBuffers - Array of WAV file buffers to combine
      * @param {Array<String>} trackNames - Array of track names for each channel
-     * @param {Object} metadata - Metadata object to apply to the combined file
+     * @param {Object} metadata - Metadata for the combined file's bEXT, iXML and LIST-INFO (or null for none)
      * @returns {Promise<Blob>} - The combined WAV file as a Blob
      */
     async combineToPolyphonic(fileBuffers, trackNames, metadata) {
@@ -500,45 +484,24 @@ export class AudioProcessor {
         const byteRate = sampleRate * blockAlign;
         const dataSize = numSamples * blockAlign;
         
-        // Create output buffer
-        const outputBuffer = new ArrayBuffer(44 + dataSize); // RIFF header + fmt + data
-        const outputView = new DataView(outputBuffer);
-        
-        // Write RIFF header
-        outputView.setUint8(0, 0x52); // R
-        outputView.setUint8(1, 0x49); // I
-        outputView.setUint8(2, 0x46); // F
-        outputView.setUint8(3, 0x46); // F
-        outputView.setUint32(4, 36 + dataSize, true); // File size - 8
-        outputView.setUint8(8, 0x57); // W
-        outputView.setUint8(9, 0x41); // A
-        outputView.setUint8(10, 0x56); // V
-        outputView.setUint8(11, 0x45); // E
-        
-        // Write fmt chunk
-        outputView.setUint8(12, 0x66); // f
-        outputView.setUint8(13, 0x6D); // m
-        outputView.setUint8(14, 0x74); // t
-        outputView.setUint8(15, 0x20); // space
-        outputView.setUint32(16, 16, true); // fmt chunk size
-        outputView.setUint16(20, audioFormat, true); // Audio format (1=PCM, 3=Float)
-        outputView.setUint16(22, numChannels, true); // Number of channels
-        outputView.setUint32(24, sampleRate, true); // Sample rate
-        outputView.setUint32(28, byteRate, true); // Byte rate
-        outputView.setUint16(32, blockAlign, true); // Block align
-        outputView.setUint16(34, bitDepth, true); // Bits per sample
-        
-        // Write data chunk header
-        outputView.setUint8(36, 0x64); // d
-        outputView.setUint8(37, 0x61); // a
-        outputView.setUint8(38, 0x74); // t
-        outputView.setUint8(39, 0x61); // a
-        outputView.setUint32(40, dataSize, true); // Data size
-        
+        // fmt chunk
+        const fmtChunk = new Uint8Array(16);
+        const fmtView = new DataView(fmtChunk.buffer);
+        fmtView.setUint16(0, audioFormat, true); // Audio format (1=PCM, 3=Float)
+        fmtView.setUint16(2, numChannels, true); // Number of channels
+        fmtView.setUint32(4, sampleRate, true); // Sample rate
+        fmtView.setUint32(8, byteRate, true); // Byte rate
+        fmtView.setUint16(12, blockAlign, true); // Block align
+        fmtView.setUint16(14, bitDepth, true); // Bits per sample
+
+        // data chunk
+        const dataChunk = new Uint8Array(dataSize);
+        const outputView = new DataView(dataChunk.buffer);
+
         // Interleave audio data
         console.log(`[Combine] Interleaving ${numSamples} samples across ${numChannels} channels`);
         
-        let outputOffset = 44; // Start of data chunk
+        let outputOffset = 0; // Start of data chunk
         
         for (let sample = 0; sample < numSamples; sample++) {
             for (let channel = 0; channel < numChannels; channel++) {
@@ -571,7 +534,11 @@ export class AudioProcessor {
         
         console.log(`[Combine] Audio data interleaved successfully`);
         
-        // Create blob and return (metadata will be added via MetadataHandler)
-        return new Blob([outputBuffer], { type: 'audio/wav' });
+        // Assemble with the metadata chunks in one pass; files over 4 GB are written as RF64
+        return this.metadataHandler.buildWavFile([
+            { id: 'fmt ', data: fmtChunk },
+            { id: 'data', data: dataChunk },
+            ...(metadata ? this.metadataHandler.createMetadataChunks(metadata) : [])
+        ]);
     }
 }
@@ -12,10 +12,12 @@ const PROXIMITY_THRESHOLD_PX = 8; // pixels for click detection
  * Individual Cue Marker
  */
 class CueMarker {
-    constructor(id, time, label = '') {
+    constructor(id, time, label = '', { comment = '', duration = 0 } = {}) {
         this.id = id; // Unique identifier
         this.time = time; // Position in seconds
         this.label = label.substring(0, MAX_LABEL_LENGTH); // Enforce max length
+        this.comment = comment; // Longer note (RIFF adtl 'note')
+        this.duration = duration; // Region length in seconds, 0 for a plain marker (RIFF adtl 'ltxt')
     }
 
     /**
@@ -46,16 +48,17 @@ class CueMarkerCollection {
      * Add a new marker
      * @param {number} time - Time in seconds
      * @param {string} label - Optional label
+     * @param {Object} extra - Optional { comment, duration } read from other tools' markers
      * @returns {number} - ID of created marker
      */
-    add(time, label = '') {
+    add(time, label = '', extra = {}) {
         if (this.markers.length >= MAX_MARKERS) {
             console.warn(`Cannot add marker: Maximum ${MAX_MARKERS} markers reached`);
             return null;
         }
 
         const id = this.nextId++;
-        const marker = new CueMarker(id, time, label);
+        const marker = new CueMarker(id, time, label, extra);
         this.markers.push(marker);
         
         // Keep sorted by time
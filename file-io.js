@@ -1,7 +1,7 @@
 export class FileIO {
     constructor() {
         this.supportedTypes = [
-            { description: 'Audio Files', accept: { 'audio/*': ['.wav', '.mp3', '.aac'] } }
+            { description: 'Audio Files', accept: { 'audio/*': ['.wav', '.mp3', '.aac', '.aif', '.aiff', '.aifc', '.flac'] } }
         ];
     }
 
@@ -64,7 +64,7 @@ export class FileIO {
         if (filename.startsWith('._')) return false;
 
         const ext = filename.split('.').pop().toLowerCase();
-        return ['wav', 'mp3', 'aac'].includes(ext);
+        return ['wav', 'mp3', 'aac', 'aif', 'aiff', 'aifc', 'flac'].includes(ext);
     }
 
     async saveFile(fileHandle, blob) {
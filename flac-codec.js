@@ -0,0 +1,613 @@
+/**
+ * FLAC encoder/decoder
+ * Encoder: fixed-predictor (orders 0-4) subframes with partitioned Rice coding,
+ * independent channels, 4096-sample blocks. Decoder: full FLAC subset used by
+ * common encoders (constant, verbatim, fixed, LPC, stereo decorrelation).
+ */
+export class FlacCodec {
+    constructor() {
+        this.blockSize = 4096;
+        this.maxChannels = 8;
+        this.crc8Table = this.buildCrcTable(8, 0x07);
+        this.crc16Table = this.buildCrcTable(16, 0x8005);
+    }
+
+    /**
+     * Check for the 'fLaC' stream marker
+     * @param {DataView} view
+     * @returns {boolean}
+     */
+    isFlac(view) {
+        return view.byteLength >= 4 && view.getUint32(0, false) === 0x664C6143; // fLaC
+    }
+
+    /**
+     * Encode float channel data to a FLAC stream
+     * @param {Float32Array[]} channelData - One array per channel (-1..1)
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {number} bitDepth - 16 or 24
+     * @param {Array<{type: number, data: Uint8Array}>} metadataBlocks - Extra metadata blocks (e.g. VORBIS_COMMENT)
+     * @returns {Uint8Array} Complete FLAC file
+     */
+    encode(channelData, sampleRate, bitDepth, metadataBlocks = []) {
+        const channels = channelData.length;
+        if (channels < 1 || channels > this.maxChannels) {
+            throw new Error(`FLAC supports 1-${this.maxChannels} channels (got ${channels})`);
+        }
+        if (bitDepth !== 16 && bitDepth !== 24) {
+            throw new Error(`Unsupported FLAC bit depth: ${bitDepth}`);
+        }
+
+        const totalSamples = channelData[0].length;
+        const writer = new BitWriter(Math.max(1024, Math.ceil(totalSamples * channels * bitDepth / 8 * 0.7)));
+        const blockSamples = channelData.map(() => new Int32Array(this.blockSize));
+        const scalePos = Math.pow(2, bitDepth - 1) - 1;
+        const scaleNeg = Math.pow(2, bitDepth - 1);
+
+        let minFrameSize = Infinity;
+        let maxFrameSize = 0;
+        let frameNumber = 0;
+
+        for (let start = 0; start < totalSamples; start += this.blockSize) {
+            const n = Math.min(this.blockSize, totalSamples - start);
+
+            for (let ch = 0; ch < channels; ch++) {
+                const src = channelData[ch];
+                const dst = blockSamples[ch];
+                for (let i = 0; i < n; i++) {
+                    const s = Math.max(-1, Math.min(1, src[start + i]));
+                    dst[i] = Math.round(s < 0 ? s * scaleNeg : s * scalePos);
+                }
+            }
+
+            const frameStart = writer.length;
+            this.writeFrameHeader(writer, frameNumber, n, channels, bitDepth);
+            for (let ch = 0; ch < channels; ch++) {
+                this.writeSubframe(writer, blockSamples[ch].subarray(0, n), bitDepth);
+            }
+            writer.alignToByte();
+            const crc16 = this.crc(this.crc16Table, 16, writer.bytes, frameStart, writer.length);
+            writer.writeBits(crc16, 16);
+
+            const frameSize = writer.length - frameStart;
+            minFrameSize = Math.min(minFrameSize, frameSize);
+            maxFrameSize = Math.max(maxFrameSize, frameSize);
+            frameNumber++;
+        }
+
+        // STREAMINFO
+        const streamInfo = new BitWriter(34);
+        const minBlock = totalSamples < this.blockSize ? Math.max(16, totalSamples) : this.blockSize;
+        streamInfo.writeBits(minBlock, 16);
+        streamInfo.writeBits(Math.max(minBlock, this.blockSize), 16);
+        streamInfo.writeBits(minFrameSize === Infinity ? 0 : minFrameSize, 24);
+        streamInfo.writeBits(maxFrameSize, 24);
+        streamInfo.writeBits(sampleRate, 20);
+        streamInfo.writeBits(channels - 1, 3);
+        streamInfo.writeBits(bitDepth - 1, 5);
+        streamInfo.writeBits(totalSamples, 36);
+        for (let i = 0; i < 16; i++) streamInfo.writeBits(0, 8); // MD5 unknown
+
+        const blocks = [{ type: 0, data: streamInfo.toUint8Array() }, ...metadataBlocks];
+        let headerSize = 4;
+        blocks.forEach(b => { headerSize += 4 + b.data.byteLength; });
+
+        const frames = writer.toUint8Array();
+        const out = new Uint8Array(headerSize + frames.byteLength);
+        out.set([0x66, 0x4C, 0x61, 0x43], 0); // fLaC
+        let offset = 4;
+        blocks.forEach((block, i) => {
+            const isLast = i === blocks.length - 1;
+            const len = block.data.byteLength;
+            out[offset] = (isLast ? 0x80 : 0) | (block.type & 0x7F);
+            out[offset + 1] = (len >> 16) & 0xFF;
+            out[offset + 2] = (len >> 8) & 0xFF;
+            out[offset + 3] = len & 0xFF;
+            out.set(block.data, offset + 4);
+            offset += 4 + len;
+        });
+        out.set(frames, offset);
+
+        console.log(`[FlacCodec] Encoded ${channels}ch ${bitDepth}-bit ${sampleRate}Hz, ${totalSamples} samples, ${frameNumber} frames, ${out.byteLength} bytes`);
+        return out;
+    }
+
+    writeFrameHeader(writer, frameNumber, blockSize, channels, bitDepth) {
+        const headerStart = writer.length;
+        writer.writeBits(0xFFF8, 16);           // sync + fixed blocksize strategy
+        writer.writeBits(0x7, 4);               // blocksize: 16-bit value at end of header
+        writer.writeBits(0x0, 4);               // sample rate: from STREAMINFO
+        writer.writeBits(channels - 1, 4);      // independent channels
+        writer.writeBits(bitDepth === 16 ? 0x4 : 0x6, 3);
+        writer.writeBits(0, 1);
+
+        // Frame number, UTF-8 style coding
+        if (frameNumber < 0x80) {
+            writer.writeBits(frameNumber, 8);
+        } else {
+            let extraBytes = 1;
+            while (frameNumber >= Math.pow(2, 6 + 5 * extraBytes) && extraBytes < 6) extraBytes++;
+            const lead = (0xFF << (7 - extraBytes)) & 0xFF;
+            writer.writeBits(lead | Math.floor(frameNumber / Math.pow(2, 6 * extraBytes)), 8);
+            for (let i = extraBytes - 1; i >= 0; i--) {
+                writer.writeBits(0x80 | (Math.floor(frameNumber / Math.pow(2, 6 * i)) & 0x3F), 8);
+            }
+        }
+
+        writer.writeBits(blockSize - 1, 16);
+
+        writer.writeBits(this.crc(this.crc8Table, 8, writer.bytes, headerStart, writer.length), 8);
+    }
+
+    writeSubframe(writer, samples, bitDepth) {
+        const n = samples.length;
+
+        // Constant subframe (silence, DC)
+        let constant = true;
+        for (let i = 1; i < n; i++) {
+            if (samples[i] !== samples[0]) { constant = false; break; }
+        }
+        if (constant) {
+            writer.writeBits(0, 8); // pad + type 000000 + no wasted bits
+            writer.writeSigned(samples[0], bitDepth);
+            return;
+        }
+
+        // Pick the cheapest fixed predictor
+        let best = null;
+        const maxOrder = Math.min(4, n - 1);
+        for (let order = 0; order <= maxOrder; order++) {
+            const residual = this.fixedResidual(samples, order);
+            const rice = this.planRice(residual, order, n);
+            const bits = 8 + order * bitDepth + rice.bits;
+            if (!best || bits < best.bits) {
+                best = { order, residual, rice, bits };
+            }
+        }
+
+        if (best.bits >= 8 + n * bitDepth) {
+            // Verbatim
+            writer.writeBits(0x02, 8); // pad + type 000001 + no wasted bits
+            for (let i = 0; i < n; i++) writer.writeSigned(samples[i], bitDepth);
+            return;
+        }
+
+        writer.writeBits((0x08 | best.order) << 1, 8); // pad + type 001xxx + no wasted bits
+        for (let i = 0; i < best.order; i++) writer.writeSigned(samples[i], bitDepth);
+
+        // Residual: RICE2 (5-bit parameters)
+        const { partitionOrder, params } = best.rice;
+        writer.writeBits(1, 2);
+        writer.writeBits(partitionOrder, 4);
+        const partitionSize = n >> partitionOrder;
+        let idx = best.order;
+        for (let p = 0; p < params.length; p++) {
+            const k = params[p];
+            const end = (p + 1) * partitionSize;
+            writer.writeBits(k, 5);
+            for (; idx < end; idx++) {
+                const r = best.residual[idx];
+                const u = r >= 0 ? r * 2 : -r * 2 - 1;
+                writer.writeUnary(Math.floor(u / Math.pow(2, k)));
+                if (k > 0) writer.writeBits(u % Math.pow(2, k), k);
+            }
+        }
+    }
+
+    fixedResidual(s, order) {
+        const n = s.length;
+        const r = new Int32Array(n);
+        for (let i = order; i < n; i++) {
+            switch (order) {
+                case 0: r[i] = s[i]; break;
+                case 1: r[i] = s[i] - s[i - 1]; break;
+                case 2: r[i] = s[i] - 2 * s[i - 1] + s[i - 2]; break;
+                case 3: r[i] = s[i] - 3 * s[i - 1] + 3 * s[i - 2] - s[i - 3]; break;
+                default: r[i] = s[i] - 4 * s[i - 1] + 6 * s[i - 2] - 4 * s[i - 3] + s[i - 4]; break;
+            }
+        }
+        return r;
+    }
+
+    /**
+     * Choose a partition order and per-partition Rice parameters
+     * @returns {{bits: number, partitionOrder: number, params: number[]}}
+     */
+    planRice(residual, predictorOrder, n) {
+        let best = null;
+        for (let po = 0; po <= 8; po++) {
+            const partitions = 1 << po;
+            if (n % partitions !== 0 || (n >> po) <= predictorOrder) break;
+
+            const size = n >> po;
+            const params = [];
+            let bits = 6; // method + partition order
+            for (let p = 0; p < partitions; p++) {
+                const start = p === 0 ? predictorOrder : p * size;
+                const end = (p + 1) * size;
+                let sum = 0;
+                for (let i = start; i < end; i++) {
+                    const r = residual[i];
+                    sum += r >= 0 ? r * 2 : -r * 2 - 1;
+                }
+                const count = end - start;
+                const mean = count > 0 ? sum / count : 0;
+                const k = mean > 1 ? Math.min(30, Math.floor(Math.log2(mean))) : 0;
+                params.push(k);
+                bits += 5 + count * (k + 1) + Math.floor(sum / Math.pow(2, k));
+            }
+            if (!best || bits < best.bits) {
+                best = { bits, partitionOrder: po, params };
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Decode a FLAC stream
+     * @param {ArrayBuffer} arrayBuffer
+     * @returns {{sampleRate: number, channels: number, bitDepth: number, channelData: Float32Array[]}}
+     */
+    decode(arrayBuffer) {
+        const bytes = new Uint8Array(arrayBuffer);
+        const view = new DataView(arrayBuffer);
+        if (!this.isFlac(view)) {
+            throw new Error('Not a valid FLAC file');
+        }
+
+        // Metadata blocks
+        let offset = 4;
+        let info = null;
+        let isLast = false;
+        while (!isLast && offset + 4 <= bytes.length) {
+            const header = bytes[offset];
+            isLast = (header & 0x80) !== 0;
+            const type = header & 0x7F;
+            const len = (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3];
+            if (type === 0) {
+                const r = new BitReader(bytes, offset + 4);
+                r.readBits(16); r.readBits(16); r.readBits(24); r.readBits(24);
+                info = {
+                    sampleRate: r.readBits(20),
+                    channels: r.readBits(3) + 1,
+                    bitDepth: r.readBits(5) + 1,
+                    totalSamples: r.readBits(36)
+                };
+            }
+            offset += 4 + len;
+        }
+        if (!info) throw new Error('FLAC file has no STREAMINFO block');
+
+        const knownLength = info.totalSamples > 0;
+        const chunks = [];
+        const channelData = knownLength
+            ? Array.from({ length: info.channels }, () => new Float32Array(info.totalSamples))
+            : null;
+        let written = 0;
+
+        const reader = new BitReader(bytes, offset);
+        while (reader.pos + 2 < bytes.length) {
+            if (knownLength && written >= info.totalSamples) break;
+            const frame = this.decodeFrame(reader, info);
+            if (!frame) break;
+
+            const scale = Math.pow(2, frame.bitDepth - 1);
+            if (knownLength) {
+                const n = Math.min(frame.blockSize, info.totalSamples - written);
+                for (let ch = 0; ch < info.channels; ch++) {
+                    const dst = channelData[ch];
+                    const src = frame.samples[ch];
+                    for (let i = 0; i < n; i++) dst[written + i] = src[i] / scale;
+                }
+                written += n;
+            } else {
+                chunks.push(frame.samples.map(src => Float32Array.from(src, v => v / scale)));
+                written += frame.blockSize;
+            }
+        }
+
+        let result = channelData;
+        if (!knownLength) {
+            result = Array.from({ length: info.channels }, (_, ch) => {
+                const arr = new Float32Array(written);
+                let pos = 0;
+                chunks.forEach(c => { arr.set(c[ch], pos); pos += c[ch].length; });
+                return arr;
+            });
+        } else if (written < info.totalSamples) {
+            result = result.map(arr => arr.subarray(0, written));
+        }
+
+        console.log(`[FlacCodec] Decoded ${info.channels}ch ${info.bitDepth}-bit ${info.sampleRate}Hz, ${written} samples`);
+        return { sampleRate: info.sampleRate, channels: info.channels, bitDepth: info.bitDepth, channelData: result };
+    }
+
+    decodeFrame(reader, info) {
+        // Find sync code
+        reader.alignToByte();
+        const bytes = reader.bytes;
+        while (reader.pos + 1 < bytes.length && !(bytes[reader.pos] === 0xFF && (bytes[reader.pos + 1] & 0xFE) === 0xF8)) {
+            reader.pos++;
+        }
+        if (reader.pos + 4 >= bytes.length) return null;
+
+        reader.readBits(16);
+        const blockSizeCode = reader.readBits(4);
+        const sampleRateCode = reader.readBits(4);
+        const channelAssignment = reader.readBits(4);
+        const sampleSizeCode = reader.readBits(3);
+        reader.readBits(1);
+
+        // Frame/sample number (UTF-8 style), value unused
+        const first = reader.readBits(8);
+        let extra = 0;
+        for (let mask = 0x80; first & mask; mask >>= 1) extra++;
+        for (let i = 1; i < extra; i++) reader.readBits(8);
+
+        let blockSize;
+        if (blockSizeCode === 1) blockSize = 192;
+        else if (blockSizeCode >= 2 && blockSizeCode <= 5) blockSize = 576 << (blockSizeCode - 2);
+        else if (blockSizeCode === 6) blockSize = reader.readBits(8) + 1;
+        else if (blockSizeCode === 7) blockSize = reader.readBits(16) + 1;
+        else if (blockSizeCode >= 8) blockSize = 256 << (blockSizeCode - 8);
+        else throw new Error('Invalid FLAC block size code');
+
+        if (sampleRateCode === 12) reader.readBits(8);
+        else if (sampleRateCode === 13 || sampleRateCode === 14) reader.readBits(16);
+
+        const bitDepth = [info.bitDepth, 8, 12, info.bitDepth, 16, 20, 24, 32][sampleSizeCode];
+        reader.readBits(8); // CRC-8
+
+        const channels = channelAssignment < 8 ? channelAssignment + 1 : 2;
+        const samples = [];
+        for (let ch = 0; ch < channels; ch++) {
+            // Side channel carries one extra bit
+            let bps = bitDepth;
+            if ((channelAssignment === 8 || channelAssignment === 10) && ch === 1) bps++;
+            if (channelAssignment === 9 && ch === 0) bps++;
+            samples.push(this.decodeSubframe(reader, blockSize, bps));
+        }
+
+        // Stereo decorrelation
+        if (channelAssignment === 8) {
+            const [left, side] = samples;
+            for (let i = 0; i < blockSize; i++) side[i] = left[i] - side[i];
+        } else if (channelAssignment === 9) {
+            const [side, right] = samples;
+            for (let i = 0; i < blockSize; i++) side[i] = side[i] + right[i];
+        } else if (channelAssignment === 10) {
+            const [mid, side] = samples;
+            for (let i = 0; i < blockSize; i++) {
+                const m = mid[i] * 2 + (side[i] & 1);
+                mid[i] = (m + side[i]) >> 1;
+                side[i] = (m - side[i]) >> 1;
+            }
+        }
+
+        reader.alignToByte();
+        reader.readBits(16); // CRC-16
+
+        return { blockSize, bitDepth, samples };
+    }
+
+    decodeSubframe(reader, blockSize, bps) {
+        reader.readBits(1);
+        const type = reader.readBits(6);
+        let wasted = 0;
+        if (reader.readBits(1)) {
+            wasted = reader.readUnary() + 1;
+        }
+        bps -= wasted;
+
+        const out = new Int32Array(blockSize);
+        if (type === 0) {
+            out.fill(reader.readSigned(bps));
+        } else if (type === 1) {
+            for (let i = 0; i < blockSize; i++) out[i] = reader.readSigned(bps);
+        } else if (type >= 8 && type <= 12) {
+            const order = type - 8;
+            for (let i = 0; i < order; i++) out[i] = reader.readSigned(bps);
+            this.readResidual(reader, out, blockSize, order);
+            for (let i = order; i < blockSize; i++) {
+                switch (order) {
+                    case 0: break;
+                    case 1: out[i] += out[i - 1]; break;
+                    case 2: out[i] += 2 * out[i - 1] - out[i - 2]; break;
+                    case 3: out[i] += 3 * out[i - 1] - 3 * out[i - 2] + out[i - 3]; break;
+                    default: out[i] += 4 * out[i - 1] - 6 * out[i - 2] + 4 * out[i - 3] - out[i - 4]; break;
+                }
+            }
+        } else if (type >= 32) {
+            const order = type - 31;
+            for (let i = 0; i < order; i++) out[i] = reader.readSigned(bps);
+            const precision = reader.readBits(4) + 1;
+            const shift = reader.readSigned(5);
+            const coefs = [];
+            for (let i = 0; i < order; i++) coefs.push(reader.readSigned(precision));
+            this.readResidual(reader, out, blockSize, order);
+            const divisor = Math.pow(2, Math.max(0, shift));
+            for (let i = order; i < blockSize; i++) {
+                let sum = 0;
+                for (let j = 0; j < order; j++) sum += coefs[j] * out[i - 1 - j];
+                out[i] += Math.floor(sum / divisor);
+            }
+        } else {
+            throw new Error(`Reserved FLAC subframe type ${type}`);
+        }
+
+        if (wasted > 0) {
+            for (let i = 0; i < blockSize; i++) out[i] *= Math.pow(2, wasted);
+        }
+        return out;
+    }
+
+    readResidual(reader, out, blockSize, predictorOrder) {
+        const method = reader.readBits(2);
+        const paramBits = method === 0 ? 4 : 5;
+        const escapeCode = method === 0 ? 15 : 31;
+        const partitionOrder = reader.readBits(4);
+        const partitions = 1 << partitionOrder;
+        const partitionSize = blockSize >> partitionOrder;
+
+        let idx = predictorOrder;
+        for (let p = 0; p < partitions; p++) {
+            const count = p === 0 ? partitionSize - predictorOrder : partitionSize;
+            const k = reader.readBits(paramBits);
+            if (k === escapeCode) {
+                const rawBits = reader.readBits(5);
+                for (let i = 0; i < count; i++) out[idx++] = rawBits > 0 ? reader.readSigned(rawBits) : 0;
+            } else {
+                const pow = Math.pow(2, k);
+                for (let i = 0; i < count; i++) {
+                    const u = reader.readUnary() * pow + (k > 0 ? reader.readBits(k) : 0);
+                    out[idx++] = u % 2 === 0 ? u / 2 : -(u + 1) / 2;
+                }
+            }
+        }
+    }
+
+    buildCrcTable(width, poly) {
+        const table = new Uint16Array(256);
+        const topBit = 1 << (width - 1);
+        const mask = (1 << width) - 1;
+        for (let i = 0; i < 256; i++) {
+            let crc = i << (width - 8);
+            for (let b = 0; b < 8; b++) {
+                crc = crc & topBit ? ((crc << 1) ^ poly) : (crc << 1);
+            }
+            table[i] = crc & mask;
+        }
+        return table;
+    }
+
+    crc(table, width, bytes, start, end) {
+        let crc = 0;
+        const mask = (1 << width) - 1;
+        for (let i = start; i < end; i++) {
+            crc = width === 8
+                ? table[crc ^ bytes[i]]
+                : ((crc << 8) ^ table[((crc >> 8) ^ bytes[i]) & 0xFF]) & mask;
+        }
+        return crc;
+    }
+}
+
+/**
+ * MSB-first bit writer with a growable byte buffer
+ */
+class BitWriter {
+    constructor(capacity) {
+        this.bytes = new Uint8Array(Math.max(16, capacity));
+        this.length = 0;
+        this.acc = 0;
+        this.accBits = 0;
+    }
+
+    pushByte(b) {
+        if (this.length >= this.bytes.length) {
+            const grown = new Uint8Array(this.bytes.length * 2);
+            grown.set(this.bytes);
+            this.bytes = grown;
+        }
+        this.bytes[this.length++] = b;
+    }
+
+    writeBits(value, n) {
+        if (n > 24) {
+            this.writeBits(Math.floor(value / 0x1000000), n - 24);
+            this.writeBits(value % 0x1000000, 24);
+            return;
+        }
+        this.acc = (this.acc << n) | (value & ((1 << n) - 1));
+        this.accBits += n;
+        while (this.accBits >= 8) {
+            this.accBits -= 8;
+            this.pushByte((this.acc >>> this.accBits) & 0xFF);
+        }
+        this.acc &= (1 << this.accBits) - 1;
+    }
+
+    writeSigned(value, n) {
+        this.writeBits(value < 0 ? value + Math.pow(2, n) : value, n);
+    }
+
+    writeUnary(q) {
+        while (q >= 24) {
+            this.writeBits(0, 24);
+            q -= 24;
+        }
+        this.writeBits(1, q + 1);
+    }
+
+    alignToByte() {
+        if (this.accBits > 0) this.writeBits(0, 8 - this.accBits);
+    }
+
+    toUint8Array() {
+        this.alignToByte();
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+/**
+ * MSB-first bit reader
+ */
+class BitReader {
+    constructor(bytes, pos = 0) {
+        this.bytes = bytes;
+        this.pos = pos;
+        this.bitPos = 0;
+    }
+
+    readBits(n) {
+        let value = 0;
+        while (n > 0) {
+            if (this.pos >= this.bytes.length) throw new Error('Unexpected end of FLAC stream');
+            const avail = 8 - this.bitPos;
+            const take = Math.min(n, avail);
+            const bits = (this.bytes[this.pos] >> (avail - take)) & ((1 << take) - 1);
+            value = value * (1 << take) + bits;
+            this.bitPos += take;
+            if (this.bitPos === 8) {
+                this.bitPos = 0;
+                this.pos++;
+            }
+            n -= take;
+        }
+        return value;
+    }
+
+    readSigned(n) {
+        const value = this.readBits(n);
+        return value >= Math.pow(2, n - 1) ? value - Math.pow(2, n) : value;
+    }
+
+    readUnary() {
+        let count = 0;
+        for (;;) {
+            if (this.pos >= this.bytes.length) throw new Error('Unexpected end of FLAC stream');
+            const masked = (this.bytes[this.pos] << this.bitPos) & 0xFF;
+            if (masked === 0) {
+                count += 8 - this.bitPos;
+                this.pos++;
+                this.bitPos = 0;
+                continue;
+            }
+            const zeros = Math.clz32(masked) - 24;
+            count += zeros;
+            this.bitPos += zeros + 1;
+            if (this.bitPos === 8) {
+                this.bitPos = 0;
+                this.pos++;
+            }
+            return count;
+        }
+    }
+
+    alignToByte() {
+        if (this.bitPos > 0) {
+            this.bitPos = 0;
+            this.pos++;
+        }
+    }
+}
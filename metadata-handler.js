@@ -1,6 +1,51 @@
+import { FlacCodec } from './flac-codec.js';
+
+/**
+ * Read an 80-bit IEEE 754 extended float (AIFF COMM sample rate)
+ * @param {DataView} view
+ * @param {number} offset
+ * @returns {number}
+ */
+export function readExtended80(view, offset) {
+    const expon = view.getUint16(offset, false);
+    const hiMant = view.getUint32(offset + 2, false);
+    const loMant = view.getUint32(offset + 6, false);
+    if (expon === 0 && hiMant === 0 && loMant === 0) return 0;
+
+    const sign = expon & 0x8000 ? -1 : 1;
+    const exponent = (expon & 0x7FFF) - 16383;
+    const value = hiMant * Math.pow(2, exponent - 31) + loMant * Math.pow(2, exponent - 63);
+    return sign * value;
+}
+
 export class MetadataHandler {
     constructor() {
+        this.flacCodec = new FlacCodec();
         this.textDecoder = new TextDecoder('utf-8');
+
+        // Take flags: metadata key -> top-level iXML tag
+        this.takeFlagTags = {
+            circled: 'CIRCLED',
+            falseStart: 'FALSE_START',
+            wildTrack: 'WILD_TRACK',
+            noGood: 'NO_GOOD'
+        };
+
+        // Filler chunks that can be reclaimed by in-place metadata writes
+        this.fillerChunkIds = ['JUNK', 'PAD ', 'FLLR'];
+
+        // JUNK bytes reserved after iXML when a file is (re)written, so later edits fit in place
+        this.metadataPadding = 4096;
+
+        // bEXT Description dialects: each recorder family writes key=value lines with its own
+        // one-letter prefix (sSCENE, zSCENE, aSCENE, ...). Detected from the Originator first,
+        // then from the prefix; Zoom and Zaxcom share 'z', so a 'z' prefix alone reports both.
+        this.recorderProfiles = [
+            { id: 'sound-devices', name: 'Sound Devices', prefix: 's', originator: /sound\s*devices|mixpre|scorpio|^SD\s*\d|^[678]\d{2}T?\b/i },
+            { id: 'zoom', name: 'Zoom F-series', prefix: 'z', originator: /zoom|^F\d+[a-z]*\b/i },
+            { id: 'zaxcom', name: 'Zaxcom', prefix: 'z', originator: /zaxcom|nomad|deva|fusion|maxx|oasis/i },
+            { id: 'aaton', name: 'Aaton Cantar', prefix: 'a', originator: /aaton|cantar/i }
+        ];
     }
 
     async parseFile(file) {
@@ -46,6 +91,29 @@ export class MetadataHandler {
 
         // Parse the header to get basic info
         const headerView = new DataView(headerBuffer.buffer);
+        if (this.flacCodec.isFlac(headerView)) {
+            const flacMetadata = this.parseFlac(headerView, file.name, file.size);
+            console.log(`Final parsed metadata:`, flacMetadata);
+            return flacMetadata;
+        }
+        if (this.isAiff(headerView)) {
+            const aiffMetadata = this.parseAiff(headerView, file.name, file.size);
+
+            // Large files: the header read stops at SSND, so read MARK, ANNO, NAME and iXML
+            // written after the sound data (as Pro Tools and Logic do) from the rest of the file
+            const ssnd = aiffMetadata.chunks.SSND;
+            const tailStart = ssnd ? ssnd.offset + 8 + ssnd.size + (ssnd.size % 2) : 0;
+            if (ssnd && tailStart > headerBuffer.length && tailStart + 8 <= file.size) {
+                const tailEnd = Math.min(file.size, tailStart + 10 * 1024 * 1024);
+                console.log(`Reading ${((tailEnd - tailStart) / 1024).toFixed(2)} KB of AIFF chunks after SSND...`);
+                const tailBuffer = await file.slice(tailStart, tailEnd).arrayBuffer();
+                this.parseAiffChunks(new DataView(tailBuffer), aiffMetadata, 0, tailStart);
+                this.finishAiffMetadata(aiffMetadata);
+            }
+
+            console.log(`Final parsed metadata:`, aiffMetadata);
+            return aiffMetadata;
+        }
         if (!this.isWav(headerView)) {
             return {
                 filename: file.name,
@@ -124,8 +192,8 @@ export class MetadataHandler {
                     break;
                 }
 
-                // Validate chunk ID (must be ASCII alphanumeric/space)
-                if (!/^[a-zA-Z0-9 ]{4}$/.test(chunkId)) {
+                // Validate chunk ID (must be printable ASCII)
+                if (!this.isValidChunkId(chunkId)) {
                     invalidChunkCount++;
                     if (invalidChunkCount > MAX_INVALID_CHUNKS) {
                         console.log(`Too many invalid chunks (${invalidChunkCount}), stopping parse to prevent infinite loop`);
@@ -139,12 +207,19 @@ export class MetadataHandler {
                 // Reset invalid chunk counter when we find a valid one
                 invalidChunkCount = 0;
 
+                if (metadata.chunkList && !metadata.chunkList.some(c => c.offset === fileOffset + offset)) {
+                    metadata.chunkList.push({ id: chunkId, offset: fileOffset + offset, size: chunkSize });
+                }
+
                 if (chunkId === 'bext') {
                     console.log(`Found bext chunk at end of file, size: ${chunkSize}`);
                     this.parseBext(view, offset + 8, chunkSize, metadata);
                 } else if (chunkId === 'iXML') {
                     console.log(`Found iXML chunk at end of file, size: ${chunkSize}`);
                     this.parseIXML(view, offset + 8, chunkSize, metadata);
+                } else if (chunkId === 'LIST' && this.getChunkId(view, offset + 8) === 'INFO') {
+                    console.log(`Found LIST-INFO chunk at end of file, size: ${chunkSize}`);
+                    metadata.infoTags = this.parseListInfo(view, offset + 8, chunkSize);
                 }
 
                 offset += 8 + chunkSize;
@@ -171,7 +246,7 @@ export class MetadataHandler {
                 fpsExact: fpsExact,
                 fps_decimal: fpsExact.numerator / fpsExact.denominator
             });
-            metadata.tcStart = this.samplesToTC(metadata.timeReference, metadata.sampleRate, fpsExact);
+            metadata.tcStart = this.samplesToTC(metadata.timeReference, this.timecodeSampleRate(metadata), fpsExact);
             console.log(`[parseTrailingChunks] Recalculated TC Start: ${metadata.tcStart}`);
         }
     }
@@ -181,12 +256,22 @@ export class MetadataHandler {
         const view = new DataView(buffer.buffer || buffer);
         let offset = 12; // Skip RIFF header
 
+        // FLAC: metadata blocks are all up front, stop once the last one is read
+        if (this.flacCodec.isFlac(view)) {
+            const { audioOffset } = this.getFlacBlocks(view);
+            return audioOffset !== null && audioOffset <= view.byteLength;
+        }
+
+        // AIFF: big-endian sizes, sample data lives in SSND
+        const isAiff = this.isAiff(view);
+        const dataChunkId = isAiff ? 'SSND' : 'data';
+
         try {
             while (offset + 8 <= view.byteLength) {
                 const chunkId = this.getChunkId(view, offset);
-                const chunkSize = view.getUint32(offset + 4, true);
+                const chunkSize = view.getUint32(offset + 4, !isAiff);
 
-                if (chunkId === 'data') {
+                if (chunkId === dataChunkId) {
                     return true;
                 }
 
@@ -210,6 +295,745 @@ export class MetadataHandler {
             view.getUint32(8, false) === 0x57415645;   // WAVE
     }
 
+    /**
+     * Check that a chunk ID is four printable ASCII characters
+     * Vendor chunks use IDs like '_PMX', 'elm1' or 'ID3 ', so any printable character is accepted.
+     * @param {string} chunkId
+     * @returns {boolean}
+     */
+    isValidChunkId(chunkId) {
+        return typeof chunkId === 'string' && /^[\x21-\x7E][\x20-\x7E]{3}$/.test(chunkId);
+    }
+
+    /**
+     * Walk the chunk structure of a WAV/RF64/AIFF file without loading the audio
+     * Only chunk headers (and LIST bodies, to list their sub-chunks) are read.
+     * Odd-sized chunks get `padded`, taken from where the next chunk header actually starts.
+     * @param {File} file - File to scan
+     * @returns {Promise<Object>} Root node: {id, formType, offset, size, children: [{id, offset, size, padded?, listType?, children?}]}
+     */
+    async scanChunkTree(file) {
+        const readBytes = async (start, length) => {
+            const end = Math.min(file.size, start + length);
+            return new DataView(await file.slice(start, end).arrayBuffer());
+        };
+
+        const header = await readBytes(0, 12);
+        if (header.byteLength < 12) {
+            throw new Error('File is too small to contain a chunk header');
+        }
+        const rootId = this.getChunkId(header, 0);
+        const isAiff = rootId === 'FORM';
+        if (rootId !== 'RIFF' && rootId !== 'RF64' && !isAiff) {
+            throw new Error(`Unsupported container: "${rootId}"`);
+        }
+        const littleEndian = !isAiff;
+
+        const root = {
+            id: rootId,
+            formType: this.getChunkId(header, 8),
+            offset: 0,
+            size: header.getUint32(4, littleEndian),
+            children: []
+        };
+
+        let rf64DataSize = null;
+        let offset = 12;
+        while (offset + 8 <= file.size) {
+            const chunkHeader = await readBytes(offset, 12);
+            const chunkId = this.getChunkId(chunkHeader, 0);
+            let chunkSize = chunkHeader.getUint32(4, littleEndian);
+
+            if (!this.isValidChunkId(chunkId)) {
+                root.children.push({ id: chunkId, offset, size: file.size - offset - 8, invalid: true });
+                break;
+            }
+
+            if (chunkId === 'ds64' && chunkSize >= 16) {
+                const ds64 = await readBytes(offset + 8, 16);
+                rf64DataSize = Number(ds64.getBigUint64(8, true));
+            } else if (chunkId === 'data' && chunkSize === 0xFFFFFFFF && rf64DataSize !== null) {
+                chunkSize = rf64DataSize;
+            }
+
+            const node = { id: chunkId, offset, size: chunkSize };
+            if (offset + 8 + chunkSize > file.size) {
+                node.truncated = true;
+            }
+
+            // LIST sub-chunks (INFO tags, adtl labels, ...)
+            if (chunkId === 'LIST' && chunkSize >= 4 && chunkSize <= 16 * 1024 * 1024) {
+                const body = await readBytes(offset + 8, chunkSize);
+                node.listType = this.getChunkId(body, 0);
+                node.children = [];
+                let subOffset = 4;
+                while (subOffset + 8 <= body.byteLength) {
+                    const subId = this.getChunkId(body, subOffset);
+                    const subSize = body.getUint32(subOffset + 4, littleEndian);
+                    if (!this.isValidChunkId(subId)) break;
+                    node.children.push({ id: subId, offset: offset + 8 + subOffset, size: subSize });
+                    subOffset += 8 + subSize + (subSize % 2);
+                }
+            }
+
+            // An odd-sized chunk should be followed by a pad byte, but some writers omit it:
+            // the next chunk starts one byte later when padded, or right after the chunk when not
+            let next = offset + 8 + chunkSize;
+            if (chunkSize % 2 === 1) {
+                node.padded = !node.truncated && next + 1 <= file.size;
+                if (node.padded && next + 8 <= file.size) {
+                    const after = await readBytes(next, 5);
+                    node.padded = this.isValidChunkId(this.getChunkId(after, 1)) ||
+                        !this.isValidChunkId(this.getChunkId(after, 0));
+                }
+                if (node.padded) next++;
+            }
+
+            root.children.push(node);
+            offset = next;
+        }
+
+        return root;
+    }
+
+    /**
+     * Format bytes as a hex/ASCII dump (16 bytes per line)
+     * @param {Uint8Array} bytes - Bytes to dump
+     * @param {number} baseOffset - File offset of the first byte (shown in the offset column)
+     * @returns {string}
+     */
+    formatHexDump(bytes, baseOffset = 0) {
+        const lines = [];
+        for (let i = 0; i < bytes.length; i += 16) {
+            const row = bytes.subarray(i, Math.min(i + 16, bytes.length));
+            let hex = '';
+            let ascii = '';
+            for (let j = 0; j < 16; j++) {
+                if (j < row.length) {
+                    hex += row[j].toString(16).padStart(2, '0').toUpperCase() + ' ';
+                    ascii += row[j] >= 0x20 && row[j] < 0x7F ? String.fromCharCode(row[j]) : '.';
+                } else {
+                    hex += '   ';
+                }
+                if (j === 7) hex += ' ';
+            }
+            lines.push(`${(baseOffset + i).toString(16).padStart(8, '0').toUpperCase()}  ${hex} |${ascii}|`);
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * QC checks for a single file: bEXT vs iXML consistency, track count and data chunk size
+     * Checks that span several files (duplicate scene/take) are done by the caller.
+     * @param {File} file - File to check (only chunk headers and bEXT are read)
+     * @param {Object} metadata - Parsed metadata of the file
+     * @returns {Promise<Array<Object>>} Issues: {severity: 'error'|'warning', check, message}
+     */
+    async lintFile(file, metadata) {
+        const issues = [];
+        const add = (severity, check, message) => issues.push({ severity, check, message });
+
+        if (!metadata.scene) add('warning', 'Scene/Take', 'Scene is missing');
+        if (!metadata.take) add('warning', 'Scene/Take', 'Take is missing');
+
+        let tree = null;
+        try {
+            tree = await this.scanChunkTree(file);
+        } catch (err) {
+            // Compressed formats have no chunk structure to check
+            return issues;
+        }
+        if (tree.id === 'FORM') return issues;
+
+        // Data chunk must be word-aligned: an odd size needs a pad byte
+        const dataNode = tree.children.find(c => c.id === 'data');
+        if (dataNode && dataNode.size % 2 === 1) {
+            const padded = dataNode.padded;
+            add(padded ? 'warning' : 'error', 'Data chunk',
+                `data chunk has an odd size (${dataNode.size} bytes)${padded ? '' : ' and no pad byte'}`);
+        }
+
+        // Raw bEXT fields (metadata.timeReference may have come from iXML)
+        let bextTimeRef = null;
+        let bextSpeed = null;
+        const bextNode = tree.children.find(c => c.id === 'bext');
+        if (bextNode && bextNode.size >= 346) {
+            const view = new DataView(await file.slice(bextNode.offset + 8, bextNode.offset + 8 + 346).arrayBuffer());
+            const low = view.getUint32(338, true);
+            const high = view.getUint32(342, true);
+            bextTimeRef = Number((BigInt(high) << 32n) | BigInt(low));
+            bextSpeed = this.parseSpeedFromDescription(this.readString(view, 0, 256));
+        }
+
+        if (!metadata.ixmlRaw) return issues;
+        const xmlDoc = new DOMParser().parseFromString(metadata.ixmlRaw, 'text/xml');
+        if (xmlDoc.querySelector('parsererror')) {
+            add('error', 'iXML', 'iXML chunk is not valid XML');
+            return issues;
+        }
+
+        // bEXT TimeReference vs iXML TIMESTAMP_SAMPLES_SINCE_MIDNIGHT
+        const hiStr = this.getXmlVal(xmlDoc, 'SPEED TIMESTAMP_SAMPLES_SINCE_MIDNIGHT_HI').trim();
+        const loStr = this.getXmlVal(xmlDoc, 'SPEED TIMESTAMP_SAMPLES_SINCE_MIDNIGHT_LO').trim();
+        if (bextTimeRef !== null && /^\d+$/.test(hiStr) && /^\d+$/.test(loStr)) {
+            const ixmlTimeRef = Number((BigInt(hiStr) << 32n) | BigInt(loStr));
+            if (ixmlTimeRef !== bextTimeRef) {
+                add('error', 'TimeReference',
+                    `bEXT TimeReference (${bextTimeRef}) differs from iXML TIMESTAMP_SAMPLES_SINCE_MIDNIGHT (${ixmlTimeRef})`);
+            }
+        }
+
+        // bEXT sSPEED vs iXML SPEED
+        const speedStr = (this.getXmlVal(xmlDoc, 'SPEED MASTER_SPEED') || this.getXmlVal(xmlDoc, 'SPEED TIMECODE_RATE')).trim();
+        if (bextSpeed && speedStr) {
+            const [num, den] = speedStr.split('/').map(Number);
+            const ixmlFps = den ? num / den : num;
+            const bextFps = bextSpeed.numerator / bextSpeed.denominator;
+            if (!Number.isNaN(ixmlFps) && Math.abs(ixmlFps - bextFps) > 0.001) {
+                add('error', 'Speed', `bEXT sSPEED (${this.fpsLabel(bextSpeed)}) differs from iXML SPEED (${speedStr})`);
+            }
+            const flag = this.getXmlVal(xmlDoc, 'SPEED TIMECODE_FLAG').trim().toUpperCase();
+            if (flag && (flag === 'DF') !== !!bextSpeed.dropFrame) {
+                add('warning', 'Speed', `bEXT sSPEED is ${bextSpeed.dropFrame ? 'DF' : 'NDF'} but iXML TIMECODE_FLAG is ${flag}`);
+            }
+        }
+
+        // TRACK_LIST vs fmt channel count
+        if (xmlDoc.querySelector('TRACK_LIST') && metadata.channels) {
+            const trackCount = parseInt(this.getXmlVal(xmlDoc, 'TRACK_LIST > TRACK_COUNT'), 10);
+            const tracks = xmlDoc.querySelectorAll('TRACK_LIST > TRACK').length;
+            if (!Number.isNaN(trackCount) && trackCount !== metadata.channels) {
+                add('error', 'Track count', `TRACK_COUNT is ${trackCount} but the file has ${metadata.channels} channel(s)`);
+            } else if (tracks > 0 && tracks !== metadata.channels) {
+                add('warning', 'Track count', `TRACK_LIST has ${tracks} TRACK entries but the file has ${metadata.channels} channel(s)`);
+            }
+        }
+
+        return issues;
+    }
+
+    isAiff(view) {
+        if (view.byteLength < 12 || view.getUint32(0, false) !== 0x464F524D) return false; // FORM
+        const formType = this.getChunkId(view, 8);
+        return formType === 'AIFF' || formType === 'AIFC';
+    }
+
+    /**
+     * Parse an AIFF/AIFC file (big-endian chunk sizes)
+     * Reads COMM, SSND, MARK, ANNO, NAME/AUTH/(c) and an embedded iXML chunk if present.
+     * @param {DataView} view - View over the file (or its header)
+     * @param {string} filename - File name
+     * @param {number|null} actualFileSize - Size of the full file
+     * @returns {Object} Metadata in the same shape as parseWav
+     */
+    parseAiff(view, filename, actualFileSize = null) {
+        const formType = this.getChunkId(view, 8);
+        const metadata = {
+            filename: filename,
+            format: formType,
+            fileSize: actualFileSize || view.byteLength,
+            chunks: {},
+            aiffMarkers: [],
+            aiffAnnotations: [],
+            infoTags: {}
+        };
+
+        this.parseAiffChunks(view, metadata, 12);
+        this.finishAiffMetadata(metadata);
+
+        console.log(`[parseAiff] ${formType}: ${metadata.channels}ch ${metadata.bitDepth}-bit ${metadata.sampleRate}Hz, compression ${metadata.aiffCompression}, ${metadata.aiffMarkers.length} markers`);
+        return metadata;
+    }
+
+    /**
+     * Read the AIFF chunks in a view into metadata
+     * @param {DataView} view - View over part of the file
+     * @param {Object} metadata - Metadata being built by parseAiff
+     * @param {number} start - Offset of the first chunk header in the view
+     * @param {number} fileOffset - Position of the view in the file (chunk offsets are stored absolute)
+     */
+    parseAiffChunks(view, metadata, start, fileOffset = 0) {
+        const formType = metadata.format;
+        let offset = start;
+        while (offset + 8 <= view.byteLength) {
+            const chunkId = this.getChunkId(view, offset);
+            const chunkSize = view.getUint32(offset + 4, false);
+            const dataStart = offset + 8;
+
+            metadata.chunks[chunkId] = { offset: fileOffset + offset, size: chunkSize };
+
+            if (chunkId === 'COMM') {
+                metadata.channels = view.getUint16(dataStart, false);
+                metadata.aiffFrameCount = view.getUint32(dataStart + 2, false);
+                metadata.bitDepth = view.getUint16(dataStart + 6, false);
+                metadata.sampleRate = Math.round(readExtended80(view, dataStart + 8));
+                metadata.aiffCompression = formType === 'AIFC' && chunkSize >= 22
+                    ? this.getChunkId(view, dataStart + 18)
+                    : 'NONE';
+                if (metadata.aiffCompression === 'fl32' || metadata.aiffCompression === 'FL32') metadata.bitDepth = 32;
+                if (metadata.aiffCompression === 'fl64' || metadata.aiffCompression === 'FL64') metadata.bitDepth = 64;
+            } else if (chunkId === 'SSND') {
+                // SSND: offset (4), blockSize (4), then sample data
+                const ssndOffset = view.getUint32(dataStart, false);
+                metadata.audioDataOffset = fileOffset + dataStart + 8 + ssndOffset;
+                metadata.audioDataSize = chunkSize - 8 - ssndOffset;
+            } else if (chunkId === 'MARK') {
+                metadata.aiffMarkers = this.parseAiffMarkers(view, dataStart, chunkSize);
+            } else if (chunkId === 'ANNO' || chunkId === 'NAME' || chunkId === 'AUTH' || chunkId === '(c) ') {
+                const end = Math.min(dataStart + chunkSize, view.byteLength);
+                const text = this.textDecoder.decode(new Uint8Array(view.buffer, view.byteOffset + dataStart, end - dataStart))
+                    .replace(/\0.*$/s, '').trim();
+                if (chunkId === 'ANNO') {
+                    if (text) metadata.aiffAnnotations.push(text);
+                } else if (text) {
+                    const infoTag = { NAME: 'INAM', AUTH: 'IART', '(c) ': 'ICOP' }[chunkId];
+                    metadata.infoTags[infoTag] = text;
+                }
+            } else if (chunkId === 'iXML') {
+                // Some tools embed iXML in AIFF as well
+                this.parseIXML(view, dataStart, chunkSize, metadata);
+            }
+
+            offset += 8 + chunkSize;
+            if (chunkSize % 2 !== 0) offset++;
+        }
+    }
+
+    /**
+     * Derive notes, scene, duration and TC Start from the AIFF chunks read so far
+     * Runs again after the chunks that follow SSND in a large file are read.
+     * @param {Object} metadata - Metadata built by parseAiffChunks
+     */
+    finishAiffMetadata(metadata) {
+        if (metadata.aiffAnnotations.length > 0) {
+            // Notes taken from the annotations of an earlier pass follow the complete list
+            const annotations = metadata.aiffAnnotations.join('\n');
+            if (!metadata.notes || metadata.notes === metadata.infoTags.ICMT) metadata.notes = annotations;
+            metadata.infoTags.ICMT = annotations;
+        }
+        if (!metadata.scene && metadata.infoTags.INAM) {
+            metadata.scene = metadata.infoTags.INAM;
+        }
+
+        if (metadata.sampleRate && metadata.aiffFrameCount !== undefined) {
+            metadata.durationSec = metadata.aiffFrameCount / metadata.sampleRate;
+            metadata.duration = this.formatDuration(metadata.durationSec);
+        }
+
+        if (metadata.timeReference !== undefined && metadata.sampleRate) {
+            const fpsExact = metadata.fpsExact || { numerator: 24, denominator: 1 };
+            metadata.tcStart = this.samplesToTC(metadata.timeReference, this.timecodeSampleRate(metadata), fpsExact);
+        }
+    }
+
+    /**
+     * Parse an AIFF MARK chunk
+     * @param {DataView} view
+     * @param {number} offset - Offset of the MARK chunk data
+     * @param {number} size - MARK chunk data size
+     * @returns {Array<Object>} Markers: {id, position (sample frames), name}
+     */
+    parseAiffMarkers(view, offset, size) {
+        const markers = [];
+        const end = Math.min(offset + size, view.byteLength);
+        const numMarkers = view.getUint16(offset, false);
+        let pos = offset + 2;
+
+        for (let i = 0; i < numMarkers && pos + 7 <= end; i++) {
+            const id = view.getInt16(pos, false);
+            const position = view.getUint32(pos + 2, false);
+            // Pascal string: count byte + text, padded so count + text is even
+            const nameLength = view.getUint8(pos + 6);
+            const name = this.readString(view, pos + 7, Math.min(nameLength, end - pos - 7));
+            markers.push({ id, position, name });
+            pos += 7 + nameLength;
+            if ((nameLength + 1) % 2 !== 0) pos++;
+        }
+
+        return markers;
+    }
+
+    /**
+     * Convert an AIFF/AIFC file to a Broadcast WAV
+     * Samples are converted to little-endian; scene/take/notes, iXML, LIST-INFO and
+     * MARK markers (as cue points plus iXML sync points) are carried across.
+     * @param {ArrayBuffer} arrayBuffer - Complete AIFF file
+     * @param {Object} metadata - Metadata from parseAiff (may include user edits)
+     * @returns {Blob} WAV file blob
+     */
+    convertAiffToWav(arrayBuffer, metadata) {
+        const view = new DataView(arrayBuffer);
+        const compression = (metadata.aiffCompression || 'NONE').toLowerCase();
+        if (!['none', 'twos', 'sowt', 'in24', 'in32', 'fl32', 'fl64'].includes(compression)) {
+            throw new Error(`Unsupported AIFC compression: ${metadata.aiffCompression}`);
+        }
+        if (metadata.audioDataOffset === undefined) {
+            throw new Error('AIFF file has no SSND chunk');
+        }
+
+        const isFloat = compression === 'fl32' || compression === 'fl64';
+        const bitDepth = metadata.bitDepth;
+        const bytesPerSample = Math.ceil(bitDepth / 8);
+        const channels = metadata.channels;
+        const blockAlign = channels * bytesPerSample;
+        const frameCount = Math.min(
+            metadata.aiffFrameCount,
+            Math.floor(Math.min(metadata.audioDataSize, view.byteLength - metadata.audioDataOffset) / blockAlign)
+        );
+        const dataSize = frameCount * blockAlign;
+
+        // Sample data: swap byte order (unless 'sowt'), 8-bit signed -> unsigned
+        const source = new Uint8Array(arrayBuffer, metadata.audioDataOffset, dataSize);
+        const pcm = new Uint8Array(dataSize);
+        if (bytesPerSample === 1) {
+            for (let i = 0; i < dataSize; i++) pcm[i] = (source[i] + 128) & 0xFF;
+        } else if (compression === 'sowt') {
+            pcm.set(source);
+        } else {
+            for (let i = 0; i < dataSize; i += bytesPerSample) {
+                for (let b = 0; b < bytesPerSample; b++) {
+                    pcm[i + b] = source[i + bytesPerSample - 1 - b];
+                }
+            }
+        }
+
+        // fmt chunk
+        const fmt = new ArrayBuffer(16);
+        const fmtView = new DataView(fmt);
+        fmtView.setUint16(0, isFloat ? 3 : 1, true);
+        fmtView.setUint16(2, channels, true);
+        fmtView.setUint32(4, metadata.sampleRate, true);
+        fmtView.setUint32(8, metadata.sampleRate * blockAlign, true);
+        fmtView.setUint16(12, blockAlign, true);
+        fmtView.setUint16(14, bitDepth, true);
+
+        // Metadata for the new file (no bEXT to preserve)
+        const wavMetadata = { ...metadata, bextRaw: undefined, format: 'WAV' };
+        if (wavMetadata.timeReference === undefined) wavMetadata.timeReference = 0;
+
+        const markers = (metadata.aiffMarkers || []).map(m => ({
+            time: m.position / metadata.sampleRate,
+            label: m.name
+        }));
+
+        let ixmlString = new TextDecoder().decode(this.createIXMLChunk(wavMetadata));
+        if (markers.length > 0) {
+            ixmlString = this.injectCuesIntoIXML(ixmlString, markers, metadata.sampleRate);
+        }
+
+        const newChunks = [
+            { id: 'fmt ', data: fmt },
+            { id: 'bext', data: this.createBextChunk(wavMetadata) },
+            { id: 'iXML', data: new TextEncoder().encode(ixmlString).buffer }
+        ];
+
+        const infoData = this.createListInfoChunk(metadata.infoTags);
+        if (infoData) newChunks.push({ id: 'LIST', data: infoData });
+
+        const cueChunk = this.createCueChunk(markers, metadata.sampleRate);
+        if (cueChunk) {
+            // createCueChunk returns the full chunk including its header
+            const cueSize = new DataView(cueChunk.buffer).getUint32(4, true);
+            newChunks.push({ id: 'cue ', data: cueChunk.buffer.slice(8, 8 + cueSize) });
+        }
+        const adtlData = this.createAdtlChunk(markers, metadata.sampleRate);
+        if (adtlData) newChunks.push({ id: 'LIST', data: adtlData });
+
+        newChunks.push({ id: 'data', data: pcm.buffer });
+
+        let totalSize = 4; // "WAVE"
+        for (const chunk of newChunks) {
+            totalSize += 8 + chunk.data.byteLength + (chunk.data.byteLength % 2);
+        }
+
+        const newBuffer = new Uint8Array(totalSize + 8);
+        const newView = new DataView(newBuffer.buffer);
+        this.writeString(newView, 0, 'RIFF');
+        newView.setUint32(4, totalSize, true);
+        this.writeString(newView, 8, 'WAVE');
+
+        let writeOffset = 12;
+        for (const chunk of newChunks) {
+            this.writeString(newView, writeOffset, chunk.id);
+            newView.setUint32(writeOffset + 4, chunk.data.byteLength, true);
+            writeOffset += 8;
+            newBuffer.set(new Uint8Array(chunk.data), writeOffset);
+            writeOffset += chunk.data.byteLength + (chunk.data.byteLength % 2);
+        }
+
+        console.log(`[convertAiffToWav] ${metadata.filename}: ${frameCount} frames, ${markers.length} markers`);
+        return new Blob([newBuffer], { type: 'audio/wav' });
+    }
+
+    /**
+     * Walk the FLAC metadata block headers
+     * @param {DataView} view - View over the file (or its header)
+     * @returns {{blocks: Array<{type: number, offset: number, size: number}>, audioOffset: number|null}}
+     *          audioOffset is null if the last block header wasn't reached
+     */
+    getFlacBlocks(view) {
+        const blocks = [];
+        let offset = 4;
+        while (offset + 4 <= view.byteLength) {
+            const header = view.getUint8(offset);
+            const size = view.getUint32(offset, false) & 0xFFFFFF;
+            blocks.push({ type: header & 0x7F, offset: offset + 4, size });
+            offset += 4 + size;
+            if (header & 0x80) {
+                return { blocks, audioOffset: offset };
+            }
+        }
+        return { blocks, audioOffset: null };
+    }
+
+    /**
+     * Parse a FLAC file: STREAMINFO for the format, VORBIS_COMMENT for metadata
+     * @param {DataView} view - View over the file (or its header)
+     * @param {string} filename - File name
+     * @param {number|null} actualFileSize - Size of the full file
+     * @returns {Object} Metadata in the same shape as parseWav
+     */
+    parseFlac(view, filename, actualFileSize = null) {
+        const metadata = {
+            filename: filename,
+            format: 'FLAC',
+            fileSize: actualFileSize || view.byteLength,
+            chunks: {},
+            vorbisComments: []
+        };
+
+        const blockNames = { 0: 'STREAMINFO', 1: 'PADDING', 2: 'APPLICATION', 3: 'SEEKTABLE', 4: 'VORBIS_COMMENT', 5: 'CUESHEET', 6: 'PICTURE' };
+        const { blocks, audioOffset } = this.getFlacBlocks(view);
+
+        for (const block of blocks) {
+            metadata.chunks[blockNames[block.type] || `BLOCK_${block.type}`] = { offset: block.offset - 4, size: block.size };
+            if (block.offset + block.size > view.byteLength) continue;
+
+            if (block.type === 0) {
+                // STREAMINFO: sample rate (20), channels-1 (3), bps-1 (5), total samples (36) from byte 10
+                const hi = view.getUint32(block.offset + 10, false);
+                const lo = view.getUint32(block.offset + 14, false);
+                metadata.sampleRate = hi >>> 12;
+                metadata.channels = ((hi >>> 9) & 0x7) + 1;
+                metadata.bitDepth = ((hi >>> 4) & 0x1F) + 1;
+                const totalSamples = (hi & 0xF) * 0x100000000 + lo;
+                if (totalSamples > 0 && metadata.sampleRate) {
+                    metadata.durationSec = totalSamples / metadata.sampleRate;
+                    metadata.duration = this.formatDuration(metadata.durationSec);
+                }
+            } else if (block.type === 4) {
+                metadata.vorbisComments = this.parseVorbisComment(view, block.offset, block.size);
+            }
+        }
+
+        if (audioOffset !== null) {
+            metadata.audioDataOffset = audioOffset;
+            metadata.audioDataSize = metadata.fileSize - audioOffset;
+        }
+
+        this.applyVorbisComments(metadata.vorbisComments, metadata);
+
+        if (metadata.timeReference !== undefined && metadata.sampleRate) {
+            const fpsExact = metadata.fpsExact || { numerator: 24, denominator: 1 };
+            metadata.tcStart = this.samplesToTC(metadata.timeReference, this.timecodeSampleRate(metadata), fpsExact);
+        }
+
+        console.log(`[parseFlac] ${metadata.channels}ch ${metadata.bitDepth}-bit ${metadata.sampleRate}Hz, ${metadata.vorbisComments.length} Vorbis comments`);
+        return metadata;
+    }
+
+    /**
+     * Parse a VORBIS_COMMENT block (little-endian lengths, UTF-8 "KEY=value" entries)
+     * @param {DataView} view
+     * @param {number} offset - Block data offset
+     * @param {number} size - Block data size
+     * @returns {Array<{key: string, value: string}>} Comments in file order
+     */
+    parseVorbisComment(view, offset, size) {
+        const comments = [];
+        const end = offset + size;
+        const vendorLength = view.getUint32(offset, true);
+        let pos = offset + 4 + vendorLength;
+        if (pos + 4 > end) return comments;
+
+        const count = view.getUint32(pos, true);
+        pos += 4;
+        for (let i = 0; i < count && pos + 4 <= end; i++) {
+            const length = view.getUint32(pos, true);
+            pos += 4;
+            if (pos + length > end) break;
+            const entry = this.textDecoder.decode(new Uint8Array(view.buffer, view.byteOffset + pos, length));
+            pos += length;
+            const eq = entry.indexOf('=');
+            if (eq > 0) {
+                comments.push({ key: entry.substring(0, eq).toUpperCase(), value: entry.substring(eq + 1) });
+            }
+        }
+        return comments;
+    }
+
+    /**
+     * Map Vorbis comments onto metadata fields
+     * @param {Array<{key: string, value: string}>} comments
+     * @param {Object} metadata - Metadata object to update
+     */
+    applyVorbisComments(comments, metadata) {
+        const get = (key) => {
+            const entry = comments.find(c => c.key === key);
+            return entry ? entry.value : undefined;
+        };
+
+        if (get('SCENE') !== undefined) metadata.scene = get('SCENE');
+        if (get('TAKE') !== undefined) metadata.take = get('TAKE');
+        if (get('TAPE') !== undefined) metadata.tape = get('TAPE');
+        if (get('PROJECT') !== undefined) metadata.project = get('PROJECT');
+        const notes = get('COMMENT') ?? get('DESCRIPTION');
+        if (notes !== undefined) metadata.notes = notes;
+        if (get('CIRCLED') !== undefined) metadata.circled = get('CIRCLED').toUpperCase() === 'TRUE';
+
+        const trackNames = comments.filter(c => /^TRACKNAME\d+$/.test(c.key))
+            .sort((a, b) => parseInt(a.key.substring(9)) - parseInt(b.key.substring(9)));
+        if (trackNames.length > 0) {
+            metadata.trackNames = trackNames.map(c => c.value);
+        }
+
+        const frameRate = get('FRAMERATE');
+        if (frameRate) {
+            const [num, den] = frameRate.includes('/') ? frameRate.split('/').map(Number) : [parseFloat(frameRate), 1];
+            if (num > 0 && den > 0) {
+                metadata.fpsExact = { numerator: num, denominator: den };
+                const fps = num / den;
+                if (Math.abs(fps - 23.976) < 0.01) {
+                    metadata.fps = "23.98";
+                } else if (Math.abs(fps - 29.97) < 0.01) {
+                    metadata.fps = "29.97";
+                } else if (Math.abs(fps - 59.94) < 0.01) {
+                    metadata.fps = "59.94";
+                } else {
+                    metadata.fps = fps.toFixed(2);
+                    if (metadata.fps.endsWith('.00')) {
+                        metadata.fps = metadata.fps.substring(0, metadata.fps.length - 3);
+                    }
+                }
+            }
+        }
+
+        // A ';' before the frames marks drop-frame timecode
+        if (/;\d+$/.test((get('TIMECODE') || '').trim()) && metadata.fpsExact && metadata.fpsExact.denominator === 1001) {
+            metadata.fpsExact = { ...metadata.fpsExact, dropFrame: true };
+            if (this.isDropFrame(metadata.fpsExact)) metadata.fps = this.fpsLabel(metadata.fpsExact);
+        }
+
+        const timeReference = get('TIME_REFERENCE');
+        if (timeReference !== undefined && /^\d+$/.test(timeReference.trim())) {
+            metadata.timeReference = parseInt(timeReference.trim(), 10);
+        } else if (get('TIMECODE') && metadata.sampleRate) {
+            const fpsExact = metadata.fpsExact || { numerator: 24, denominator: 1 };
+            metadata.timeReference = this.tcToSamples(get('TIMECODE'), metadata.sampleRate, fpsExact);
+        }
+    }
+
+    /**
+     * Build a VORBIS_COMMENT block body from metadata
+     * Mapped keys are rewritten; other comments from the source file are kept.
+     * @param {Object} metadata - File metadata
+     * @returns {Uint8Array} Block data (without the 4-byte block header)
+     */
+    createVorbisCommentBlock(metadata) {
+        const mapped = new Map();
+        const set = (key, value) => {
+            if (value !== undefined && value !== null && value !== '') mapped.set(key, String(value));
+        };
+
+        set('SCENE', metadata.scene);
+        set('TAKE', metadata.take);
+        set('TAPE', metadata.tape);
+        set('PROJECT', metadata.project);
+        set('COMMENT', metadata.notes);
+        if (metadata.circled !== undefined) set('CIRCLED', metadata.circled ? 'TRUE' : 'FALSE');
+        (metadata.trackNames || []).forEach((name, i) => set(`TRACKNAME${i + 1}`, name));
+        if (metadata.timeReference !== undefined) {
+            set('TIME_REFERENCE', metadata.timeReference);
+            if (metadata.sampleRate) {
+                const fpsExact = metadata.fpsExact || { numerator: 24, denominator: 1 };
+                set('TIMECODE', this.samplesToTC(metadata.timeReference, this.timecodeSampleRate(metadata), fpsExact));
+            }
+        }
+        if (metadata.fpsExact) {
+            set('FRAMERATE', `${metadata.fpsExact.numerator}/${metadata.fpsExact.denominator}`);
+        }
+
+        const isMappedKey = (key) => mapped.has(key) || /^TRACKNAME\d+$/.test(key) ||
+            ['SCENE', 'TAKE', 'TAPE', 'PROJECT', 'COMMENT', 'CIRCLED', 'TIME_REFERENCE', 'TIMECODE', 'FRAMERATE'].includes(key);
+        const entries = (metadata.vorbisComments || [])
+            .filter(c => !isMappedKey(c.key))
+            .map(c => `${c.key}=${c.value}`);
+        mapped.forEach((value, key) => entries.push(`${key}=${value}`));
+
+        const encoder = new TextEncoder();
+        const vendor = encoder.encode('Wave Agent X');
+        const encoded = entries.map(e => encoder.encode(e));
+        const size = 4 + vendor.length + 4 + encoded.reduce((sum, e) => sum + 4 + e.length, 0);
+
+        const data = new Uint8Array(size);
+        const view = new DataView(data.buffer);
+        let offset = 0;
+        view.setUint32(offset, vendor.length, true);
+        data.set(vendor, offset + 4);
+        offset += 4 + vendor.length;
+        view.setUint32(offset, encoded.length, true);
+        offset += 4;
+        for (const entry of encoded) {
+            view.setUint32(offset, entry.length, true);
+            data.set(entry, offset + 4);
+            offset += 4 + entry.length;
+        }
+        return data;
+    }
+
+    /**
+     * Save metadata to a FLAC file by replacing its VORBIS_COMMENT block
+     * All other metadata blocks and the audio frames are copied untouched.
+     * @param {File} file - Original FLAC file
+     * @param {Object} metadata - Metadata to write
+     * @returns {Promise<Blob>} New FLAC file
+     */
+    async saveFlac(file, metadata) {
+        const buffer = await file.arrayBuffer();
+        const view = new DataView(buffer);
+        if (!this.flacCodec.isFlac(view)) {
+            throw new Error('Not a valid FLAC file');
+        }
+
+        const { blocks, audioOffset } = this.getFlacBlocks(view);
+        if (audioOffset === null) {
+            throw new Error('FLAC metadata blocks are truncated');
+        }
+
+        const newBlocks = [];
+        for (const block of blocks) {
+            if (block.type === 4) continue;
+            newBlocks.push({ type: block.type, data: new Uint8Array(buffer, block.offset, block.size) });
+            if (block.type === 0) {
+                newBlocks.push({ type: 4, data: this.createVorbisCommentBlock(metadata) });
+            }
+        }
+
+        const parts = [new Uint8Array([0x66, 0x4C, 0x61, 0x43])];
+        newBlocks.forEach((block, i) => {
+            const header = new Uint8Array(4);
+            const len = block.data.byteLength;
+            header[0] = (i === newBlocks.length - 1 ? 0x80 : 0) | block.type;
+            header[1] = (len >> 16) & 0xFF;
+            header[2] = (len >> 8) & 0xFF;
+            header[3] = len & 0xFF;
+            parts.push(header, block.data);
+        });
+        parts.push(new Uint8Array(buffer, audioOffset));
+
+        return new Blob(parts, { type: 'audio/flac' });
+    }
+
     parseWav(view, filename, actualFileSize = null) {
         const chunkIdHeader = view.getUint32(0, false);
         const isRF64 = chunkIdHeader === 0x52463634; // RF64
@@ -218,7 +1042,8 @@ export class MetadataHandler {
             filename: filename,
             format: isRF64 ? 'RF64 (WAV)' : 'WAV',
             fileSize: actualFileSize || view.byteLength,
-            chunks: {}
+            chunks: {},
+            chunkList: []
         };
 
         let rf64DataSize = 0n;
@@ -228,8 +1053,9 @@ export class MetadataHandler {
             const chunkId = this.getChunkId(view, offset);
             let chunkSize = view.getUint32(offset + 4, true);
 
-            // Store chunk info for later writing
+            // Store chunk info for later writing (chunkList keeps duplicate IDs)
             metadata.chunks[chunkId] = { offset, size: chunkSize };
+            metadata.chunkList.push({ id: chunkId, offset, size: chunkSize });
 
             if (chunkId === 'ds64') {
                 // Parse ds64 chunk (RF64 64-bit sizes)
@@ -246,6 +1072,8 @@ export class MetadataHandler {
                 this.parseBext(view, offset + 8, chunkSize, metadata);
             } else if (chunkId === 'iXML') {
                 this.parseIXML(view, offset + 8, chunkSize, metadata);
+            } else if (chunkId === 'LIST' && this.getChunkId(view, offset + 8) === 'INFO') {
+                metadata.infoTags = this.parseListInfo(view, offset + 8, chunkSize);
             } else if (chunkId === 'data') {
                 metadata.audioDataOffset = offset + 8;
 
@@ -275,12 +1103,77 @@ export class MetadataHandler {
         if (metadata.timeReference !== undefined && metadata.sampleRate) {
             // Use exact FPS fraction if available (from bEXT or iXML), otherwise default to 24/1
             const fpsExact = metadata.fpsExact || { numerator: 24, denominator: 1 };
-            metadata.tcStart = this.samplesToTC(metadata.timeReference, metadata.sampleRate, fpsExact);
+            metadata.tcStart = this.samplesToTC(metadata.timeReference, this.timecodeSampleRate(metadata), fpsExact);
         }
 
         return metadata;
     }
 
+    /**
+     * Parse a LIST-INFO chunk into a tag map
+     * @param {DataView} view - View containing the chunk
+     * @param {number} offset - Offset of the LIST chunk data (the 'INFO' list type)
+     * @param {number} size - LIST chunk data size
+     * @returns {Object} Tags keyed by four-character ID, e.g. { INAM: 'Scene 12', ICMT: '...' }
+     */
+    parseListInfo(view, offset, size) {
+        const tags = {};
+        const end = Math.min(offset + size, view.byteLength);
+        let pos = offset + 4; // Skip 'INFO'
+
+        while (pos + 8 <= end) {
+            const tagId = this.getChunkId(view, pos);
+            const tagSize = view.getUint32(pos + 4, true);
+            if (!/^[A-Za-z0-9 ]{4}$/.test(tagId) || pos + 8 + tagSize > end) break;
+
+            const bytes = new Uint8Array(view.buffer, view.byteOffset + pos + 8, tagSize);
+            tags[tagId] = this.textDecoder.decode(bytes).replace(/\0.*$/s, '').trim();
+
+            pos += 8 + tagSize;
+            if (tagSize % 2 !== 0) pos++;
+        }
+
+        console.log('[parseListInfo] Tags:', tags);
+        return tags;
+    }
+
+    /**
+     * Build LIST-INFO chunk data (without the 8-byte LIST header)
+     * Common tags are written first, in a fixed order; empty tags are dropped.
+     * @param {Object} infoTags - Tags keyed by four-character ID
+     * @returns {ArrayBuffer|null} Chunk data, or null if there are no tags to write
+     */
+    createListInfoChunk(infoTags) {
+        if (!infoTags) return null;
+
+        const order = ['INAM', 'IART', 'ICMT', 'ICRD', 'ISFT'];
+        const ids = [...order.filter(id => id in infoTags), ...Object.keys(infoTags).filter(id => !order.includes(id))];
+        const encoder = new TextEncoder();
+        const entries = ids
+            .filter(id => /^[A-Za-z0-9 ]{4}$/.test(id) && infoTags[id])
+            .map(id => ({ id, bytes: encoder.encode(String(infoTags[id]) + '\0') }));
+        if (entries.length === 0) return null;
+
+        let size = 4; // 'INFO'
+        for (const entry of entries) {
+            size += 8 + entry.bytes.length + (entry.bytes.length % 2);
+        }
+
+        const buffer = new ArrayBuffer(size);
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+        this.writeString(view, 0, 'INFO');
+        let pos = 4;
+        for (const entry of entries) {
+            this.writeString(view, pos, entry.id);
+            view.setUint32(pos + 4, entry.bytes.length, true);
+            bytes.set(entry.bytes, pos + 8);
+            pos += 8 + entry.bytes.length + (entry.bytes.length % 2);
+        }
+
+        return buffer;
+    }
+
     getChunkId(view, offset) {
         let id = '';
         for (let i = 0; i < 4; i++) {
@@ -308,22 +1201,27 @@ export class MetadataHandler {
 
         metadata.timeReference = timeRef;
 
+        // Version, UMID (v1+), loudness (v2) and CodingHistory
+        Object.assign(metadata, this.parseBextExtendedFields(view, offset, size));
+
         console.log('[parseBext] Description:', metadata.description);
         console.log('[parseBext] Current metadata before extraction:', { scene: metadata.scene, take: metadata.take, notes: metadata.notes, tape: metadata.tape });
 
         // Extract Sound Devices tags from Description field
         // Only set if not already populated (e.g., from iXML which takes priority)
         if (metadata.description) {
-            const extractTag = (tag) => {
-                const regex = new RegExp(`${tag}=([^\\r\\n]*)`);
-                const match = metadata.description.match(regex);
-                return match ? match[1].trim() : undefined;
+            metadata.bextTags = this.parseDescriptionTags(metadata.description);
+            const profile = this.detectRecorder(metadata.originator, metadata.bextTags);
+            if (profile) metadata.recorder = profile.name;
+            const extractTag = (name) => {
+                const value = this.getDescriptionTag(metadata.bextTags, name, profile);
+                return value !== undefined ? value.trim() : undefined;
             };
 
-            const extractedScene = extractTag('sSCENE');
-            const extractedTake = extractTag('sTAKE');
-            const extractedTape = extractTag('sTAPE');
-            const extractedNotes = extractTag('sNOTE');
+            const extractedScene = extractTag('SCENE');
+            const extractedTake = extractTag('TAKE');
+            const extractedTape = extractTag('TAPE');
+            const extractedNotes = extractTag('NOTE');
 
             console.log('[parseBext] Extracted from Description:', { scene: extractedScene, take: extractedTake, tape: extractedTape, notes: extractedNotes });
 
@@ -331,31 +1229,91 @@ export class MetadataHandler {
             if (!metadata.take) metadata.take = extractedTake;
             if (!metadata.tape) metadata.tape = extractedTape;
             if (!metadata.notes) metadata.notes = extractedNotes;
+
+            // iXML CIRCLED takes priority over the bEXT tag
+            const extractedCircled = extractTag('CIRCLED');
+            if (metadata.circled === undefined && extractedCircled !== undefined) {
+                metadata.circled = extractedCircled.toUpperCase() === 'TRUE';
+            }
         }
 
         console.log('[parseBext] Final metadata after extraction:', { scene: metadata.scene, take: metadata.take, notes: metadata.notes, tape: metadata.tape });
 
         // Extract speed from sSPEED tag in description if available
-        if (!metadata.fpsExact && metadata.description) {
-            metadata.fpsExact = this.parseSpeedFromDescription(metadata.description);
-        }
-
-        // Set fps display field from fpsExact if not already set
-        if (metadata.fpsExact && !metadata.fps) {
-            const fps = metadata.fpsExact.numerator / metadata.fpsExact.denominator;
-            if (Math.abs(fps - 23.976) < 0.01) {
-                metadata.fps = "23.98";
-            } else if (Math.abs(fps - 29.97) < 0.01) {
-                metadata.fps = "29.97";
-            } else if (Math.abs(fps - 59.94) < 0.01) {
-                metadata.fps = "59.94";
-            } else {
-                metadata.fps = fps.toFixed(2);
-                if (metadata.fps.endsWith('.00')) {
-                    metadata.fps = metadata.fps.substring(0, metadata.fps.length - 3);
-                }
+        const speed = metadata.description ? this.parseSpeedFromDescription(metadata.description) : null;
+        if (!metadata.fpsExact) {
+            metadata.fpsExact = speed;
+        } else if (speed && speed.dropFrame && metadata.fpsExact.numerator === speed.numerator &&
+            metadata.fpsExact.denominator === speed.denominator) {
+            // sSPEED -DF marks drop-frame even when the rate itself came from iXML
+            metadata.fpsExact = { ...metadata.fpsExact, dropFrame: true };
+        }
+
+        // Set fps display field from fpsExact if not already set (or to show drop-frame)
+        if (metadata.fpsExact && (!metadata.fps || this.isDropFrame(metadata.fpsExact))) {
+            metadata.fps = this.fpsLabel(metadata.fpsExact);
+        }
+    }
+
+    /**
+     * Read the bEXT fields that follow TimeReference
+     * Loudness fields are only meaningful for version 2 and are null when unset (0x7FFF)
+     * @param {DataView} view - View containing the bEXT chunk
+     * @param {number} offset - Offset of the bEXT chunk data (after the 8-byte header)
+     * @param {number} size - bEXT chunk data size
+     * @returns {Object} {bextVersion, umid, loudnessValue, loudnessRange, maxTruePeakLevel, maxMomentaryLoudness, maxShortTermLoudness, codingHistory}
+     */
+    parseBextExtendedFields(view, offset, size) {
+        const fields = {
+            bextVersion: 0,
+            umid: '',
+            loudnessValue: null,
+            loudnessRange: null,
+            maxTruePeakLevel: null,
+            maxMomentaryLoudness: null,
+            maxShortTermLoudness: null,
+            codingHistory: ''
+        };
+        const end = Math.min(offset + size, view.byteLength);
+        if (offset + 348 > end) return fields;
+
+        fields.bextVersion = view.getUint16(offset + 346, true);
+
+        // UMID (64 bytes) - kept as hex, empty if all zero
+        if (offset + 412 <= end) {
+            let umidHex = '';
+            let hasUmid = false;
+            for (let i = 0; i < 64; i++) {
+                const b = view.getUint8(offset + 348 + i);
+                if (b !== 0) hasUmid = true;
+                umidHex += b.toString(16).padStart(2, '0');
+            }
+            // A basic UMID is 32 bytes, so drop the unused extended half
+            if (hasUmid) {
+                fields.umid = umidHex.substring(64).match(/^0+$/) ? umidHex.substring(0, 64) : umidHex;
             }
         }
+
+        // Loudness (int16, value x 100)
+        if (fields.bextVersion >= 2 && offset + 422 <= end) {
+            const readLoudness = (off) => {
+                const raw = view.getInt16(offset + off, true);
+                return raw === 0x7FFF ? null : raw / 100;
+            };
+            fields.loudnessValue = readLoudness(412);
+            fields.loudnessRange = readLoudness(414);
+            fields.maxTruePeakLevel = readLoudness(416);
+            fields.maxMomentaryLoudness = readLoudness(418);
+            fields.maxShortTermLoudness = readLoudness(420);
+        }
+
+        // CodingHistory (ASCII, variable length)
+        if (offset + 602 < end) {
+            const historyBytes = new Uint8Array(view.buffer, view.byteOffset + offset + 602, end - offset - 602);
+            fields.codingHistory = this.textDecoder.decode(historyBytes).replace(/\0.*$/s, '');
+        }
+
+        return fields;
     }
 
     parseIXML(view, offset, size, metadata) {
@@ -399,6 +1357,34 @@ export class MetadataHandler {
         metadata.project = this.getXmlVal(xmlDoc, "PROJECT");
         metadata.notes = this.getXmlVal(xmlDoc, "NOTE");
 
+        // Take flags (TRUE/FALSE) - only set when the tag is present
+        for (const [key, tag] of Object.entries(this.takeFlagTags)) {
+            const flagVal = this.getXmlVal(xmlDoc, `BWFXML > ${tag}`).trim().toUpperCase();
+            if (flagVal) metadata[key] = flagVal === 'TRUE';
+        }
+
+        // File identity and lineage
+        const fileUid = this.getXmlVal(xmlDoc, 'BWFXML > FILE_UID').trim();
+        if (fileUid) metadata.fileUid = fileUid;
+        if (xmlDoc.querySelector('BWFXML > HISTORY')) {
+            metadata.history = {
+                originalFilename: this.getXmlVal(xmlDoc, 'HISTORY > ORIGINAL_FILENAME').trim(),
+                parentFilename: this.getXmlVal(xmlDoc, 'HISTORY > PARENT_FILENAME').trim(),
+                parentUid: this.getXmlVal(xmlDoc, 'HISTORY > PARENT_UID').trim()
+            };
+        }
+
+        // Multi-file recording set (all files rolled together share one FAMILY_UID)
+        const familyUid = this.getXmlVal(xmlDoc, 'FILE_SET > FAMILY_UID').trim();
+        if (familyUid) {
+            const totalFiles = parseInt(this.getXmlVal(xmlDoc, 'FILE_SET > TOTAL_FILES'), 10);
+            metadata.fileSet = {
+                familyUid,
+                totalFiles: Number.isNaN(totalFiles) ? null : totalFiles,
+                fileSetIndex: this.getXmlVal(xmlDoc, 'FILE_SET > FILE_SET_INDEX').trim()
+            };
+        }
+
         // Note: timeReference comes from bEXT chunk, not iXML
         // iXML should only provide fps information via SPEED tag
 
@@ -434,6 +1420,26 @@ export class MetadataHandler {
             }
         }
 
+        // TIMECODE_FLAG DF marks drop-frame counting (only meaningful at 29.97/59.94)
+        const timecodeFlag = this.getXmlVal(xmlDoc, "SPEED TIMECODE_FLAG").trim().toUpperCase();
+        if (timecodeFlag === 'DF' && metadata.fpsExact && metadata.fpsExact.denominator === 1001) {
+            metadata.fpsExact = { ...metadata.fpsExact, dropFrame: true };
+        }
+        if (this.isDropFrame(metadata.fpsExact)) {
+            metadata.fps = this.fpsLabel(metadata.fpsExact);
+        }
+
+        // SPEED sample rates: pull-up/down recordings carry a digitizer/timestamp rate that
+        // differs from the fmt rate (e.g. 48048 Hz captured, stamped as 48 kHz)
+        const speedRate = tag => {
+            const value = parseFloat(this.getXmlVal(xmlDoc, `SPEED ${tag}`));
+            return Number.isFinite(value) && value > 0 ? value : undefined;
+        };
+        metadata.fileSampleRate = speedRate('FILE_SAMPLE_RATE');
+        metadata.audioBitDepth = speedRate('AUDIO_BIT_DEPTH');
+        metadata.digitizerSampleRate = speedRate('DIGITIZER_SAMPLE_RATE');
+        metadata.timestampSampleRate = speedRate('TIMESTAMP_SAMPLE_RATE') || speedRate('TIMECODE_SAMPLE_RATE');
+
         // Fallback: Read TIMESTAMP_SAMPLES_SINCE_MIDNIGHT from iXML only if bEXT timeReference is missing
         if (!metadata.timeReference) {
             const hiStr = this.getXmlVal(xmlDoc, "SPEED TIMESTAMP_SAMPLES_SINCE_MIDNIGHT_HI");
@@ -446,14 +1452,155 @@ export class MetadataHandler {
             }
         }
 
-        // Track names
-        const trackNames = [];
-        const tracks = xmlDoc.querySelectorAll("TRACK");
-        tracks.forEach(t => {
-            const name = t.querySelector("NAME")?.textContent;
-            if (name) trackNames.push(name);
+        // Track list (all TRACK fields are kept so routing survives a save)
+        metadata.trackList = this.parseTrackList(xmlDoc);
+        metadata.trackNames = this.trackNamesFromTrackList(metadata.trackList);
+    }
+
+    /**
+     * Parse every TRACK entry of the iXML TRACK_LIST
+     * @param {Document} xmlDoc - Parsed iXML document
+     * @returns {Array<Object>} Tracks in document order: {channelIndex, interleaveIndex, name, function, enabled}
+     */
+    parseTrackList(xmlDoc) {
+        const trackList = [];
+        const tracks = xmlDoc.querySelectorAll("TRACK_LIST > TRACK");
+        tracks.forEach((t, i) => {
+            const channelIndex = parseInt(t.querySelector("CHANNEL_INDEX")?.textContent);
+            const interleaveIndex = parseInt(t.querySelector("INTERLEAVE_INDEX")?.textContent);
+            const enabled = (t.querySelector("ENABLED")?.textContent || '').trim().toUpperCase();
+            trackList.push({
+                channelIndex: isNaN(channelIndex) ? i + 1 : channelIndex,
+                interleaveIndex: isNaN(interleaveIndex) ? i + 1 : interleaveIndex,
+                name: t.querySelector("NAME")?.textContent || '',
+                function: t.querySelector("FUNCTION")?.textContent || '',
+                enabled: enabled !== 'FALSE'
+            });
+        });
+        return trackList;
+    }
+
+    /**
+     * Flatten an iXML document into its leaf elements
+     * Repeated elements are numbered, e.g. TRACK_LIST/TRACK[2]/NAME.
+     * @param {string} ixmlRaw - iXML chunk text
+     * @returns {Array<{path: string, value: string}>} Leaves in document order (empty if unparseable)
+     */
+    flattenIXML(ixmlRaw) {
+        if (!ixmlRaw) return [];
+        const xmlDoc = new DOMParser().parseFromString(ixmlRaw, 'text/xml');
+        if (xmlDoc.querySelector('parsererror') || !xmlDoc.documentElement) return [];
+
+        const leaves = [];
+        const walk = (element, path) => {
+            const children = Array.from(element.children);
+            if (children.length === 0) {
+                if (path) leaves.push({ path, value: element.textContent.trim() });
+                return;
+            }
+            const counts = {};
+            children.forEach(child => { counts[child.tagName] = (counts[child.tagName] || 0) + 1; });
+            const seen = {};
+            children.forEach(child => {
+                seen[child.tagName] = (seen[child.tagName] || 0) + 1;
+                const name = counts[child.tagName] > 1 ? `${child.tagName}[${seen[child.tagName]}]` : child.tagName;
+                walk(child, path ? `${path}/${name}` : name);
+            });
+        };
+        walk(xmlDoc.documentElement, '');
+        return leaves;
+    }
+
+    /**
+     * Check that every INTERLEAVE_INDEX is unique and within 1..trackList.length
+     * @param {Array<Object>} trackList - Parsed track list
+     * @returns {boolean}
+     */
+    hasValidInterleaveIndices(trackList) {
+        const seen = new Set();
+        for (const track of trackList) {
+            const idx = track.interleaveIndex;
+            if (!Number.isInteger(idx) || idx < 1 || idx > trackList.length || seen.has(idx)) {
+                return false;
+            }
+            seen.add(idx);
+        }
+        return true;
+    }
+
+    /**
+     * Derive trackNames (indexed by audio channel) from a track list.
+     * Falls back to document order if the interleave indices are unusable.
+     * @param {Array<Object>} trackList - Parsed track list
+     * @returns {Array<string>} Track names, or empty array if no track is named
+     */
+    trackNamesFromTrackList(trackList) {
+        if (!trackList || !trackList.some(t => t.name)) return [];
+
+        if (!this.hasValidInterleaveIndices(trackList)) {
+            return trackList.map(t => t.name);
+        }
+
+        const trackNames = new Array(trackList.length).fill('');
+        trackList.forEach(t => {
+            trackNames[t.interleaveIndex - 1] = t.name;
         });
-        metadata.trackNames = trackNames;
+        return trackNames;
+    }
+
+    /**
+     * Build the track list to write into iXML.
+     * Uses metadata.trackList when it matches the current track count (names come from
+     * metadata.trackNames so renames elsewhere are honoured), otherwise a default 1:1 list.
+     * @param {Object} metadata - Metadata with trackNames and optional trackList
+     * @param {number|null} channelCount - Pad/trim names to this many channels (null = use trackNames as is)
+     * @returns {Array<Object>} Tracks: {channelIndex, interleaveIndex, name, function, enabled}
+     */
+    buildTrackListForWrite(metadata, channelCount = null) {
+        let names = Array.isArray(metadata.trackNames) ? [...metadata.trackNames] : [];
+        if (channelCount) {
+            names = Array.from({ length: channelCount }, (_, i) => names[i] || `Track ${i + 1}`);
+        }
+
+        const list = metadata.trackList;
+        if (Array.isArray(list) && list.length > 0 && (names.length === 0 || list.length === names.length)) {
+            const byInterleave = this.hasValidInterleaveIndices(list);
+            return list.map((track, i) => ({
+                ...track,
+                name: names[byInterleave ? track.interleaveIndex - 1 : i] ?? track.name
+            }));
+        }
+
+        return names.map((name, i) => ({
+            channelIndex: i + 1,
+            interleaveIndex: i + 1,
+            name: name || '',
+            function: '',
+            enabled: true
+        }));
+    }
+
+    /**
+     * Serialize a track list as an iXML TRACK_LIST string
+     * @param {Array<Object>} tracks - Tracks from buildTrackListForWrite
+     * @param {string} indent - Indent unit (e.g. '\t' or '  ')
+     * @returns {string} TRACK_LIST XML (one indent level deep)
+     */
+    trackListToXmlString(tracks, indent = '\t') {
+        const i1 = indent, i2 = indent.repeat(2), i3 = indent.repeat(3);
+        let xml = `${i1}<TRACK_LIST>\n`;
+        xml += `${i2}<TRACK_COUNT>${tracks.length}</TRACK_COUNT>\n`;
+        for (const track of tracks) {
+            xml += `${i2}<TRACK>\n`;
+            xml += `${i3}<CHANNEL_INDEX>${track.channelIndex}</CHANNEL_INDEX>\n`;
+            xml += `${i3}<INTERLEAVE_INDEX>${track.interleaveIndex}</INTERLEAVE_INDEX>\n`;
+            xml += `${i3}<NAME>${this.escapeXML(track.name)}</NAME>\n`;
+            if (track.function) xml += `${i3}<FUNCTION>${this.escapeXML(track.function)}</FUNCTION>\n`;
+            if (track.enabled === false) xml += `${i3}<ENABLED>FALSE</ENABLED>\n`;
+            xml += `${i2}</TRACK>\n`;
+        }
+        xml += `${i1}</TRACK_LIST>\n`;
+        return xml;
     }
 
     /**
@@ -568,7 +1715,7 @@ export class MetadataHandler {
         try {
             const extracted = {};
             
-            const fields = ['PROJECT', 'SCENE', 'TAKE', 'TAPE', 'NOTE'];
+            const fields = ['PROJECT', 'SCENE', 'TAKE', 'TAPE', 'NOTE', ...Object.values(this.takeFlagTags)];
             for (const field of fields) {
                 const regex = new RegExp(`<${field}[^>]*>([^<]*)<\/${field}>`, 'i');
                 const match = xmlStr.match(regex);
@@ -607,6 +1754,10 @@ export class MetadataHandler {
                 if (extracted.TAKE) rebuilt += `\t<TAKE>${this.escapeXML(extracted.TAKE)}</TAKE>\n`;
                 if (extracted.TAPE) rebuilt += `\t<TAPE>${this.escapeXML(extracted.TAPE)}</TAPE>\n`;
                 if (extracted.NOTE) rebuilt += `\t<NOTE>${this.escapeXML(extracted.NOTE)}</NOTE>\n`;
+                for (const [key, tag] of Object.entries(this.takeFlagTags)) {
+                    const flag = metadata[key] !== undefined ? (metadata[key] ? 'TRUE' : 'FALSE') : extracted[tag];
+                    if (flag) rebuilt += `\t<${tag}>${this.escapeXML(flag.toUpperCase())}</${tag}>\n`;
+                }
                 
                 // Add SPEED tag with proper structure
                 rebuilt += '\t<SPEED>\n';
@@ -616,12 +1767,12 @@ export class MetadataHandler {
                     const fpsMap = {
                         '23.98': '24000/1001', '24': '24/1', '25': '25/1', 
                         '29.97': '30000/1001', '29.97df': '30000/1001', '30': '30/1',
-                        '48': '48/1', '50': '50/1', '59.94': '60000/1001', '60': '60/1'
+                        '48': '48/1', '50': '50/1', '59.94': '60000/1001', '59.94df': '60000/1001', '60': '60/1'
                     };
                     const fpsVal = fpsMap[metadata.fps] || '25/1';
                     rebuilt += `\t\t<MASTER_SPEED>${fpsVal}</MASTER_SPEED>\n`;
                     rebuilt += `\t\t<CURRENT_SPEED>${fpsVal}</CURRENT_SPEED>\n`;
-                    rebuilt += '\t\t<TIMECODE_FLAG>NDF</TIMECODE_FLAG>\n';
+                    rebuilt += `\t\t<TIMECODE_FLAG>${this.timecodeFlag(metadata)}</TIMECODE_FLAG>\n`;
                     rebuilt += `\t\t<TIMECODE_RATE>${fpsVal}</TIMECODE_RATE>\n`;
                 } else {
                     rebuilt += '\t\t<MASTER_SPEED>25/1</MASTER_SPEED>\n';
@@ -632,8 +1783,8 @@ export class MetadataHandler {
                 
                 rebuilt += `\t\t<FILE_SAMPLE_RATE>${metadata.sampleRate || 48000}</FILE_SAMPLE_RATE>\n`;
                 rebuilt += `\t\t<AUDIO_BIT_DEPTH>${metadata.bitDepth || 24}</AUDIO_BIT_DEPTH>\n`;
-                rebuilt += `\t\t<DIGITIZER_SAMPLE_RATE>${metadata.sampleRate || 48000}</DIGITIZER_SAMPLE_RATE>\n`;
-                rebuilt += `\t\t<TIMESTAMP_SAMPLE_RATE>${metadata.sampleRate || 48000}</TIMESTAMP_SAMPLE_RATE>\n`;
+                rebuilt += `\t\t<DIGITIZER_SAMPLE_RATE>${metadata.digitizerSampleRate || metadata.sampleRate || 48000}</DIGITIZER_SAMPLE_RATE>\n`;
+                rebuilt += `\t\t<TIMESTAMP_SAMPLE_RATE>${this.timecodeSampleRate(metadata) || 48000}</TIMESTAMP_SAMPLE_RATE>\n`;
                 rebuilt += '\t\t<TIMESTAMP_SAMPLES_SINCE_MIDNIGHT_HI>0</TIMESTAMP_SAMPLES_SINCE_MIDNIGHT_HI>\n';
                 rebuilt += `\t\t<TIMESTAMP_SAMPLES_SINCE_MIDNIGHT_LO>${extracted.timeReference || metadata.timeReference || 0}</TIMESTAMP_SAMPLES_SINCE_MIDNIGHT_LO>\n`;
                 rebuilt += '\t</SPEED>\n';
@@ -641,19 +1792,7 @@ export class MetadataHandler {
                 // Add TRACK_LIST with channel information
                 const channels = metadata.channels || 1;
                 if (channels > 0) {
-                    rebuilt += '\t<TRACK_LIST>\n';
-                    rebuilt += `\t\t<TRACK_COUNT>${channels}</TRACK_COUNT>\n`;
-                    for (let i = 0; i < channels; i++) {
-                        const trackName = (metadata.trackNames && metadata.trackNames[i]) 
-                            ? this.escapeXML(metadata.trackNames[i])
-                            : `Track ${i + 1}`;
-                        rebuilt += '\t\t<TRACK>\n';
-                        rebuilt += `\t\t\t<CHANNEL_INDEX>${i + 1}</CHANNEL_INDEX>\n`;
-                        rebuilt += `\t\t\t<INTERLEAVE_INDEX>${i + 1}</INTERLEAVE_INDEX>\n`;
-                        rebuilt += `\t\t\t<NAME>${trackName}</NAME>\n`;
-                        rebuilt += '\t\t</TRACK>\n';
-                    }
-                    rebuilt += '\t</TRACK_LIST>\n';
+                    rebuilt += this.trackListToXmlString(this.buildTrackListForWrite(metadata, channels));
                 }
                 
                 // Add back SYNC_POINT_LIST if it existed
@@ -691,12 +1830,12 @@ export class MetadataHandler {
             const fpsMap = {
                 '23.98': '24000/1001', '24': '24/1', '25': '25/1', 
                 '29.97': '30000/1001', '29.97df': '30000/1001', '30': '30/1',
-                '48': '48/1', '50': '50/1', '59.94': '60000/1001', '60': '60/1'
+                '48': '48/1', '50': '50/1', '59.94': '60000/1001', '59.94df': '60000/1001', '60': '60/1'
             };
             const fpsVal = fpsMap[metadata.fps] || '30/1';
             speedTag += `    <MASTER_SPEED>${fpsVal}</MASTER_SPEED>\n`;
             speedTag += `    <CURRENT_SPEED>${fpsVal}</CURRENT_SPEED>\n`;
-            speedTag += '    <TIMECODE_FLAG>NDF</TIMECODE_FLAG>\n';
+            speedTag += `    <TIMECODE_FLAG>${this.timecodeFlag(metadata)}</TIMECODE_FLAG>\n`;
             speedTag += `    <TIMECODE_RATE>${fpsVal}</TIMECODE_RATE>\n`;
         } else {
             speedTag += '    <MASTER_SPEED>25/1</MASTER_SPEED>\n';
@@ -719,10 +1858,10 @@ export class MetadataHandler {
             speedTag += '    <AUDIO_BIT_DEPTH>24</AUDIO_BIT_DEPTH>\n';
         }
         
-        // Digitizer information (same as sample rate typically)
+        // Digitizer information (same as sample rate unless the recording was pulled up/down)
         if (metadata.sampleRate) {
-            speedTag += `    <DIGITIZER_SAMPLE_RATE>${metadata.sampleRate}</DIGITIZER_SAMPLE_RATE>\n`;
-            speedTag += `    <TIMESTAMP_SAMPLE_RATE>${metadata.sampleRate}</TIMESTAMP_SAMPLE_RATE>\n`;
+            speedTag += `    <DIGITIZER_SAMPLE_RATE>${metadata.digitizerSampleRate || metadata.sampleRate}</DIGITIZER_SAMPLE_RATE>\n`;
+            speedTag += `    <TIMESTAMP_SAMPLE_RATE>${this.timecodeSampleRate(metadata)}</TIMESTAMP_SAMPLE_RATE>\n`;
         } else {
             speedTag += '    <DIGITIZER_SAMPLE_RATE>48000</DIGITIZER_SAMPLE_RATE>\n';
             speedTag += '    <TIMESTAMP_SAMPLE_RATE>48000</TIMESTAMP_SAMPLE_RATE>\n';
@@ -757,6 +1896,9 @@ export class MetadataHandler {
         if (metadata.take) ixmlStr += `\t<TAKE>${this.escapeXML(metadata.take)}</TAKE>\n`;
         if (metadata.tape) ixmlStr += `\t<TAPE>${this.escapeXML(metadata.tape)}</TAPE>\n`;
         if (metadata.notes) ixmlStr += `\t<NOTE>${this.escapeXML(metadata.notes)}</NOTE>\n`;
+        for (const [key, tag] of Object.entries(this.takeFlagTags)) {
+            if (metadata[key] !== undefined) ixmlStr += `\t<${tag}>${metadata[key] ? 'TRUE' : 'FALSE'}</${tag}>\n`;
+        }
         
         // SPEED tag with complete structure
         ixmlStr += '\t<SPEED>\n';
@@ -766,12 +1908,12 @@ export class MetadataHandler {
             const fpsMap = {
                 '23.98': '24000/1001', '24': '24/1', '25': '25/1', 
                 '29.97': '30000/1001', '29.97df': '30000/1001', '30': '30/1',
-                '48': '48/1', '50': '50/1', '59.94': '60000/1001', '60': '60/1'
+                '48': '48/1', '50': '50/1', '59.94': '60000/1001', '59.94df': '60000/1001', '60': '60/1'
             };
             const fpsVal = fpsMap[metadata.fps] || '25/1';
             ixmlStr += `\t\t<MASTER_SPEED>${fpsVal}</MASTER_SPEED>\n`;
             ixmlStr += `\t\t<CURRENT_SPEED>${fpsVal}</CURRENT_SPEED>\n`;
-            ixmlStr += '\t\t<TIMECODE_FLAG>NDF</TIMECODE_FLAG>\n';
+            ixmlStr += `\t\t<TIMECODE_FLAG>${this.timecodeFlag(metadata)}</TIMECODE_FLAG>\n`;
             ixmlStr += `\t\t<TIMECODE_RATE>${fpsVal}</TIMECODE_RATE>\n`;
         } else {
             ixmlStr += '\t\t<MASTER_SPEED>25/1</MASTER_SPEED>\n';
@@ -782,8 +1924,8 @@ export class MetadataHandler {
         
         ixmlStr += `\t\t<FILE_SAMPLE_RATE>${metadata.sampleRate || 48000}</FILE_SAMPLE_RATE>\n`;
         ixmlStr += `\t\t<AUDIO_BIT_DEPTH>${metadata.bitDepth || 24}</AUDIO_BIT_DEPTH>\n`;
-        ixmlStr += `\t\t<DIGITIZER_SAMPLE_RATE>${metadata.sampleRate || 48000}</DIGITIZER_SAMPLE_RATE>\n`;
-        ixmlStr += `\t\t<TIMESTAMP_SAMPLE_RATE>${metadata.sampleRate || 48000}</TIMESTAMP_SAMPLE_RATE>\n`;
+        ixmlStr += `\t\t<DIGITIZER_SAMPLE_RATE>${metadata.digitizerSampleRate || metadata.sampleRate || 48000}</DIGITIZER_SAMPLE_RATE>\n`;
+        ixmlStr += `\t\t<TIMESTAMP_SAMPLE_RATE>${this.timecodeSampleRate(metadata) || 48000}</TIMESTAMP_SAMPLE_RATE>\n`;
         ixmlStr += '\t\t<TIMESTAMP_SAMPLES_SINCE_MIDNIGHT_HI>0</TIMESTAMP_SAMPLES_SINCE_MIDNIGHT_HI>\n';
         ixmlStr += `\t\t<TIMESTAMP_SAMPLES_SINCE_MIDNIGHT_LO>${metadata.timeReference || 0}</TIMESTAMP_SAMPLES_SINCE_MIDNIGHT_LO>\n`;
         ixmlStr += '\t</SPEED>\n';
@@ -791,19 +1933,7 @@ export class MetadataHandler {
         // TRACK_LIST with channel information
         const channels = metadata.channels || 1;
         if (channels > 0) {
-            ixmlStr += '\t<TRACK_LIST>\n';
-            ixmlStr += `\t\t<TRACK_COUNT>${channels}</TRACK_COUNT>\n`;
-            for (let i = 0; i < channels; i++) {
-                const trackName = (metadata.trackNames && metadata.trackNames[i]) 
-                    ? this.escapeXML(metadata.trackNames[i])
-                    : `Track ${i + 1}`;
-                ixmlStr += '\t\t<TRACK>\n';
-                ixmlStr += `\t\t\t<CHANNEL_INDEX>${i + 1}</CHANNEL_INDEX>\n`;
-                ixmlStr += `\t\t\t<INTERLEAVE_INDEX>${i + 1}</INTERLEAVE_INDEX>\n`;
-                ixmlStr += `\t\t\t<NAME>${trackName}</NAME>\n`;
-                ixmlStr += '\t\t</TRACK>\n';
-            }
-            ixmlStr += '\t</TRACK_LIST>\n';
+            ixmlStr += this.trackListToXmlString(this.buildTrackListForWrite(metadata, channels));
         }
         
         ixmlStr += '</BWFXML>';
@@ -839,44 +1969,148 @@ export class MetadataHandler {
         return doc.querySelector(tag)?.textContent || '';
     }
 
-    samplesToTC(samples, sampleRate, fpsExact) {
-        // Convert samples to actual elapsed seconds
-        const totalSeconds = samples / sampleRate;
+    /**
+     * Convert an FPS label ('23.98', '29.97', '29.97df', '59.94df', '25', ...) to an exact fraction
+     * Drop-frame labels set dropFrame on the result.
+     * @param {string|number} fps - FPS label
+     * @returns {Object|null} {numerator, denominator, dropFrame?} or null if not a number
+     */
+    fpsToExact(fps) {
+        const label = String(fps).trim().toLowerCase();
+        const value = parseFloat(label);
+        if (Number.isNaN(value)) return null;
+        const dropFrame = label.endsWith('df');
+
+        if (Math.abs(value - 23.976) < 0.01) {
+            return { numerator: 24000, denominator: 1001 };
+        } else if (Math.abs(value - 29.97) < 0.01) {
+            return dropFrame ? { numerator: 30000, denominator: 1001, dropFrame } : { numerator: 30000, denominator: 1001 };
+        } else if (Math.abs(value - 59.94) < 0.01) {
+            return dropFrame ? { numerator: 60000, denominator: 1001, dropFrame } : { numerator: 60000, denominator: 1001 };
+        }
+        return { numerator: value, denominator: 1 };
+    }
 
-        // Convert seconds to total frames using exact fraction
-        // totalFrames = totalSeconds × (numerator / denominator)
-        const totalFrames = Math.floor(totalSeconds * fpsExact.numerator / fpsExact.denominator);
+    /**
+     * FPS label for display and the FPS column ('29.97df' for drop-frame)
+     * @param {Object} fpsExact - FPS fraction
+     * @returns {string}
+     */
+    fpsLabel(fpsExact) {
+        const fps = fpsExact.numerator / fpsExact.denominator;
+        const df = this.isDropFrame(fpsExact) ? 'df' : '';
+        if (Math.abs(fps - 23.976) < 0.01) return '23.98';
+        if (Math.abs(fps - 29.97) < 0.01) return '29.97' + df;
+        if (Math.abs(fps - 59.94) < 0.01) return '59.94' + df;
+        const label = fps.toFixed(2);
+        return label.endsWith('.00') ? label.slice(0, -3) : label;
+    }
+
+    /**
+     * iXML TIMECODE_FLAG / sSPEED suffix for a file's metadata
+     * @param {Object} metadata - Metadata with fpsExact and/or fps label
+     * @returns {string} 'DF' or 'NDF'
+     */
+    timecodeFlag(metadata) {
+        const fpsExact = metadata.fpsExact || (metadata.fps ? this.fpsToExact(metadata.fps) : null);
+        const dropFrame = this.isDropFrame(fpsExact) ||
+            (/df$/i.test(String(metadata.fps || '')) && this.isDropFrame(this.fpsToExact(metadata.fps)));
+        return dropFrame ? 'DF' : 'NDF';
+    }
+
+    /**
+     * Drop-frame counting only applies to 29.97 and 59.94
+     * @param {Object} fpsExact - FPS fraction (dropFrame flag set by the parsers/fpsToExact)
+     * @returns {boolean}
+     */
+    isDropFrame(fpsExact) {
+        if (!fpsExact || !fpsExact.dropFrame || fpsExact.denominator !== 1001) return false;
+        const nominal = Math.round(fpsExact.numerator / fpsExact.denominator);
+        return nominal === 30 || nominal === 60;
+    }
+
+    /**
+     * Frames dropped at the start of each minute (except every 10th): 2 at 29.97, 4 at 59.94
+     * @param {Object} fpsExact - FPS fraction
+     * @returns {number} 0 for non-drop rates
+     */
+    dropFramesPerMinute(fpsExact) {
+        return this.isDropFrame(fpsExact) ? Math.round(fpsExact.numerator / fpsExact.denominator / 15) : 0;
+    }
 
-        // Calculate timecode components
-        // For drop-frame rates like 23.976 (24000/1001), the frame count rounds to 24
+    /**
+     * Format a frame count as timecode (HH:MM:SS;FF for drop-frame)
+     * @param {number} totalFrames - Frames since 00:00:00:00
+     * @param {Object} fpsExact - FPS fraction
+     * @returns {string}
+     */
+    framesToTC(totalFrames, fpsExact) {
+        // For 1001 rates like 23.976 (24000/1001), the frame count rounds to 24
         const framesPerSecond = Math.round(fpsExact.numerator / fpsExact.denominator);
         const framesPerMinute = framesPerSecond * 60;
         const framesPerHour = framesPerMinute * 60;
 
-        const h = Math.floor(totalFrames / framesPerHour);
-        const m = Math.floor((totalFrames % framesPerHour) / framesPerMinute);
-        const s = Math.floor((totalFrames % framesPerMinute) / framesPerSecond);
-        const f = totalFrames % framesPerSecond;
+        // Drop-frame: skip the dropped labels so the count maps onto the display
+        const drop = this.dropFramesPerMinute(fpsExact);
+        let frames = totalFrames;
+        if (drop > 0) {
+            const framesPer10Minutes = framesPerMinute * 10 - drop * 9;
+            const tens = Math.floor(frames / framesPer10Minutes);
+            const remainder = frames % framesPer10Minutes;
+            frames += drop * 9 * tens;
+            if (remainder > drop) {
+                frames += drop * Math.floor((remainder - drop) / (framesPerMinute - drop));
+            }
+        }
 
-        return `${this.pad(h)}:${this.pad(m)}:${this.pad(s)}:${this.pad(f)}`;
+        const h = Math.floor(frames / framesPerHour);
+        const m = Math.floor((frames % framesPerHour) / framesPerMinute);
+        const s = Math.floor((frames % framesPerMinute) / framesPerSecond);
+        const f = frames % framesPerSecond;
+
+        return `${this.pad(h)}:${this.pad(m)}:${this.pad(s)}${drop > 0 ? ';' : ':'}${this.pad(f)}`;
     }
 
-    tcToSamples(tcString, sampleRate, fpsExact) {
-        // Parse HH:MM:SS:FF format
-        const parts = tcString.split(':');
-        if (parts.length !== 4) return 0;
+    /**
+     * Parse timecode (':' or ';' before frames) to a frame count
+     * @param {string} tcString - HH:MM:SS:FF or HH:MM:SS;FF
+     * @param {Object} fpsExact - FPS fraction
+     * @returns {number|null} Frames since 00:00:00:00, or null if malformed
+     */
+    tcToFrames(tcString, fpsExact) {
+        const parts = String(tcString).split(/[:;.]/);
+        if (parts.length !== 4) return null;
 
         const h = parseInt(parts[0]) || 0;
         const m = parseInt(parts[1]) || 0;
         const s = parseInt(parts[2]) || 0;
         const f = parseInt(parts[3]) || 0;
 
-        // Calculate total frames
         const framesPerSecond = Math.round(fpsExact.numerator / fpsExact.denominator);
         const framesPerMinute = framesPerSecond * 60;
         const framesPerHour = framesPerMinute * 60;
 
-        const totalFrames = (h * framesPerHour) + (m * framesPerMinute) + (s * framesPerSecond) + f;
+        const totalMinutes = h * 60 + m;
+        const drop = this.dropFramesPerMinute(fpsExact);
+        return (h * framesPerHour) + (m * framesPerMinute) + (s * framesPerSecond) + f -
+            drop * (totalMinutes - Math.floor(totalMinutes / 10));
+    }
+
+    samplesToTC(samples, sampleRate, fpsExact) {
+        // Convert samples to actual elapsed seconds
+        const totalSeconds = samples / sampleRate;
+
+        // Convert seconds to total frames using exact fraction
+        // totalFrames = totalSeconds × (numerator / denominator)
+        const totalFrames = Math.floor(totalSeconds * fpsExact.numerator / fpsExact.denominator);
+
+        return this.framesToTC(totalFrames, fpsExact);
+    }
+
+    tcToSamples(tcString, sampleRate, fpsExact) {
+        // Parse HH:MM:SS:FF (or HH:MM:SS;FF) to total frames
+        const totalFrames = this.tcToFrames(tcString, fpsExact);
+        if (totalFrames === null) return 0;
 
         // Convert frames to seconds using exact FPS fraction
         const totalSeconds = totalFrames * fpsExact.denominator / fpsExact.numerator;
@@ -887,6 +2121,121 @@ export class MetadataHandler {
         return samples;
     }
 
+    /**
+     * Sample rate that timeReference counts in: iXML TIMESTAMP_SAMPLE_RATE, else the fmt rate
+     * Each audio frame is one timestamp sample, so durations in frames convert with the same rate.
+     * A timestamp rate more than 1% off the fmt rate is stale (file resampled elsewhere) and ignored.
+     * @param {Object} metadata - File metadata
+     * @returns {number|undefined} Samples per second of the timecode clock
+     */
+    timecodeSampleRate(metadata) {
+        const stamped = metadata.timestampSampleRate;
+        if (stamped && (!metadata.sampleRate || Math.abs(stamped / metadata.sampleRate - 1) < 0.01)) {
+            return stamped;
+        }
+        return metadata.sampleRate;
+    }
+
+    /**
+     * Snap a rate to the standard rate it was pulled from (48048 → 48000, 47952 → 48000)
+     * @param {number} rate - Sample rate in Hz
+     * @returns {number} Nearest standard rate within 1%, or the rate itself
+     */
+    nominalSampleRate(rate) {
+        const nominal = [32000, 44100, 48000, 88200, 96000, 176400, 192000]
+            .find(standard => Math.abs(rate / standard - 1) < 0.01);
+        return nominal || rate;
+    }
+
+    /**
+     * Describe a pull-up/pull-down recording (captured at e.g. 48048 or 47952 Hz)
+     * @param {Object} metadata - File metadata
+     * @returns {Object|null} { direction: 'up'|'down', captureRate, nominalRate, percent, label,
+     *          restamped } or null for a recording at a standard rate. restamped is true once
+     *          fmt and timestamp rate both already read as the nominal rate.
+     */
+    pullInfo(metadata) {
+        const captureRate = metadata.digitizerSampleRate || metadata.timestampSampleRate || metadata.sampleRate;
+        if (!captureRate) return null;
+        const nominalRate = this.nominalSampleRate(captureRate);
+        const ratio = captureRate / nominalRate;
+        if (Math.abs(ratio - 1) < 0.0001) return null;
+
+        const percent = (ratio - 1) * 100;
+        const direction = percent > 0 ? 'up' : 'down';
+        return {
+            direction,
+            captureRate,
+            nominalRate,
+            percent,
+            label: `Pull-${direction} ${percent > 0 ? '+' : ''}${percent.toFixed(2).replace(/0$/, '')}%`,
+            restamped: metadata.sampleRate === nominalRate && this.timecodeSampleRate(metadata) === nominalRate
+        };
+    }
+
+    /**
+     * Metadata fields for re-stamping a pulled recording at a standard rate
+     * The fmt and timestamp rate become targetRate, DIGITIZER_SAMPLE_RATE keeps the capture rate,
+     * and timeReference is rescaled so the start timecode label stays the same.
+     * @param {Object} metadata - File metadata
+     * @param {number} targetRate - New sample rate (usually 48000)
+     * @returns {Object} Fields to merge into the metadata before saving
+     */
+    restampMetadata(metadata, targetRate) {
+        const frames = Math.round((metadata.durationSec || 0) * metadata.sampleRate);
+        const fields = {
+            sampleRate: targetRate,
+            fileSampleRate: targetRate,
+            timestampSampleRate: targetRate,
+            digitizerSampleRate: metadata.digitizerSampleRate || metadata.timestampSampleRate || metadata.sampleRate,
+            durationSec: frames / targetRate,
+            duration: this.formatDuration(frames / targetRate)
+        };
+        if (metadata.timeReference !== undefined) {
+            fields.timeReference = Math.round(Number(metadata.timeReference) * targetRate / this.timecodeSampleRate(metadata));
+        }
+        return fields;
+    }
+
+    /**
+     * Re-stamp a WAV at targetRate: fmt sample/byte rate plus the bEXT/iXML rates and timeReference
+     * (see restampMetadata). The audio is untouched. Patched in place in a single write when the
+     * metadata fits, otherwise the file is rebuilt in memory.
+     * @param {FileSystemFileHandle} fileHandle - File to patch
+     * @param {File} file - Current file contents
+     * @param {Object} metadata - File metadata
+     * @param {number} targetRate - New sample rate
+     * @returns {Promise<Blob|null>} null if patched in place, otherwise the rewritten file to save
+     */
+    async restampWav(fileHandle, file, metadata, targetRate) {
+        const restamped = { ...metadata, ...this.restampMetadata(metadata, targetRate) };
+        const patchFmt = (data) => {
+            const fmt = new Uint8Array(data);
+            const view = new DataView(fmt.buffer);
+            view.setUint32(4, targetRate, true);
+            view.setUint32(8, targetRate * view.getUint16(12, true), true);
+            return fmt;
+        };
+
+        const tree = await this.scanChunkTree(file);
+        const fmtNode = tree.id !== 'FORM' && tree.children.find(c => c.id === 'fmt ');
+        if (!fmtNode || fmtNode.size < 16) {
+            throw new Error('No fmt chunk to re-stamp');
+        }
+        const fmtData = patchFmt(await file.slice(fmtNode.offset + 8, fmtNode.offset + 8 + fmtNode.size).arrayBuffer());
+        const infoData = this.createListInfoChunk(restamped.infoTags);
+        const patched = await this.writeChunksInPlace(fileHandle, file, [
+            { id: 'fmt ', data: fmtData },
+            { id: 'bext', data: this.createBextChunk(restamped) },
+            { id: 'iXML', data: this.createIXMLChunk(restamped) },
+            { id: 'LIST', listType: 'INFO', data: infoData ? new Uint8Array(infoData) : null }
+        ]);
+        if (patched) return null;
+
+        return this.saveWav(file, restamped,
+            chunk => chunk.id === 'fmt ' ? { id: chunk.id, data: patchFmt(chunk.data) } : chunk);
+    }
+
     formatDuration(seconds) {
         const h = Math.floor(seconds / 3600);
         const m = Math.floor((seconds % 3600) / 60);
@@ -894,7 +2243,14 @@ export class MetadataHandler {
         return `${this.pad(h)}:${this.pad(m)}:${this.pad(s)}`;
     }
 
-    async saveWav(file, metadata) {
+    /**
+     * Rebuild a WAV file with new bEXT, iXML and LIST-INFO chunks (all other chunks are kept)
+     * @param {File|Blob} file - Current file contents
+     * @param {Object} metadata - Metadata to write
+     * @param {Function} mapChunk - Optional transform of each kept chunk (e.g. a patched fmt)
+     * @returns {Promise<Blob>} New file
+     */
+    async saveWav(file, metadata, mapChunk = chunk => chunk) {
         // For files > 2GB, we need to read in chunks to avoid memory allocation errors
         const isLargeFile = file.size > 2 * 1024 * 1024 * 1024;
 
@@ -926,244 +2282,231 @@ export class MetadataHandler {
             originalBuffer = await file.arrayBuffer();
         }
 
-        const view = new DataView(originalBuffer);
-
         // We need to reconstruct the file.
         // Strategy: Copy essential chunks (fmt, data) and any other valid chunks EXCEPT bext and iXML.
         // Append new bext and iXML chunks.
-        // Update RIFF size.
-
-        const newChunks = [];
-        let offset = 12;
-        let dataChunkEnd = 0;
-
-        // 1. Collect existing chunks we want to keep (fmt, data, etc.)
-        // Stop at first invalid chunk or when we've passed the data chunk
-        while (offset < view.byteLength - 8) {
-            const chunkId = this.getChunkId(view, offset);
-            const chunkSize = view.getUint32(offset + 4, true);
-
-            // Validate chunk ID (must be 4 printable ASCII chars)
-            const isValidChunkId = chunkId && chunkId.length === 4 && 
-                                   /^[A-Za-z0-9_\- ]{4}$/.test(chunkId);
-
-            if (!isValidChunkId || chunkSize < 0 || chunkSize > view.byteLength) {
-                console.log(`Invalid chunk at offset ${offset}: "${chunkId}" (size: ${chunkSize}), stopping chunk collection`);
-                break;
-            }
-
-            // Keep essential chunks, skip metadata chunks
-            if (chunkId !== 'bext' && chunkId !== 'iXML' && chunkId !== 'JUNK') {
-                console.log(`Keeping chunk: ${chunkId} (${chunkSize} bytes)`);
-                newChunks.push({
-                    id: chunkId,
-                    data: originalBuffer.slice(offset + 8, offset + 8 + chunkSize)
-                });
-
-                // Track where data chunk ends
-                if (chunkId === 'data') {
-                    dataChunkEnd = offset + 8 + chunkSize;
-                }
-            } else {
-                console.log(`Skipping chunk: ${chunkId} (${chunkSize} bytes)`);
-            }
-
-            offset += 8 + chunkSize;
-            if (offset % 2 !== 0) offset++;
-
-            // Safety: if we've gone past data chunk end by a lot, stop
-            if (dataChunkEnd > 0 && offset > dataChunkEnd + 100 * 1024 * 1024) {
-                console.log(`Passed data chunk by 100MB, stopping at offset ${offset}`);
-                break;
-            }
-        }
+        // buildWavFile writes the RIFF header (or RF64 + ds64 if the result exceeds 4 GB).
+
+        // 1. Collect existing chunks we want to keep: everything (including unknown vendor
+        // chunks and duplicate IDs) except the metadata chunks rewritten below and JUNK filler.
+        // LIST-INFO is rewritten from metadata; other LIST types (e.g. adtl) are kept.
+        const newChunks = this.readWavChunks(originalBuffer).filter(chunk => {
+            const isListInfo = chunk.id === 'LIST' && chunk.data.byteLength >= 4 &&
+                this.textDecoder.decode(chunk.data.subarray(0, 4)) === 'INFO';
+            const keep = chunk.id !== 'bext' && chunk.id !== 'iXML' && chunk.id !== 'JUNK' && !isListInfo;
+            console.log(`${keep ? 'Keeping' : 'Skipping'} chunk: ${chunk.id} (${chunk.data.byteLength} bytes)`);
+            return keep;
+        });
 
         console.log(`Collected ${newChunks.length} chunks to keep`);
 
-        // 2. Create new BEXT chunk
-        const bextData = this.createBextChunk(metadata);
-        newChunks.push({ id: 'bext', data: bextData });
-
-        // 3. Create new iXML chunk
-        const ixmlData = this.createIXMLChunk(metadata);
-        newChunks.push({ id: 'iXML', data: ixmlData });
-
-        // 4. Calculate total size
-        let totalSize = 4; // "WAVE"
-        for (const chunk of newChunks) {
-            totalSize += 8 + chunk.data.byteLength;
-            if (chunk.data.byteLength % 2 !== 0) totalSize++; // Pad
-        }
-
-        // 5. Write new file
-        const newBuffer = new Uint8Array(totalSize + 8);
-        const newView = new DataView(newBuffer.buffer);
-
-        // RIFF Header
-        this.writeString(newView, 0, 'RIFF');
-        newView.setUint32(4, totalSize, true);
-        this.writeString(newView, 8, 'WAVE');
-
-        let writeOffset = 12;
-        for (const chunk of newChunks) {
-            this.writeString(newView, writeOffset, chunk.id);
-            newView.setUint32(writeOffset + 4, chunk.data.byteLength, true);
-            writeOffset += 8;
-
-            newBuffer.set(new Uint8Array(chunk.data), writeOffset);
-            writeOffset += chunk.data.byteLength;
-
-            if (chunk.data.byteLength % 2 !== 0) {
-                newView.setUint8(writeOffset, 0);
-                writeOffset++;
-            }
-        }
+        // 2. New bEXT, iXML and LIST-INFO (only if the file had one or tags were mapped)
+        newChunks.push(...this.createMetadataChunks(metadata));
 
-        return new Blob([newBuffer], { type: 'audio/wav' });
+        // 3. Write new file
+        return this.buildWavFile(newChunks.map(mapChunk));
     }
 
     createBextChunk(metadata) {
         let buffer;
         let view;
 
+        // CodingHistory is variable length, so size the chunk from it
+        // (falls back to the original history when metadata has none)
+        let codingHistory = metadata.codingHistory;
+        if (codingHistory === undefined && metadata.bextRaw && metadata.bextRaw.length > 602) {
+            codingHistory = this.textDecoder.decode(metadata.bextRaw.subarray(602)).replace(/\0.*$/s, '');
+        }
+        const historyBytes = new TextEncoder().encode(codingHistory || '');
+        const chunkLength = 602 + historyBytes.length;
+
         if (metadata.bextRaw) {
             console.log('Preserving original bEXT. Length:', metadata.bextRaw.length);
-            // Copy original data
-            buffer = new ArrayBuffer(metadata.bextRaw.length);
-            new Uint8Array(buffer).set(metadata.bextRaw);
+            // Copy original fixed fields (CodingHistory is rewritten below)
+            buffer = new ArrayBuffer(chunkLength);
+            new Uint8Array(buffer).set(metadata.bextRaw.subarray(0, Math.min(602, metadata.bextRaw.length)));
             view = new DataView(buffer);
         } else {
             console.log('Creating new bEXT chunk');
-            buffer = new ArrayBuffer(602); // Fixed size for BEXT V1 usually
+            buffer = new ArrayBuffer(chunkLength);
             view = new DataView(buffer);
             // Version (2) - default to 1 if creating new
             view.setUint16(346, 1, true);
         }
 
         // Overwrite/Set fields with current metadata
+        const desc = this.buildBextDescription(metadata);
+
+        console.log('Final bEXT Description:', desc);
+
+        // Update the metadata description so it persists
+        metadata.description = desc;
+        metadata.bextTags = this.parseDescriptionTags(desc);
+
+        // Description (256)
+        this.writeString(view, 0, desc, 256);
+        // Originator (32)
+        this.writeString(view, 256, metadata.originator || 'WebWavPlayer', 32);
+        // OriginatorRef (32)
+        this.writeString(view, 288, metadata.originatorRef || '', 32);
+        // Date (10)
+        this.writeString(view, 320, metadata.date || '', 10);
+        // Time (8)
+        this.writeString(view, 330, metadata.time || '', 8);
+
+        // TimeReference (Low/High)
+        const timeRef = BigInt(metadata.timeReference || 0);
+        view.setUint32(338, Number(timeRef & 0xFFFFFFFFn), true);
+        view.setUint32(342, Number(timeRef >> 32n), true);
+
+        this.writeBextExtendedFields(view, metadata);
+        new Uint8Array(buffer).set(historyBytes, 602);
 
-        // Rebuild Description from scratch using Sound Devices format
-        // This ensures clean output with no duplicates or garbage data
-        console.log('Building bEXT Description from metadata:', { 
-            scene: metadata.scene, 
-            take: metadata.take, 
-            tape: metadata.tape, 
+        return buffer;
+    }
+
+    /**
+     * Rebuild the bEXT Description from current metadata in Sound Devices format
+     * sSPEED, sTAKE, sCIRCLED, sSCENE, sTAPE, sNOTE and sTRKn are regenerated (stale copies in
+     * other dialects are dropped so they can't disagree with iXML); every other line of the
+     * existing description is kept, in order, after them. Lines that would overflow the
+     * 256-byte field are left out whole rather than cut mid-value.
+     * @param {Object} metadata - File metadata (description holds the existing text)
+     * @returns {string} New description
+     */
+    buildBextDescription(metadata) {
+        console.log('Building bEXT Description from metadata:', {
+            scene: metadata.scene,
+            take: metadata.take,
+            tape: metadata.tape,
             notes: metadata.notes,
-            trackNames: metadata.trackNames 
+            trackNames: metadata.trackNames
         });
 
-        // Parse existing description to preserve unknown fields
-        const existingTags = {};
-        if (metadata.description) {
-            const lines = metadata.description.split(/[\r\n]+/);
-            for (const line of lines) {
-                const match = line.match(/^(\w+)=(.*)$/);
-                if (match) {
-                    existingTags[match[1]] = match[2];
-                }
-            }
-        }
+        const existingTags = this.parseDescriptionTags(metadata.description);
+        const isManaged = (key) => /^[a-z](SPEED|TAKE|CIRCLED|SCENE|TAPE|NOTE|TRK\d+)$/.test(key);
+        const existing = (name) => this.getDescriptionTag(existingTags, name);
+        const has = (value) => value !== undefined && value !== null;
 
-        // Build description with defined order and updated values
         const descParts = [];
 
         // sSPEED (if FPS is available)
         if (metadata.fps) {
             let fpsStr = parseFloat(metadata.fps).toFixed(3).padStart(7, '0');
-            let suffix = '-ND'; // Default to Non-Drop
-            if (metadata.fps === '29.97df' || (metadata.fps === '29.97' && metadata.fpsExact && metadata.fpsExact.denominator === 1001)) {
-                if (metadata.fps === '29.97df') suffix = '-DF';
-            }
+            const suffix = this.timecodeFlag(metadata) === 'DF' ? '-DF' : '-ND';
             if (metadata.fps === '23.98') {
                 fpsStr = '023.976';
             }
             descParts.push(`sSPEED=${fpsStr}${suffix}`);
-        } else if (existingTags.sSPEED) {
-            descParts.push(`sSPEED=${existingTags.sSPEED}`);
+        } else if (has(existing('SPEED'))) {
+            descParts.push(`sSPEED=${existing('SPEED')}`);
         }
 
         // sTAKE
-        if (metadata.take !== undefined && metadata.take !== null) {
+        if (has(metadata.take)) {
             descParts.push(`sTAKE=${metadata.take}`);
-        } else if (existingTags.sTAKE) {
-            descParts.push(`sTAKE=${existingTags.sTAKE}`);
+        } else if (has(existing('TAKE'))) {
+            descParts.push(`sTAKE=${existing('TAKE')}`);
         }
 
-        // Preserve other Sound Devices fields we don't edit
-        const preserveFields = ['sUBITS', 'sSWVER', 'sFILENAME', 'sCIRCLED'];
-        for (const field of preserveFields) {
-            if (existingTags[field]) {
-                descParts.push(`${field}=${existingTags[field]}`);
-            }
+        // sCIRCLED
+        if (metadata.circled !== undefined) {
+            descParts.push(`sCIRCLED=${metadata.circled ? 'TRUE' : 'FALSE'}`);
+        } else if (has(existing('CIRCLED'))) {
+            descParts.push(`sCIRCLED=${existing('CIRCLED')}`);
         }
 
-        // sSCENE
-        if (metadata.scene !== undefined && metadata.scene !== null) {
-            descParts.push(`sSCENE=${metadata.scene}`);
-        } else if (existingTags.sSCENE) {
-            descParts.push(`sSCENE=${existingTags.sSCENE}`);
+        // sSCENE, sTAPE, sNOTE
+        for (const [name, key] of [['SCENE', 'scene'], ['TAPE', 'tape'], ['NOTE', 'notes']]) {
+            if (has(metadata[key])) {
+                descParts.push(`s${name}=${metadata[key]}`);
+            } else if (has(existing(name))) {
+                descParts.push(`s${name}=${existing(name)}`);
+            }
         }
 
-        // sTAPE
-        if (metadata.tape !== undefined && metadata.tape !== null) {
-            descParts.push(`sTAPE=${metadata.tape}`);
-        } else if (existingTags.sTAPE) {
-            descParts.push(`sTAPE=${existingTags.sTAPE}`);
+        // Track names (sTRK1=, sTRK2=, etc.) in interleave order
+        const trackNames = metadata.trackNames && metadata.trackNames.length > 0
+            ? metadata.trackNames
+            : this.extractTrackNamesFromBext(metadata.description);
+        for (let i = 0; i < trackNames.length; i++) {
+            descParts.push(`sTRK${i + 1}=${trackNames[i] || ''}`);
         }
 
-        // sNOTE
-        if (metadata.notes !== undefined && metadata.notes !== null) {
-            descParts.push(`sNOTE=${metadata.notes}`);
-        } else if (existingTags.sNOTE) {
-            descParts.push(`sNOTE=${existingTags.sNOTE}`);
+        // Everything else (sUBITS, sSWVER, sFILENAME, sTAG, vendor tags, free text) is preserved
+        for (const line of (metadata.description || '').split(/[\r\n]+/)) {
+            if (!line.trim()) continue;
+            const match = line.match(/^\s*([A-Za-z][\w]*)=/);
+            if (match && isManaged(match[1])) continue;
+            descParts.push(line);
         }
 
-        // Track names (sTRK1=, sTRK2=, etc.)
-        if (metadata.trackNames && metadata.trackNames.length > 0) {
-            for (let i = 0; i < metadata.trackNames.length; i++) {
-                const trackNum = i + 1;
-                descParts.push(`sTRK${trackNum}=${metadata.trackNames[i] || ''}`);
-            }
-        } else {
-            // Preserve existing track names
-            for (let i = 1; i <= 16; i++) {
-                const field = `sTRK${i}`;
-                if (existingTags[field]) {
-                    descParts.push(`${field}=${existingTags[field]}`);
-                }
+        // Fit whole lines into the 256-byte Description field
+        const kept = [];
+        const dropped = [];
+        let length = 0;
+        for (const part of descParts) {
+            const added = (kept.length > 0 ? 1 : 0) + part.length;
+            if (length + added > 256) {
+                dropped.push(part);
+                continue;
             }
+            kept.push(part);
+            length += added;
+        }
+        if (dropped.length > 0) {
+            console.warn('[buildBextDescription] Description full, dropped lines:', dropped);
         }
 
-        const desc = descParts.join('\n');
-
-        // Also check for generic s= t= just in case (optional, but good for compatibility)
-        // But since we saw sSCENE, we prioritize that.
-
-        console.log('Final bEXT Description:', desc);
-
-        // Update the metadata description so it persists
-        metadata.description = desc;
+        return kept.join('\n');
+    }
 
-        // Description (256)
-        this.writeString(view, 0, desc, 256);
-        // Originator (32)
-        this.writeString(view, 256, metadata.originator || 'WebWavPlayer', 32);
-        // OriginatorRef (32)
-        this.writeString(view, 288, metadata.originatorRef || '', 32);
-        // Date (10)
-        this.writeString(view, 320, metadata.date || '', 10);
-        // Time (8)
-        this.writeString(view, 330, metadata.time || '', 8);
+    /**
+     * Write Version, UMID and loudness fields into a bEXT chunk buffer.
+     * Fields missing from metadata keep the values already in the buffer.
+     * Setting any loudness value promotes the chunk to version 2.
+     * @param {DataView} view - View over the bEXT chunk data (at least 602 bytes)
+     * @param {Object} metadata - Metadata with optional umid/loudness fields
+     */
+    writeBextExtendedFields(view, metadata) {
+        const loudnessFields = [
+            ['loudnessValue', 412],
+            ['loudnessRange', 414],
+            ['maxTruePeakLevel', 416],
+            ['maxMomentaryLoudness', 418],
+            ['maxShortTermLoudness', 420]
+        ];
+
+        let version = view.getUint16(346, true);
+        if (metadata.bextVersion !== undefined) version = Math.max(version, metadata.bextVersion);
+
+        // UMID (64 bytes, hex in metadata)
+        if (metadata.umid !== undefined) {
+            const hex = (metadata.umid || '').replace(/[^0-9a-fA-F]/g, '').substring(0, 128);
+            for (let i = 0; i < 64; i++) {
+                const byte = hex.length >= (i + 1) * 2 ? parseInt(hex.substr(i * 2, 2), 16) : 0;
+                view.setUint8(348 + i, byte);
+            }
+            if (hex) version = Math.max(version, 1);
+        }
 
-        // TimeReference (Low/High)
-        const timeRef = BigInt(metadata.timeReference || 0);
-        view.setUint32(338, Number(timeRef & 0xFFFFFFFFn), true);
-        view.setUint32(342, Number(timeRef >> 32n), true);
+        const hasLoudness = loudnessFields.some(([key]) => metadata[key] !== undefined && metadata[key] !== null && metadata[key] !== '');
+        if (hasLoudness) version = Math.max(version, 2);
 
-        // Note: We preserve Version, UMID, Loudness, Reserved, and Coding History
-        // by virtue of copying the raw buffer first.
+        if (version >= 2) {
+            for (const [key, off] of loudnessFields) {
+                if (metadata[key] === undefined) {
+                    // Not known to metadata: keep buffer value, but a v1 reserved zero means unset
+                    if (view.getUint16(346, true) < 2) view.setInt16(off, 0x7FFF, true);
+                    continue;
+                }
+                const value = parseFloat(metadata[key]);
+                const raw = isNaN(value) ? 0x7FFF : Math.max(-32768, Math.min(32766, Math.round(value * 100)));
+                view.setInt16(off, raw, true);
+            }
+        }
 
-        return buffer;
+        view.setUint16(346, version, true);
     }
 
     createIXMLChunk(metadata) {
@@ -1180,6 +2523,16 @@ export class MetadataHandler {
             this.updateXmlVal(xmlDoc, "TAPE", metadata.tape);
             this.updateXmlVal(xmlDoc, "NOTE", metadata.notes);
 
+            // Take flags - written once set, so clearing a flag leaves FALSE rather than removing it
+            for (const [key, tag] of Object.entries(this.takeFlagTags)) {
+                if (metadata[key] !== undefined) {
+                    this.updateXmlVal(xmlDoc, tag, metadata[key] ? 'TRUE' : 'FALSE');
+                }
+            }
+
+            // File identity and lineage
+            this.applyHistoryToXmlDoc(xmlDoc, metadata);
+
             // Always write a complete SPEED tag
             let speedEl = xmlDoc.querySelector("SPEED");
             if (!speedEl) {
@@ -1201,8 +2554,8 @@ export class MetadataHandler {
             let fpsFrac = metadata.fpsExact ? `${metadata.fpsExact.numerator}/${metadata.fpsExact.denominator}` : '';
             setSpeedChild('MASTER_SPEED', fpsFrac);
             setSpeedChild('CURRENT_SPEED', fpsFrac);
-            // TIMECODE_FLAG (always NDF for now)
-            setSpeedChild('TIMECODE_FLAG', 'NDF');
+            // TIMECODE_FLAG (DF for drop-frame 29.97/59.94)
+            setSpeedChild('TIMECODE_FLAG', this.timecodeFlag(metadata));
             // TIMECODE_RATE (FPS as fraction)
             setSpeedChild('TIMECODE_RATE', fpsFrac);
             // FILE_SAMPLE_RATE
@@ -1210,9 +2563,9 @@ export class MetadataHandler {
             // AUDIO_BIT_DEPTH
             setSpeedChild('AUDIO_BIT_DEPTH', metadata.bitDepth || '');
             // DIGITIZER_SAMPLE_RATE
-            setSpeedChild('DIGITIZER_SAMPLE_RATE', metadata.sampleRate || '');
-            // TIMESTAMP_SAMPLE_RATE
-            setSpeedChild('TIMESTAMP_SAMPLE_RATE', metadata.sampleRate || '');
+            setSpeedChild('DIGITIZER_SAMPLE_RATE', metadata.digitizerSampleRate || metadata.sampleRate || '');
+            // TIMESTAMP_SAMPLE_RATE (the rate timeReference counts in)
+            setSpeedChild('TIMESTAMP_SAMPLE_RATE', this.timecodeSampleRate(metadata) || '');
             // TIMESTAMP_SAMPLES_SINCE_MIDNIGHT_HI/LO (fallback for timeReference if bEXT missing)
             let hi = '0', lo = '0';
             if (metadata.timeReference !== undefined) {
@@ -1223,8 +2576,9 @@ export class MetadataHandler {
             setSpeedChild('TIMESTAMP_SAMPLES_SINCE_MIDNIGHT_HI', hi);
             setSpeedChild('TIMESTAMP_SAMPLES_SINCE_MIDNIGHT_LO', lo);
 
-            // Track names - for mix exports, rebuild track list from scratch
-            if (metadata.trackNames && metadata.trackNames.length > 0) {
+            // Track list - rebuilt from metadata.trackList/trackNames (mix exports pass new names)
+            const tracksToWrite = this.buildTrackListForWrite(metadata);
+            if (tracksToWrite.length > 0) {
                 let trackList = xmlDoc.querySelector("TRACK_LIST");
                 if (!trackList) {
                     trackList = xmlDoc.createElement("TRACK_LIST");
@@ -1243,24 +2597,36 @@ export class MetadataHandler {
                     trackCount = xmlDoc.createElement("TRACK_COUNT");
                     trackList.insertBefore(trackCount, trackList.firstChild);
                 }
-                trackCount.textContent = metadata.trackNames.length.toString();
+                trackCount.textContent = tracksToWrite.length.toString();
                 
-                // Add new tracks based on metadata.trackNames
-                for (let i = 0; i < metadata.trackNames.length; i++) {
+                // Add new tracks, keeping routing, function and enable state
+                for (const track of tracksToWrite) {
                     const newTrack = xmlDoc.createElement("TRACK");
                     
                     const channelIndex = xmlDoc.createElement("CHANNEL_INDEX");
-                    channelIndex.textContent = (i + 1).toString();
+                    channelIndex.textContent = track.channelIndex.toString();
                     newTrack.appendChild(channelIndex);
                     
                     const interleaveIndex = xmlDoc.createElement("INTERLEAVE_INDEX");
-                    interleaveIndex.textContent = (i + 1).toString();
+                    interleaveIndex.textContent = track.interleaveIndex.toString();
                     newTrack.appendChild(interleaveIndex);
                     
                     const nameEl = xmlDoc.createElement("NAME");
-                    nameEl.textContent = metadata.trackNames[i];
+                    nameEl.textContent = track.name;
                     newTrack.appendChild(nameEl);
                     
+                    if (track.function) {
+                        const functionEl = xmlDoc.createElement("FUNCTION");
+                        functionEl.textContent = track.function;
+                        newTrack.appendChild(functionEl);
+                    }
+                    
+                    if (track.enabled === false) {
+                        const enabledEl = xmlDoc.createElement("ENABLED");
+                        enabledEl.textContent = 'FALSE';
+                        newTrack.appendChild(enabledEl);
+                    }
+                    
                     trackList.appendChild(newTrack);
                 }
             }
@@ -1277,6 +2643,19 @@ export class MetadataHandler {
             xml += '  <TAKE>' + (metadata.take || '') + '</TAKE>\n';
             xml += '  <TAPE>' + (metadata.tape || '') + '</TAPE>\n';
             xml += '  <NOTE>' + (metadata.notes || '') + '</NOTE>\n';
+            for (const [key, tag] of Object.entries(this.takeFlagTags)) {
+                if (metadata[key] !== undefined) xml += `  <${tag}>${metadata[key] ? 'TRUE' : 'FALSE'}</${tag}>\n`;
+            }
+            if (metadata.fileUid) {
+                xml += '  <FILE_UID>' + this.escapeXML(metadata.fileUid) + '</FILE_UID>\n';
+            }
+            if (metadata.history) {
+                xml += '  <HISTORY>\n';
+                for (const [tag, value] of this.historyEntries(metadata.history)) {
+                    xml += `    <${tag}>${this.escapeXML(value)}</${tag}>\n`;
+                }
+                xml += '  </HISTORY>\n';
+            }
             if (metadata.tcStart) {
                 // Do not write TIMECODE_START (non-standard)
             }
@@ -1296,7 +2675,7 @@ export class MetadataHandler {
                 const fpsMap = {
                     '23.98': '24000/1001', '24': '24/1', '25': '25/1', 
                     '29.97': '30000/1001', '29.97df': '30000/1001', '29.97nd': '30000/1001', '30': '30/1',
-                    '48': '48/1', '50': '50/1', '59.94': '60000/1001', '60': '60/1'
+                    '48': '48/1', '50': '50/1', '59.94': '60000/1001', '59.94df': '60000/1001', '60': '60/1'
                 };
                 const fpsFrac = fpsMap[metadata.fps] || '24/1';
                 console.log('[createIXMLChunk] Using fps fallback:', fpsFrac, 'from metadata.fps:', metadata.fps);
@@ -1305,11 +2684,11 @@ export class MetadataHandler {
                 xml += '    <TIMECODE_RATE>' + fpsFrac + '</TIMECODE_RATE>\n';
             }
             
-            xml += '    <TIMECODE_FLAG>NDF</TIMECODE_FLAG>\n';
+            xml += '    <TIMECODE_FLAG>' + this.timecodeFlag(metadata) + '</TIMECODE_FLAG>\n';
             xml += '    <FILE_SAMPLE_RATE>' + (metadata.sampleRate || '') + '</FILE_SAMPLE_RATE>\n';
             xml += '    <AUDIO_BIT_DEPTH>' + (metadata.bitDepth || '24') + '</AUDIO_BIT_DEPTH>\n';
-            xml += '    <DIGITIZER_SAMPLE_RATE>' + (metadata.sampleRate || '') + '</DIGITIZER_SAMPLE_RATE>\n';
-            xml += '    <TIMESTAMP_SAMPLE_RATE>' + (metadata.sampleRate || '') + '</TIMESTAMP_SAMPLE_RATE>\n';
+            xml += '    <DIGITIZER_SAMPLE_RATE>' + (metadata.digitizerSampleRate || metadata.sampleRate || '') + '</DIGITIZER_SAMPLE_RATE>\n';
+            xml += '    <TIMESTAMP_SAMPLE_RATE>' + (this.timecodeSampleRate(metadata) || '') + '</TIMESTAMP_SAMPLE_RATE>\n';
             
             // TIMESTAMP_SAMPLES_SINCE_MIDNIGHT_HI/LO (fallback for timeReference if bEXT missing)
             let hi = '0', lo = '0';
@@ -1324,18 +2703,7 @@ export class MetadataHandler {
             xml += '  </SPEED>\n';
             const numChannels = metadata.channels || 1;
             if (numChannels > 0) {
-                xml += '  <TRACK_LIST>\n';
-                for (let i = 0; i < numChannels; i++) {
-                    const trackName = (metadata.trackNames && metadata.trackNames[i]) 
-                        ? metadata.trackNames[i] 
-                        : `Track ${i + 1}`;
-                    xml += '    <TRACK>\n';
-                    xml += '      <CHANNEL_INDEX>' + (i + 1) + '</CHANNEL_INDEX>\n';
-                    xml += '      <INTERLEAVE_INDEX>' + (i + 1) + '</INTERLEAVE_INDEX>\n';
-                    xml += '      <NAME>' + trackName + '</NAME>\n';
-                    xml += '    </TRACK>\n';
-                }
-                xml += '  </TRACK_LIST>\n';
+                xml += this.trackListToXmlString(this.buildTrackListForWrite(metadata, numChannels), '  ');
             }
             xml += '</BWFXML>';
         }
@@ -1358,6 +2726,102 @@ export class MetadataHandler {
         }
     }
 
+    /**
+     * iXML HISTORY tags in write order
+     * @param {Object} history - {originalFilename, parentFilename, parentUid}
+     * @returns {Array<[string, string]>}
+     */
+    historyEntries(history) {
+        return [
+            ['ORIGINAL_FILENAME', history.originalFilename || ''],
+            ['PARENT_FILENAME', history.parentFilename || ''],
+            ['PARENT_UID', history.parentUid || '']
+        ];
+    }
+
+    /**
+     * Write FILE_UID and HISTORY into a parsed iXML document
+     * @param {Document} xmlDoc - iXML document
+     * @param {Object} metadata - Source of fileUid and history (missing fields are left alone)
+     */
+    applyHistoryToXmlDoc(xmlDoc, metadata) {
+        if (!xmlDoc.documentElement) return;
+        if (metadata.fileUid) {
+            this.updateXmlVal(xmlDoc, "FILE_UID", metadata.fileUid);
+        }
+        if (metadata.history) {
+            let historyEl = xmlDoc.querySelector("BWFXML > HISTORY");
+            if (!historyEl) {
+                historyEl = xmlDoc.createElement("HISTORY");
+                xmlDoc.documentElement.appendChild(historyEl);
+            }
+            for (const [tag, value] of this.historyEntries(metadata.history)) {
+                let el = historyEl.querySelector(tag);
+                if (!el) {
+                    el = xmlDoc.createElement(tag);
+                    historyEl.appendChild(el);
+                }
+                el.textContent = value;
+            }
+        }
+    }
+
+    /**
+     * Write FILE_UID and HISTORY into an iXML string
+     * @param {string} ixmlString - Existing iXML
+     * @param {Object} lineage - {fileUid, history} (see deriveHistory)
+     * @returns {string} Updated iXML
+     */
+    injectHistoryIntoIXML(ixmlString, lineage) {
+        const xmlDoc = new DOMParser().parseFromString(ixmlString, 'text/xml');
+        if (xmlDoc.querySelector('parsererror')) return ixmlString;
+        this.applyHistoryToXmlDoc(xmlDoc, lineage);
+        return new XMLSerializer().serializeToString(xmlDoc);
+    }
+
+    /**
+     * Write lineage into a WAV file's iXML (created from metadata if the file has none)
+     * @param {FileSystemFileHandle} fileHandle - File to update
+     * @param {Object} metadata - Current metadata of the file
+     * @param {Object} lineage - {fileUid?, history}
+     * @returns {Promise<string>} The iXML that was written
+     */
+    async writeHistoryToFile(fileHandle, metadata, lineage) {
+        const ixml = metadata.ixmlRaw
+            ? this.injectHistoryIntoIXML(metadata.ixmlRaw, lineage)
+            : new TextDecoder().decode(this.createIXMLChunk({ ...metadata, ...lineage }));
+        await this.updateIXMLChunk(fileHandle, null, ixml);
+        return ixml;
+    }
+
+    /**
+     * Lineage for a file created from another one (split, extract, combine, mix, conversion, copy)
+     * The new file gets its own FILE_UID; ORIGINAL_FILENAME carries the recorder file name through
+     * every generation.
+     * @param {Object} parentMetadata - Metadata of the source file
+     * @returns {{fileUid: string, history: Object}} Fields to spread into the new file's metadata
+     */
+    deriveHistory(parentMetadata) {
+        const parentFilename = parentMetadata?.filename || '';
+        return {
+            fileUid: this.generateFileUid(),
+            history: {
+                originalFilename: parentMetadata?.history?.originalFilename || parentFilename,
+                parentFilename,
+                parentUid: parentMetadata?.fileUid || ''
+            }
+        };
+    }
+
+    /**
+     * Generate an iXML FILE_UID (32 uppercase hex digits)
+     * @returns {string}
+     */
+    generateFileUid() {
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('').toUpperCase();
+    }
+
     writeString(view, offset, str, length = null) {
         // If length is specified, zero out the entire field first to prevent garbage data
         if (length) {
@@ -1377,22 +2841,86 @@ export class MetadataHandler {
         return n.toString().padStart(2, '0');
     }
 
+    /**
+     * Parse every key=value line of a bEXT Description into a map
+     * @param {string} description - bEXT Description field content
+     * @returns {Object} Tag name -> value, in description order (e.g. {sSPEED: '025.000-ND', sTRK1: 'BOOM'})
+     */
+    parseDescriptionTags(description) {
+        const tags = {};
+        if (!description) return tags;
+        for (const line of description.split(/[\r\n]+/)) {
+            const match = line.match(/^\s*([A-Za-z][\w]*)=(.*)$/);
+            if (match && !(match[1] in tags)) {
+                tags[match[1]] = match[2];
+            }
+        }
+        return tags;
+    }
+
+    /**
+     * Detect the recorder family that wrote a bEXT Description
+     * When only the tag prefix is known and several families share it, a combined
+     * profile (e.g. "Zoom F-series / Zaxcom") is returned instead of guessing one.
+     * @param {string} originator - bEXT Originator field
+     * @param {Object} tags - Tags from parseDescriptionTags
+     * @returns {Object|null} Profile from recorderProfiles (or a combined one), or null if unknown
+     */
+    detectRecorder(originator, tags = {}) {
+        const name = (originator || '').trim();
+        if (name) {
+            const byOriginator = this.recorderProfiles.find(p => p.originator.test(name));
+            if (byOriginator) return byOriginator;
+        }
+        const keys = Object.keys(tags);
+        const prefix = this.recorderProfiles.find(p =>
+            keys.some(key => key.startsWith(p.prefix) && /^(SPEED|SCENE|TAKE|TRK\d+)$/.test(key.slice(1)))
+        )?.prefix;
+        if (!prefix) return null;
+
+        const matches = this.recorderProfiles.filter(p => p.prefix === prefix);
+        if (matches.length === 1) return matches[0];
+        return {
+            id: matches.map(p => p.id).join('/'),
+            name: matches.map(p => p.name).join(' / '),
+            prefix
+        };
+    }
+
+    /**
+     * Read a dialect-independent tag (SCENE, TAKE, SPEED, TRK1, ...) from a parsed Description
+     * The detected recorder's prefix is tried first, then the Sound Devices 's' prefix, then any prefix.
+     * @param {Object} tags - Tags from parseDescriptionTags
+     * @param {string} name - Tag name without prefix
+     * @param {Object|null} profile - Profile from detectRecorder
+     * @returns {string|undefined}
+     */
+    getDescriptionTag(tags, name, profile = null) {
+        if (!tags) return undefined;
+        if (profile && `${profile.prefix}${name}` in tags) return tags[`${profile.prefix}${name}`];
+        if (`s${name}` in tags) return tags[`s${name}`];
+        const key = Object.keys(tags).find(k => /^[a-z]$/.test(k[0]) && k.slice(1) === name);
+        return key !== undefined ? tags[key] : undefined;
+    }
+
     parseSpeedFromDescription(description) {
-        // Parse Sound Devices sSPEED tag from bEXT description
-        // Format: sSPEED=HHH.HHH-XX (e.g., "023.976-ND" for 23.976 fps non-drop)
-        const speedRegex = /sSPEED=(\d+\.\d+)-(\w+)/;
+        // Parse the SPEED tag from bEXT description (sSPEED, zSPEED, aSPEED, ...)
+        // Format: sSPEED=HHH.HHH-XX (e.g., "023.976-ND" for 23.976 fps non-drop, "029.970-DF" for drop-frame);
+        // Zoom writes the flag without the dash ("25.000ND")
+        const speedRegex = /^\s*[a-z]SPEED=(\d+(?:\.\d+)?)-?([A-Za-z]*)/m;
         const match = description.match(speedRegex);
         
         if (match) {
             const fpsValue = parseFloat(match[1]);
+            const dropFrame = match[2].toUpperCase() === 'DF';
             
             // Convert decimal fps to exact fraction
             if (Math.abs(fpsValue - 23.976) < 0.01) {
                 return { numerator: 24000, denominator: 1001 };
             } else if (Math.abs(fpsValue - 29.97) < 0.01) {
-                return { numerator: 30000, denominator: 1001 };
+                return dropFrame ? { numerator: 30000, denominator: 1001, dropFrame } : { numerator: 30000, denominator: 1001 };
             } else if (Math.abs(fpsValue - 59.94) < 0.01) {
-                return { numerator: 60000, denominator: 1001 };
+                return dropFrame ? { numerator: 60000, denominator: 1001, dropFrame } : { numerator: 60000, denominator: 1001 };
             } else {
                 // For other values, treat as integer fps
                 return { numerator: Math.round(fpsValue), denominator: 1 };
@@ -1439,30 +2967,10 @@ export class MetadataHandler {
     /**
      * Update iXML chunk in WAV file
      * @param {FileSystemFileHandle} fileHandle - File handle to write to
-     * @param {ArrayBuffer} originalBuffer - Original WAV file buffer
+     * @param {ArrayBuffer|null} originalBuffer - Original WAV file buffer (read from the handle if null)
      * @param {string} newIXMLString - New iXML content
      */
     async updateIXMLChunk(fileHandle, originalBuffer, newIXMLData) {
-        const view = new DataView(originalBuffer);
-        const chunks = [];
-        let offset = 12;
-
-        // Parse all chunks except iXML
-        while (offset < view.byteLength - 8) {
-            const chunkId = this.getChunkId(view, offset);
-            const chunkSize = view.getUint32(offset + 4, true);
-
-            if (chunkId !== 'iXML') {
-                // Copy chunk (including header)
-                const chunkData = new Uint8Array(originalBuffer, offset, 8 + chunkSize);
-                chunks.push({ id: chunkId, data: chunkData });
-            }
-
-            offset += 8 + chunkSize;
-            if (chunkSize % 2 !== 0) offset++; // Pad byte
-        }
-
-        // Add new iXML chunk
         // Handle both string and ArrayBuffer inputs
         let ixmlBytes;
         if (newIXMLData instanceof ArrayBuffer) {
@@ -1472,51 +2980,25 @@ export class MetadataHandler {
         } else {
             throw new Error('newIXMLData must be a string or ArrayBuffer');
         }
-        
-        const ixmlChunkSize = ixmlBytes.length;
-        const ixmlChunk = new Uint8Array(8 + ixmlChunkSize + (ixmlChunkSize % 2));
-        const ixmlView = new DataView(ixmlChunk.buffer);
-
-        // Chunk ID
-        ixmlView.setUint8(0, 'i'.charCodeAt(0));
-        ixmlView.setUint8(1, 'X'.charCodeAt(0));
-        ixmlView.setUint8(2, 'M'.charCodeAt(0));
-        ixmlView.setUint8(3, 'L'.charCodeAt(0));
-        // Chunk Size
-        ixmlView.setUint32(4, ixmlChunkSize, true);
-        // Chunk Data
-        ixmlChunk.set(ixmlBytes, 8);
-
-        chunks.push({ id: 'iXML', data: ixmlChunk });
-
-        // Calculate total size
-        const totalDataSize = chunks.reduce((sum, chunk) => sum + chunk.data.byteLength, 0);
-        const newFileSize = 12 + totalDataSize;
-        const newBuffer = new Uint8Array(newFileSize);
-        const newView = new DataView(newBuffer.buffer);
 
-        // Write RIFF header
-        newView.setUint8(0, 'R'.charCodeAt(0));
-        newView.setUint8(1, 'I'.charCodeAt(0));
-        newView.setUint8(2, 'F'.charCodeAt(0));
-        newView.setUint8(3, 'F'.charCodeAt(0));
-        newView.setUint32(4, newFileSize - 8, true);
-        newView.setUint8(8, 'W'.charCodeAt(0));
-        newView.setUint8(9, 'A'.charCodeAt(0));
-        newView.setUint8(10, 'V'.charCodeAt(0));
-        newView.setUint8(11, 'E'.charCodeAt(0));
-
-        // Write all chunks
-        let writeOffset = 12;
-        for (const chunk of chunks) {
-            newBuffer.set(chunk.data, writeOffset);
-            writeOffset += chunk.data.byteLength;
+        // Patch in place when the new iXML fits in the old chunk and the padding after it
+        if (await this.writeChunksInPlace(fileHandle, await fileHandle.getFile(), [{ id: 'iXML', data: ixmlBytes }])) {
+            return;
+        }
+
+        // Otherwise rebuild: keep all chunks except iXML (unknown chunks pass through untouched)
+        if (!originalBuffer) {
+            originalBuffer = await (await fileHandle.getFile()).arrayBuffer();
         }
+        const chunks = this.readWavChunks(originalBuffer).filter(c => c.id !== 'iXML');
+        chunks.push({ id: 'iXML', data: ixmlBytes });
+
+        const newFile = this.buildWavFile(chunks);
 
         // Write to file
         const writable = await fileHandle.createWritable();
-        await writable.write(newBuffer);
-        await writable.truncate(newFileSize);
+        await writable.write(newFile);
+        await writable.truncate(newFile.size);
         await writable.close();
     }
 
@@ -1622,6 +3104,116 @@ export class MetadataHandler {
         return buffer;
     }
 
+    /**
+     * Build LIST-adtl chunk data (without the 8-byte LIST header) for the points of createCueChunk
+     * Cue IDs match createCueChunk (1-based, in marker order): 'labl' holds the label, 'note' the
+     * comment and 'ltxt' the region length, which is where Pro Tools, Reaper, Audition and Wavelab
+     * look for marker names.
+     * @param {Array} markers - Array of markers with {time, label, comment, duration} properties
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {ArrayBuffer|null} Chunk data, or null if no marker has a label, comment or length
+     */
+    createAdtlChunk(markers, sampleRate) {
+        if (!markers || markers.length === 0) return null;
+
+        const encoder = new TextEncoder();
+        const entries = [];
+        markers.forEach((marker, index) => {
+            const cueId = index + 1;
+            if (marker.label) entries.push({ id: 'labl', cueId, text: encoder.encode(marker.label + '\0') });
+            if (marker.comment) entries.push({ id: 'note', cueId, text: encoder.encode(marker.comment + '\0') });
+            const length = Math.round((marker.duration || 0) * sampleRate);
+            if (length > 0) entries.push({ id: 'ltxt', cueId, length });
+        });
+        if (entries.length === 0) return null;
+
+        // ltxt: cue ID, sample length, purpose, country, language, dialect, code page
+        const entrySize = entry => entry.id === 'ltxt' ? 20 : 4 + entry.text.length;
+        let size = 4; // 'adtl'
+        for (const entry of entries) {
+            size += 8 + entrySize(entry) + (entrySize(entry) % 2);
+        }
+
+        const buffer = new ArrayBuffer(size);
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+        this.writeString(view, 0, 'adtl');
+        let pos = 4;
+        for (const entry of entries) {
+            const length = entrySize(entry);
+            this.writeString(view, pos, entry.id);
+            view.setUint32(pos + 4, length, true);
+            view.setUint32(pos + 8, entry.cueId, true);
+            if (entry.id === 'ltxt') {
+                view.setUint32(pos + 12, entry.length, true);
+                this.writeString(view, pos + 16, 'rgn ');
+            } else {
+                bytes.set(entry.text, pos + 12);
+            }
+            pos += 8 + length + (length % 2);
+        }
+
+        return buffer;
+    }
+
+    /**
+     * Parse the labels, notes and region lengths of a LIST-adtl chunk
+     * @param {Uint8Array} data - LIST chunk data (starting with the 'adtl' list type)
+     * @returns {Map<number, Object>} Cue ID -> { label, comment, length } (length in samples)
+     */
+    parseAdtlChunk(data) {
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const entries = new Map();
+        const entryFor = cueId => {
+            if (!entries.has(cueId)) entries.set(cueId, { label: '', comment: '', length: 0 });
+            return entries.get(cueId);
+        };
+        const text = (start, end) => this.textDecoder.decode(data.subarray(start, end)).replace(/\0.*$/s, '').trim();
+
+        let pos = 4; // Skip 'adtl'
+        while (pos + 12 <= data.byteLength) {
+            const id = this.getChunkId(view, pos);
+            const size = view.getUint32(pos + 4, true);
+            if (!this.isValidChunkId(id) || size < 4) break;
+            const end = Math.min(pos + 8 + size, data.byteLength);
+            const cueId = view.getUint32(pos + 8, true);
+
+            if (id === 'labl') {
+                entryFor(cueId).label = text(pos + 12, end);
+            } else if (id === 'note') {
+                entryFor(cueId).comment = text(pos + 12, end);
+            } else if (id === 'ltxt' && end - pos >= 16) {
+                entryFor(cueId).length = view.getUint32(pos + 12, true);
+            }
+
+            pos += 8 + size + (size % 2);
+        }
+
+        return entries;
+    }
+
+    /**
+     * Parse cue points together with their LIST-adtl labels, notes and region lengths
+     * @param {ArrayBuffer} arrayBuffer - WAV file buffer
+     * @returns {Array|null} - Cue points {id, samplePosition, label, comment, length} or null if there is no cue chunk
+     */
+    parseCueMarkers(arrayBuffer) {
+        const cuePoints = this.parseCueChunk(arrayBuffer);
+        if (!cuePoints) return null;
+
+        const adtl = new Map();
+        for (const chunk of this.readWavChunks(arrayBuffer)) {
+            if (chunk.id === 'LIST' && chunk.data.byteLength >= 4 &&
+                this.textDecoder.decode(chunk.data.subarray(0, 4)) === 'adtl') {
+                for (const [cueId, entry] of this.parseAdtlChunk(chunk.data)) {
+                    adtl.set(cueId, entry);
+                }
+            }
+        }
+
+        return cuePoints.map(cuePoint => ({ label: '', comment: '', length: 0, ...cuePoint, ...adtl.get(cuePoint.id) }));
+    }
+
     /**
      * Parse sync points from iXML string
      * @param {string} ixmlString - iXML XML string
@@ -1739,83 +3331,47 @@ export class MetadataHandler {
     }
 
     /**
-     * Update WAV file with cue chunk and updated iXML
+     * Update WAV file with cue chunk, adtl labels and updated iXML
      * @param {FileSystemFileHandle} fileHandle - File handle to write to
      * @param {ArrayBuffer} originalBuffer - Original WAV file buffer
-     * @param {Uint8Array} cueChunk - Binary cue chunk data (or null to skip)
-     * @param {string} newIXMLString - New iXML content (or null to skip)
+     * @param {Uint8Array} cueChunk - Binary cue chunk data including header (or null to remove the markers)
+     * @param {string} newIXMLString - New iXML content (or null to keep the existing iXML)
+     * @param {ArrayBuffer} adtlData - LIST-adtl data from createAdtlChunk (or null for no labels)
      */
-    async updateCueMarkers(fileHandle, originalBuffer, cueChunk, newIXMLString) {
-        const view = new DataView(originalBuffer);
-        const chunks = [];
-        let offset = 12;
-
-        // Parse all chunks except 'cue ' and 'iXML'
-        while (offset < view.byteLength - 8) {
-            const chunkId = this.getChunkId(view, offset);
-            const chunkSize = view.getUint32(offset + 4, true);
+    async updateCueMarkers(fileHandle, originalBuffer, cueChunk, newIXMLString, adtlData = null) {
+        // The old cue points and their adtl labels are replaced; every other chunk is kept
+        const chunks = this.readWavChunks(originalBuffer).filter(chunk => {
+            const isListAdtl = chunk.id === 'LIST' && chunk.data.byteLength >= 4 &&
+                this.textDecoder.decode(chunk.data.subarray(0, 4)) === 'adtl';
+            return chunk.id !== 'cue ' && !isListAdtl;
+        });
 
-            if (chunkId !== 'cue ' && chunkId !== 'iXML') {
-                // Copy chunk (including header)
-                const chunkData = new Uint8Array(originalBuffer, offset, 8 + chunkSize + (chunkSize % 2));
-                chunks.push({ id: chunkId, data: chunkData });
+        if (newIXMLString) {
+            const ixmlData = new TextEncoder().encode(newIXMLString);
+            const ixmlIndex = chunks.findIndex(chunk => chunk.id === 'iXML');
+            if (ixmlIndex !== -1) {
+                chunks[ixmlIndex] = { id: 'iXML', data: ixmlData };
+            } else {
+                chunks.push({ id: 'iXML', data: ixmlData });
             }
-
-            offset += 8 + chunkSize;
-            if (chunkSize % 2 !== 0) offset++; // Pad byte
         }
 
-        // Add new cue chunk if provided
         if (cueChunk) {
-            chunks.push({ id: 'cue ', data: cueChunk });
+            // createCueChunk returns the full chunk including its header
+            const cueSize = new DataView(cueChunk.buffer, cueChunk.byteOffset).getUint32(4, true);
+            chunks.push({ id: 'cue ', data: cueChunk.subarray(8, 8 + cueSize) });
         }
-
-        // Add new iXML chunk if provided
-        if (newIXMLString) {
-            const ixmlBytes = new TextEncoder().encode(newIXMLString);
-            const ixmlChunkSize = ixmlBytes.length;
-            const ixmlChunk = new Uint8Array(8 + ixmlChunkSize + (ixmlChunkSize % 2));
-            const ixmlView = new DataView(ixmlChunk.buffer);
-
-            ixmlView.setUint8(0, 'i'.charCodeAt(0));
-            ixmlView.setUint8(1, 'X'.charCodeAt(0));
-            ixmlView.setUint8(2, 'M'.charCodeAt(0));
-            ixmlView.setUint8(3, 'L'.charCodeAt(0));
-            ixmlView.setUint32(4, ixmlChunkSize, true);
-            ixmlChunk.set(ixmlBytes, 8);
-
-            chunks.push({ id: 'iXML', data: ixmlChunk });
+        if (adtlData) {
+            chunks.push({ id: 'LIST', data: adtlData });
         }
 
-        // Calculate total size
-        const totalDataSize = chunks.reduce((sum, chunk) => sum + chunk.data.byteLength, 0);
-        const newFileSize = 12 + totalDataSize;
-        const newBuffer = new Uint8Array(newFileSize);
-        const newView = new DataView(newBuffer.buffer);
-
-        // Write RIFF header
-        newView.setUint8(0, 'R'.charCodeAt(0));
-        newView.setUint8(1, 'I'.charCodeAt(0));
-        newView.setUint8(2, 'F'.charCodeAt(0));
-        newView.setUint8(3, 'F'.charCodeAt(0));
-        newView.setUint32(4, newFileSize - 8, true);
-        newView.setUint8(8, 'W'.charCodeAt(0));
-        newView.setUint8(9, 'A'.charCodeAt(0));
-        newView.setUint8(10, 'V'.charCodeAt(0));
-        newView.setUint8(11, 'E'.charCodeAt(0));
-
-        // Write all chunks
-        let writeOffset = 12;
-        for (const chunk of chunks) {
-            newBuffer.set(chunk.data, writeOffset);
-            writeOffset += chunk.data.byteLength;
-        }
+        const newFile = this.buildWavFile(chunks);
 
-        // Write to file
         const writable = await fileHandle.createWritable();
-        await writable.write(newBuffer);
+        await writable.write(newFile);
+        await writable.truncate(newFile.size);
         await writable.close();
-        
+
         console.log('Successfully updated cue markers in WAV file');
     }
 
@@ -1855,16 +3411,15 @@ export class MetadataHandler {
         const trackNames = [];
         if (!description) return trackNames;
 
-        // Match patterns like *TRK1=value where * is any character
-        // Patterns: sTRK1=, aTRK1=, zTRK1=, etc.
-        const trackPattern = /[a-zA-Z]TRK(\d+)=([^\r\n]*)/g;
-        let match;
+        // Keys like *TRK1 where * is the dialect prefix: sTRK1, aTRK1, zTRK1, etc.
+        const tags = this.parseDescriptionTags(description);
+        for (const [key, value] of Object.entries(tags)) {
+            const match = key.match(/^[a-zA-Z]TRK(\d+)$/);
+            if (!match) continue;
+            const trackNum = parseInt(match[1], 10);
+            const trackValue = value.trim();
 
-        while ((match = trackPattern.exec(description)) !== null) {
-            const trackNum = parseInt(match[1]);
-            const trackValue = match[2].trim();
-            
-            if (trackNum > 0 && trackValue) {
+            if (trackNum > 0 && trackValue && trackNames[trackNum - 1] === undefined) {
                 // Store at index (trackNum - 1) so TRK1 goes to index 0
                 trackNames[trackNum - 1] = trackValue;
             }
@@ -1874,183 +3429,442 @@ export class MetadataHandler {
     }
 
     /**
-     * Inject iXML chunk into WAV buffer (returns new buffer)
-     * Removes existing iXML chunk and injects the new one
-     * @param {ArrayBuffer} originalBuffer - Original WAV file buffer
-     * @param {string} ixmlString - iXML content as string
-     * @returns {ArrayBuffer} New WAV buffer with updated iXML
+     * Replace metadata chunks by patching the file at their offsets instead of rewriting it
+     * A chunk may grow into the filler chunks (JUNK/PAD/FLLR) directly after it; a chunk the
+     * file doesn't have yet may take over a standalone filler run. Leftover space is re-marked
+     * as JUNK, so the file size and the audio never change.
+     * @param {FileSystemFileHandle} fileHandle - File to patch
+     * @param {File} file - Current file contents
+     * @param {Array<{id: string, listType?: string, data: Uint8Array|null}>} replacements - New payloads
+     *        (null removes the chunk); LIST chunks are matched by listType
+     * @returns {Promise<boolean>} True if written, false if the new chunks don't fit in place
      */
-    injectIXMLChunk(originalBuffer, ixmlString) {
-        const view = new DataView(originalBuffer);
+    async writeChunksInPlace(fileHandle, file, replacements) {
+        const tree = await this.scanChunkTree(file);
+        if (tree.id === 'FORM') return false;
+        const children = tree.children;
+        if (children.some(c => c.invalid || c.truncated)) return false;
+
+        const chunkEnd = (c) => c.offset + 8 + c.size + (c.size % 2);
+        const isFiller = (c, i) => this.fillerChunkIds.includes(c.id) &&
+            !(i === 0 && c.size === 28); // keep the ds64 placeholder for RF64 conversion
+        const used = new Set();
+        const plans = [];
+
+        for (const replacement of replacements) {
+            const matches = children
+                .map((c, i) => ({ c, i }))
+                .filter(({ c }) => c.id === replacement.id &&
+                    (!replacement.listType || c.listType === replacement.listType));
+            if (matches.length > 1) return false;
+
+            const bytes = replacement.data
+                ? (replacement.data instanceof Uint8Array ? replacement.data : new Uint8Array(replacement.data))
+                : null;
+            const needed = bytes ? 8 + bytes.byteLength + (bytes.byteLength % 2) : 0;
+
+            let first;
+            let last;
+            if (matches.length === 1) {
+                // Existing chunk plus the filler run that follows it
+                first = last = matches[0].i;
+                while (last + 1 < children.length && isFiller(children[last + 1], last + 1) && !used.has(last + 1)) {
+                    last++;
+                }
+            } else if (bytes) {
+                // New chunk: the first standalone filler run that is big enough
+                for (let i = 0; i < children.length && first === undefined; i++) {
+                    if (!isFiller(children[i], i) || used.has(i)) continue;
+                    let j = i;
+                    while (j + 1 < children.length && isFiller(children[j + 1], j + 1) && !used.has(j + 1)) j++;
+                    const size = chunkEnd(children[j]) - children[i].offset;
+                    if (size === needed || size >= needed + 8) {
+                        first = i;
+                        last = j;
+                    }
+                    i = j;
+                }
+                if (first === undefined) return false;
+            } else {
+                continue; // Nothing to remove
+            }
+
+            const start = children[first].offset;
+            const regionSize = chunkEnd(children[last]) - start;
+            if (regionSize !== needed && regionSize < needed + 8) return false;
+            for (let i = first; i <= last; i++) used.add(i);
+            plans.push({ id: replacement.id, start, regionSize, bytes });
+        }
+
+        if (plans.length === 0) return true;
+
+        const writable = await fileHandle.createWritable({ keepExistingData: true });
+        try {
+            for (const plan of plans) {
+                const region = new Uint8Array(plan.regionSize);
+                const view = new DataView(region.buffer);
+                let offset = 0;
+                if (plan.bytes) {
+                    this.writeString(view, 0, plan.id);
+                    view.setUint32(4, plan.bytes.byteLength, true);
+                    region.set(plan.bytes, 8);
+                    offset = 8 + plan.bytes.byteLength + (plan.bytes.byteLength % 2);
+                }
+                if (offset < plan.regionSize) {
+                    this.writeString(view, offset, 'JUNK');
+                    view.setUint32(offset + 4, plan.regionSize - offset - 8, true);
+                }
+                console.log(`[writeChunksInPlace] ${plan.id} at ${plan.start} (${plan.regionSize} bytes)`);
+                await writable.write({ type: 'write', position: plan.start, data: region });
+            }
+        } finally {
+            await writable.close();
+        }
+        return true;
+    }
+
+    /**
+     * Whether a parsed WAV has filler chunks (JUNK/PAD/FLLR) that metadata can grow into in place
+     * The leading 28-byte JUNK is the ds64 placeholder and doesn't count.
+     * @param {Object} metadata - Metadata from parseWav (uses chunkList)
+     * @returns {boolean}
+     */
+    hasInPlaceRoom(metadata) {
+        return (metadata.chunkList || []).some((c, i) =>
+            this.fillerChunkIds.includes(c.id) && !(i === 0 && c.size === 28));
+    }
+
+    /**
+     * Save bEXT, iXML and LIST-INFO in place (see writeChunksInPlace)
+     * @param {FileSystemFileHandle} fileHandle - File to patch
+     * @param {File} file - Current file contents
+     * @param {Object} metadata - Metadata to write
+     * @returns {Promise<boolean>} True if saved in place, false if a full rewrite (saveWav) is needed
+     */
+    async saveWavInPlace(fileHandle, file, metadata) {
+        const infoData = this.createListInfoChunk(metadata.infoTags);
+        return this.writeChunksInPlace(fileHandle, file, [
+            { id: 'bext', data: this.createBextChunk(metadata) },
+            { id: 'iXML', data: this.createIXMLChunk(metadata) },
+            { id: 'LIST', listType: 'INFO', data: infoData ? new Uint8Array(infoData) : null }
+        ]);
+    }
+
+    /**
+     * Split a WAV/RF64 buffer into its chunks
+     * RF64 data sizes are taken from ds64; the ds64 chunk itself is dropped (buildWavFile rewrites it).
+     * @param {ArrayBuffer} buffer - WAV or RF64 file buffer
+     * @returns {Array<{id: string, data: Uint8Array}>} Chunk payloads (views into buffer, no headers)
+     */
+    readWavChunks(buffer) {
+        const view = new DataView(buffer);
+        const isRF64 = view.getUint32(0, false) === 0x52463634;
         const chunks = [];
+        let rf64DataSize = null;
         let offset = 12;
 
-        // Parse all chunks except iXML
-        while (offset < view.byteLength - 8) {
-            const chunkId = String.fromCharCode(
-                view.getUint8(offset),
-                view.getUint8(offset + 1),
-                view.getUint8(offset + 2),
-                view.getUint8(offset + 3)
-            );
-            const chunkSize = view.getUint32(offset + 4, true);
+        while (offset + 8 <= view.byteLength) {
+            const chunkId = this.getChunkId(view, offset);
+            let chunkSize = view.getUint32(offset + 4, true);
+
+            if (!this.isValidChunkId(chunkId)) {
+                console.log(`Invalid chunk at offset ${offset}: "${chunkId}", stopping chunk collection`);
+                break;
+            }
 
-            if (chunkId !== 'iXML') {
-                const chunkData = new Uint8Array(originalBuffer, offset, 8 + chunkSize + (chunkSize % 2));
-                chunks.push(chunkData);
+            if (chunkId === 'ds64') {
+                rf64DataSize = Number(view.getBigUint64(offset + 16, true));
+            } else {
+                if (chunkId === 'data' && isRF64 && chunkSize === 0xFFFFFFFF && rf64DataSize !== null) {
+                    chunkSize = rf64DataSize;
+                }
+                const available = Math.min(chunkSize, view.byteLength - offset - 8);
+                chunks.push({ id: chunkId, data: new Uint8Array(buffer, offset + 8, available) });
             }
 
             offset += 8 + chunkSize;
             if (chunkSize % 2 !== 0) offset++;
         }
 
-        // Create new iXML chunk
-        const ixmlBytes = new TextEncoder().encode(ixmlString);
-        const ixmlChunkSize = ixmlBytes.length;
-        const ixmlChunk = new Uint8Array(8 + ixmlChunkSize + (ixmlChunkSize % 2));
-        const ixmlView = new DataView(ixmlChunk.buffer);
+        return chunks;
+    }
+
+    /**
+     * Assemble a WAV file from chunks, promoting to RF64 (EBU Tech 3306) when it exceeds 4 GB
+     * The Blob is made of the headers plus the payloads themselves, so large audio is never
+     * copied into one more file-sized buffer.
+     * @param {Array<{id: string, data: ArrayBuffer|Uint8Array}>} chunks - Chunk payloads in file order
+     * @param {Object} options
+     * @param {boolean} options.forceRF64 - Write RF64 even if the file would fit in RIFF
+     * @param {number} options.padding - JUNK bytes to reserve after iXML (existing filler chunks are replaced)
+     * @returns {Blob} Complete file
+     */
+    buildWavFile(chunks, { forceRF64 = false, padding = this.metadataPadding } = {}) {
+        const MAX_RIFF_SIZE = 0xFFFFFFFF;
+        let payloads = chunks
+            .filter(c => c.id !== 'ds64')
+            .map(c => ({ id: c.id, bytes: c.data instanceof Uint8Array ? c.data : new Uint8Array(c.data) }));
+
+        // A leading 28-byte JUNK is the ds64 placeholder for an in-place RF64 conversion
+        const placeholder = payloads[0]?.id === 'JUNK' && payloads[0].bytes.byteLength === 28 ? payloads[0] : null;
+
+        // Reserve room after iXML so later metadata edits can be written in place
+        const lastIXML = payloads.map(c => c.id).lastIndexOf('iXML');
+        if (padding > 0 && lastIXML !== -1) {
+            const junk = { id: 'JUNK', bytes: new Uint8Array(padding + (padding % 2)) };
+            payloads.splice(lastIXML + 1, 0, junk);
+            payloads = payloads.filter(c => c === junk || c === placeholder || !this.fillerChunkIds.includes(c.id));
+        }
 
-        ixmlView.setUint8(0, 'i'.charCodeAt(0));
-        ixmlView.setUint8(1, 'X'.charCodeAt(0));
-        ixmlView.setUint8(2, 'M'.charCodeAt(0));
-        ixmlView.setUint8(3, 'L'.charCodeAt(0));
-        ixmlView.setUint32(4, ixmlChunkSize, true);
-        ixmlChunk.set(ixmlBytes, 8);
+        let bodySize = 4; // "WAVE"
+        for (const chunk of payloads) {
+            bodySize += 8 + chunk.bytes.byteLength + (chunk.bytes.byteLength % 2);
+        }
 
-        chunks.push(ixmlChunk);
+        const isRF64 = forceRF64 || bodySize > MAX_RIFF_SIZE ||
+            payloads.some(c => c.bytes.byteLength > MAX_RIFF_SIZE);
+        if (isRF64) {
+            bodySize += 8 + 28; // ds64 chunk
+            // ds64 takes the placeholder's place
+            if (placeholder) {
+                payloads = payloads.filter(c => c !== placeholder);
+                bodySize -= 8 + 28;
+            }
+        }
 
-        // Calculate total size
-        const totalDataSize = chunks.reduce((sum, chunk) => sum + chunk.byteLength, 0);
-        const newFileSize = 12 + totalDataSize;
-        const newBuffer = new Uint8Array(newFileSize);
-        const newView = new DataView(newBuffer.buffer);
+        const header = new Uint8Array(isRF64 ? 48 : 12);
+        const headerView = new DataView(header.buffer);
+        this.writeString(headerView, 0, isRF64 ? 'RF64' : 'RIFF');
+        headerView.setUint32(4, isRF64 ? MAX_RIFF_SIZE : bodySize, true);
+        this.writeString(headerView, 8, 'WAVE');
+
+        if (isRF64) {
+            // ds64: RIFF size, data size, sample count (64-bit each), table length
+            const dataChunk = payloads.find(c => c.id === 'data');
+            const fmtChunk = payloads.find(c => c.id === 'fmt ');
+            const dataSize = dataChunk ? dataChunk.bytes.byteLength : 0;
+            const blockAlign = fmtChunk && fmtChunk.bytes.byteLength >= 14
+                ? new DataView(fmtChunk.bytes.buffer, fmtChunk.bytes.byteOffset, fmtChunk.bytes.byteLength).getUint16(12, true)
+                : 0;
+
+            this.writeString(headerView, 12, 'ds64');
+            headerView.setUint32(16, 28, true);
+            headerView.setBigUint64(20, BigInt(bodySize), true);
+            headerView.setBigUint64(28, BigInt(dataSize), true);
+            headerView.setBigUint64(36, BigInt(blockAlign > 0 ? Math.floor(dataSize / blockAlign) : 0), true);
+            headerView.setUint32(44, 0, true);
+            console.log(`[buildWavFile] Writing RF64 (${bodySize + 8} bytes, data ${dataSize} bytes)`);
+        }
 
-        // Write RIFF header
-        newView.setUint8(0, 'R'.charCodeAt(0));
-        newView.setUint8(1, 'I'.charCodeAt(0));
-        newView.setUint8(2, 'F'.charCodeAt(0));
-        newView.setUint8(3, 'F'.charCodeAt(0));
-        newView.setUint32(4, newFileSize - 8, true);
-        newView.setUint8(8, 'W'.charCodeAt(0));
-        newView.setUint8(9, 'A'.charCodeAt(0));
-        newView.setUint8(10, 'V'.charCodeAt(0));
-        newView.setUint8(11, 'E'.charCodeAt(0));
-
-        // Write all chunks
-        let writeOffset = 12;
-        for (const chunk of chunks) {
-            newBuffer.set(chunk, writeOffset);
-            writeOffset += chunk.byteLength;
+        const parts = [header];
+        const padByte = new Uint8Array(1);
+        for (const chunk of payloads) {
+            const size = chunk.bytes.byteLength;
+            const chunkHeader = new Uint8Array(8);
+            const chunkHeaderView = new DataView(chunkHeader.buffer);
+            this.writeString(chunkHeaderView, 0, chunk.id);
+            // In RF64 the real data size lives in ds64
+            chunkHeaderView.setUint32(4, isRF64 && chunk.id === 'data' ? MAX_RIFF_SIZE : size, true);
+            parts.push(chunkHeader, chunk.bytes);
+            if (size % 2 !== 0) parts.push(padByte);
         }
 
-        return newBuffer.buffer;
+        return new Blob(parts, { type: 'audio/wav' });
     }
 
     /**
-     * Inject bEXT chunk into WAV buffer (returns new buffer)
-     * Removes existing bext chunk and injects the new one
-     * @param {ArrayBuffer} originalBuffer - Original WAV file buffer
-     * @param {Object} bextData - bEXT metadata object with fields
-     * @returns {ArrayBuffer} New WAV buffer with updated bEXT
+     * Build the bext, iXML and LIST-INFO chunks for metadata (LIST-INFO only when there are tags)
+     * @param {Object} metadata - File metadata
+     * @returns {Array<{id: string, data: ArrayBuffer}>} Chunks for buildWavFile
      */
-    injectBextChunk(originalBuffer, bextData) {
-        const view = new DataView(originalBuffer);
-        const chunks = [];
-        let offset = 12;
+    createMetadataChunks(metadata) {
+        const chunks = [
+            { id: 'bext', data: this.createBextChunk(metadata) },
+            { id: 'iXML', data: this.createIXMLChunk(metadata) }
+        ];
+        const infoData = this.createListInfoChunk(metadata.infoTags);
+        if (infoData) {
+            chunks.push({ id: 'LIST', data: infoData });
+        }
+        return chunks;
+    }
 
-        // Parse all chunks except bext
-        while (offset < view.byteLength - 8) {
-            const chunkId = String.fromCharCode(
-                view.getUint8(offset),
-                view.getUint8(offset + 1),
-                view.getUint8(offset + 2),
-                view.getUint8(offset + 3)
-            );
-            const chunkSize = view.getUint32(offset + 4, true);
+    /**
+     * Convert between RIFF WAV and RF64
+     * @param {ArrayBuffer} buffer - WAV or RF64 file
+     * @param {string} target - 'RF64' or 'RIFF'
+     * @returns {Blob} Converted file
+     */
+    convertWavContainer(buffer, target) {
+        const chunks = this.readWavChunks(buffer).filter(c => c.id !== 'JUNK');
+        const result = this.buildWavFile(chunks, { forceRF64: target === 'RF64' });
+        if (target === 'RIFF' && result.size - 8 > 0xFFFFFFFF) {
+            throw new Error('File is larger than 4 GB and must stay RF64');
+        }
+        return result;
+    }
 
-            if (chunkId !== 'bext') {
-                const chunkData = new Uint8Array(originalBuffer, offset, 8 + chunkSize + (chunkSize % 2));
-                chunks.push(chunkData);
+    /**
+     * Switch a file between RIFF and RF64 by patching its header in place
+     * Only possible when the first chunk is a 28-byte JUNK/ds64 placeholder (EBU Tech 3306 layout),
+     * so the audio never has to be rewritten.
+     * @param {FileSystemFileHandle} fileHandle - File to patch
+     * @param {File} file - Current file contents
+     * @param {string} target - 'RF64' or 'RIFF'
+     * @returns {Promise<boolean>} True if patched, false if the layout doesn't allow it
+     */
+    async convertWavContainerInPlace(fileHandle, file, target) {
+        const header = new DataView(await file.slice(0, 12 + 36 + 4096).arrayBuffer());
+        const rootId = this.getChunkId(header, 0);
+        const firstId = this.getChunkId(header, 12);
+        const firstSize = header.getUint32(16, true);
+        if (firstSize !== 28 || (firstId !== 'JUNK' && firstId !== 'ds64')) return false;
+
+        // Locate fmt (block align) and the data chunk header
+        let offset = 48;
+        let dataHeaderOffset = null;
+        let dataSize = null;
+        let blockAlign = 0;
+        while (offset + 8 <= header.byteLength) {
+            const chunkId = this.getChunkId(header, offset);
+            const chunkSize = header.getUint32(offset + 4, true);
+            if (chunkId === 'fmt ') {
+                blockAlign = header.getUint16(offset + 20, true);
+            } else if (chunkId === 'data') {
+                dataHeaderOffset = offset;
+                dataSize = chunkSize === 0xFFFFFFFF && firstId === 'ds64'
+                    ? Number(header.getBigUint64(28, true))
+                    : chunkSize;
+                break;
             }
-
-            offset += 8 + chunkSize;
-            if (chunkSize % 2 !== 0) offset++;
+            offset += 8 + chunkSize + (chunkSize % 2);
+        }
+        if (dataHeaderOffset === null) return false;
+
+        const fileSize = file.size;
+        const patch = new Uint8Array(36);
+        const patchView = new DataView(patch.buffer);
+        const dataSizeField = new DataView(new ArrayBuffer(4));
+
+        if (target === 'RF64') {
+            if (rootId === 'RF64') return true;
+            this.writeString(patchView, 0, 'ds64');
+            patchView.setUint32(4, 28, true);
+            patchView.setBigUint64(8, BigInt(fileSize - 8), true);
+            patchView.setBigUint64(16, BigInt(dataSize), true);
+            patchView.setBigUint64(24, BigInt(blockAlign > 0 ? Math.floor(dataSize / blockAlign) : 0), true);
+            dataSizeField.setUint32(0, 0xFFFFFFFF, true);
+        } else {
+            if (rootId === 'RIFF') return true;
+            if (fileSize - 8 > 0xFFFFFFFF || dataSize > 0xFFFFFFFF) {
+                throw new Error('File is larger than 4 GB and must stay RF64');
+            }
+            this.writeString(patchView, 0, 'JUNK');
+            patchView.setUint32(4, 28, true);
+            dataSizeField.setUint32(0, dataSize, true);
         }
 
-        // Create new bEXT chunk (minimum size is 602 bytes)
-        const bextChunk = new Uint8Array(610); // 8 header + 602 data
-        const bextView = new DataView(bextChunk.buffer);
+        const rootHeader = new Uint8Array(8);
+        const rootView = new DataView(rootHeader.buffer);
+        this.writeString(rootView, 0, target === 'RF64' ? 'RF64' : 'RIFF');
+        rootView.setUint32(4, target === 'RF64' ? 0xFFFFFFFF : fileSize - 8, true);
+
+        const writable = await fileHandle.createWritable({ keepExistingData: true });
+        await writable.write({ type: 'write', position: 0, data: rootHeader });
+        await writable.write({ type: 'write', position: 12, data: patch });
+        await writable.write({ type: 'write', position: dataHeaderOffset + 4, data: new Uint8Array(dataSizeField.buffer) });
+        await writable.close();
+        return true;
+    }
 
-        // Chunk ID and size
-        bextView.setUint8(0, 'b'.charCodeAt(0));
-        bextView.setUint8(1, 'e'.charCodeAt(0));
-        bextView.setUint8(2, 'x'.charCodeAt(0));
-        bextView.setUint8(3, 't'.charCodeAt(0));
-        bextView.setUint32(4, 602, true);
+    /**
+     * Inject iXML chunk into WAV buffer (returns a new file)
+     * Removes existing iXML chunk and injects the new one
+     * @param {ArrayBuffer} originalBuffer - Original WAV file buffer
+     * @param {string} ixmlString - iXML content as string
+     * @returns {Blob} New WAV file with updated iXML
+     */
+    injectIXMLChunk(originalBuffer, ixmlString) {
+        const chunks = this.readWavChunks(originalBuffer).filter(c => c.id !== 'iXML');
+        chunks.push({ id: 'iXML', data: new TextEncoder().encode(ixmlString) });
+        return this.buildWavFile(chunks);
+    }
 
+    /**
+     * Build a minimal 602-byte bEXT payload (no UMID, loudness or coding history)
+     * @param {Object} bextData - description, originator, originatorReference,
+     *        originationDate, originationTime and timeReference
+     * @returns {Uint8Array} bEXT chunk data without the chunk header
+     */
+    createBasicBextChunk(bextData) {
+        const bextChunk = new Uint8Array(602);
+        const bextView = new DataView(bextChunk.buffer);
         const encoder = new TextEncoder();
 
         // Description (256 bytes)
         if (bextData.description) {
-            const descBytes = encoder.encode(bextData.description.substring(0, 255));
-            bextChunk.set(descBytes, 8);
+            bextChunk.set(encoder.encode(bextData.description.substring(0, 255)), 0);
         }
 
         // Originator (32 bytes)
         if (bextData.originator) {
-            const origBytes = encoder.encode(bextData.originator.substring(0, 31));
-            bextChunk.set(origBytes, 8 + 256);
+            bextChunk.set(encoder.encode(bextData.originator.substring(0, 31)), 256);
         }
 
         // Originator Reference (32 bytes)
         if (bextData.originatorReference) {
-            const origRefBytes = encoder.encode(bextData.originatorReference.substring(0, 31));
-            bextChunk.set(origRefBytes, 8 + 256 + 32);
+            bextChunk.set(encoder.encode(bextData.originatorReference.substring(0, 31)), 256 + 32);
         }
 
         // Origination Date (10 bytes, YYYY-MM-DD)
         if (bextData.originationDate) {
-            const dateBytes = encoder.encode(bextData.originationDate.substring(0, 10));
-            bextChunk.set(dateBytes, 8 + 256 + 32 + 32);
+            bextChunk.set(encoder.encode(bextData.originationDate.substring(0, 10)), 256 + 32 + 32);
         }
 
         // Origination Time (8 bytes, HH:MM:SS)
         if (bextData.originationTime) {
-            const timeBytes = encoder.encode(bextData.originationTime.substring(0, 8));
-            bextChunk.set(timeBytes, 8 + 256 + 32 + 32 + 10);
+            bextChunk.set(encoder.encode(bextData.originationTime.substring(0, 8)), 256 + 32 + 32 + 10);
         }
 
         // Time Reference (8 bytes, 64-bit unsigned int)
-        const timeRef = bextData.timeReference || 0;
-        bextView.setBigUint64(8 + 256 + 32 + 32 + 10 + 8, BigInt(timeRef), true);
+        bextView.setBigUint64(256 + 32 + 32 + 10 + 8, BigInt(bextData.timeReference || 0), true);
 
-        chunks.push(bextChunk);
+        return bextChunk;
+    }
 
-        // Calculate total size
-        const totalDataSize = chunks.reduce((sum, chunk) => sum + chunk.byteLength, 0);
-        const newFileSize = 12 + totalDataSize;
-        const newBuffer = new Uint8Array(newFileSize);
-        const newView = new DataView(newBuffer.buffer);
+    /**
+     * Inject bEXT chunk into WAV buffer (returns a new file)
+     * Removes existing bext chunk and injects the new one
+     * @param {ArrayBuffer} originalBuffer - Original WAV file buffer
+     * @param {Object} bextData - bEXT metadata object with fields
+     * @returns {Blob} New WAV file with updated bEXT
+     */
+    injectBextChunk(originalBuffer, bextData) {
+        const chunks = this.readWavChunks(originalBuffer).filter(c => c.id !== 'bext');
+        chunks.push({ id: 'bext', data: this.createBasicBextChunk(bextData) });
 
-        // Write RIFF header
-        newView.setUint8(0, 'R'.charCodeAt(0));
-        newView.setUint8(1, 'I'.charCodeAt(0));
-        newView.setUint8(2, 'F'.charCodeAt(0));
-        newView.setUint8(3, 'F'.charCodeAt(0));
-        newView.setUint32(4, newFileSize - 8, true);
-        newView.setUint8(8, 'W'.charCodeAt(0));
-        newView.setUint8(9, 'A'.charCodeAt(0));
-        newView.setUint8(10, 'V'.charCodeAt(0));
-        newView.setUint8(11, 'E'.charCodeAt(0));
-
-        // Write all chunks
-        let writeOffset = 12;
-        for (const chunk of chunks) {
-            newBuffer.set(chunk, writeOffset);
-            writeOffset += chunk.byteLength;
+        return this.buildWavFile(chunks);
+    }
+
+    /**
+     * Inject LIST-INFO chunk into WAV buffer (returns a new file)
+     * Removes any existing LIST-INFO chunk; other LIST types are kept
+     * @param {ArrayBuffer} originalBuffer - Original WAV file buffer
+     * @param {Object} infoTags - Tags keyed by four-character ID (INAM, IART, ICMT, ...)
+     * @returns {Blob} New WAV file with updated LIST-INFO
+     */
+    injectListInfoChunk(originalBuffer, infoTags) {
+        const infoData = this.createListInfoChunk(infoTags);
+
+        // Drop any existing LIST-INFO; other LIST types are kept
+        const chunks = this.readWavChunks(originalBuffer).filter(c =>
+            !(c.id === 'LIST' && c.data.byteLength >= 4 && this.textDecoder.decode(c.data.subarray(0, 4)) === 'INFO'));
+
+        if (infoData) {
+            chunks.push({ id: 'LIST', data: infoData });
         }
 
-        return newBuffer.buffer;
+        return this.buildWavFile(chunks);
     }
 
     /**
@@ -2078,6 +3892,9 @@ export class MetadataHandler {
                 // Keep only the track for this channel
                 const tracks = trackList.querySelectorAll('TRACK');
                 if (tracks[channelIndex]) {
+                    const trackFunction = tracks[channelIndex].querySelector('FUNCTION')?.textContent;
+                    const trackEnabled = tracks[channelIndex].querySelector('ENABLED')?.textContent;
+
                     // Remove all tracks
                     tracks.forEach(track => track.remove());
                     
@@ -2093,6 +3910,16 @@ export class MetadataHandler {
                     singleTrack.appendChild(channelIndexEl);
                     singleTrack.appendChild(interleaveIndexEl);
                     singleTrack.appendChild(nameEl);
+                    if (trackFunction) {
+                        const functionEl = xmlDoc.createElement('FUNCTION');
+                        functionEl.textContent = trackFunction;
+                        singleTrack.appendChild(functionEl);
+                    }
+                    if (trackEnabled) {
+                        const enabledEl = xmlDoc.createElement('ENABLED');
+                        enabledEl.textContent = trackEnabled;
+                        singleTrack.appendChild(enabledEl);
+                    }
                     trackList.appendChild(singleTrack);
                 }
             }
@@ -2185,6 +4012,9 @@ export class MetadataHandler {
             const timeRef = (BigInt(timeRefHigh) << 32n) | BigInt(timeRefLow);
 
             const version = view.getUint16(chunkOffset + 346, true);
+            const chunkSize = bextInfo.view ? view.getUint32(bextInfo.offset + 4, true) : view.byteLength;
+            const extended = this.parseBextExtendedFields(view, chunkOffset, chunkSize);
+            const formatLoudness = (value, unit) => value === null ? 'Not set' : `${value.toFixed(2)} ${unit}`;
 
             // Format output
             let output = `Description: ${description}\n`;
@@ -2194,13 +4024,19 @@ export class MetadataHandler {
             output += `Origination Time: ${time}\n`;
             output += `Time Reference: ${timeRef.toString()} samples\n`;
             output += `Version: ${version}\n`;
+            output += `UMID: ${extended.umid || 'Not set'}\n`;
+
+            if (version >= 2) {
+                output += `\nLoudness Value: ${formatLoudness(extended.loudnessValue, 'LUFS')}\n`;
+                output += `Loudness Range: ${formatLoudness(extended.loudnessRange, 'LU')}\n`;
+                output += `Max True Peak Level: ${formatLoudness(extended.maxTruePeakLevel, 'dBTP')}\n`;
+                output += `Max Momentary Loudness: ${formatLoudness(extended.maxMomentaryLoudness, 'LUFS')}\n`;
+                output += `Max Short-Term Loudness: ${formatLoudness(extended.maxShortTermLoudness, 'LUFS')}\n`;
+            }
 
             // Coding History
-            if (chunkOffset + 602 < view.byteLength) {
-                const history = readStr(chunkOffset + 602, Math.min(1000, view.byteLength - chunkOffset - 602));
-                if (history) {
-                    output += `\nCoding History:\n${history}`;
-                }
+            if (extended.codingHistory) {
+                output += `\nCoding History:\n${extended.codingHistory}`;
             }
 
             return output;
@@ -187,6 +187,7 @@ class RenameManager {
             if (targetItem.handle && targetItem.handle.move) {
                 await targetItem.handle.move(newName);
                 targetItem.metadata.filename = newName;
+                await this.recordOriginalFilename(targetItem, originalName);
                 targetItem.file = await targetItem.handle.getFile();
                 return { success: true, newName };
             } else {
@@ -202,6 +203,24 @@ class RenameManager {
         }
     }
 
+    /**
+     * Keep the name a file had before its first rename as iXML HISTORY ORIGINAL_FILENAME
+     * @param {Object} targetItem - Renamed file item
+     * @param {string} originalName - Filename before the rename
+     */
+    async recordOriginalFilename(targetItem, originalName) {
+        const metadata = targetItem.metadata;
+        if (!this.app.isWavItem(targetItem) || metadata.history?.originalFilename) return;
+
+        const history = { ...(metadata.history || {}), originalFilename: originalName };
+        try {
+            metadata.ixmlRaw = await this.app.metadataHandler.writeHistoryToFile(targetItem.handle, metadata, { history });
+            metadata.history = history;
+        } catch (err) {
+            console.warn(`Could not record original filename for ${metadata.filename}:`, err);
+        }
+    }
+
     /**
      * Apply rename to selected files (for Dedicated Rename Modal)
      * @param {Array<number>} selectedIndices - Array of file indices
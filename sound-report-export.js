@@ -14,7 +14,10 @@ function getSoundReportHeaderValues() {
 
 // Utility: get take list data (sorted, with max track count)
 function getSoundReportTakeListData() {
-  const files = [...(window.app?.files || [])];
+  const excludeNoGood = document.getElementById('report-exclude-no-good')?.checked;
+  const selectedOnly = document.getElementById('report-selected-only')?.checked;
+  const files = (window.app?.files || []).filter((f, i) =>
+    !(excludeNoGood && f.metadata.noGood) && !(selectedOnly && !window.app.selectedIndices.has(i)));
   files.sort((a, b) => {
     const tcA = a.metadata.tcStart || '';
     const tcB = b.metadata.tcStart || '';
@@ -48,13 +51,13 @@ async function exportSoundReportCSV() {
   csv += '\n';
   
   // Add take list table header
-  csv += ['Filename','Scene','Take','TC Start','Duration']
+  csv += ['Filename','Scene','Take','Circled','TC Start','Duration']
     .concat(Array.from({length:maxTracks},(_,i)=>`Track ${i+1}`)).concat(['Notes']).join(',') + '\n';
   
   // Add take list rows
   for (const file of files) {
     const md = file.metadata;
-    const row = [md.filename||'',md.scene||'',md.take||'',md.tcStart||'',md.duration||''];
+    const row = [md.filename||'',md.scene||'',md.take||'',md.circled?'Yes':'',md.tcStart||'',md.duration||''];
     const tracks = md.trackNames||[];
     for (let i=0;i<maxTracks;i++) row.push(tracks[i]||'');
     row.push(md.notes||'');
@@ -72,6 +75,150 @@ async function exportSoundReportCSV() {
   window.app?.showToast('Sound Report exported successfully', 'success', 3000);
 }
 
+// ALE Export (Avid Log Exchange: tab-delimited Heading, Column and Data blocks)
+function aleFps(fpsExact) {
+  const fps = fpsExact.numerator / fpsExact.denominator;
+  // NTSC rates (numerator/1000 of 24, 30, 48, 60 over 1001) read 23.976, 29.97, 47.952, 59.94
+  if (fpsExact.denominator === 1001 && fpsExact.numerator % 1000 === 0) return String(Number(fps.toFixed(3)));
+  return String(Math.round(fps * 1000) / 1000);
+}
+
+function exportSoundReportALE() {
+  const { files } = getSoundReportTakeListData();
+  if (files.length === 0) { alert('There are no files to export.'); return; }
+  const app = window.app;
+  const clean = v => String(v ?? '').replace(/[\t\r\n]+/g, ' ').trim();
+  const defaultFps = { numerator: 24, denominator: 1 };
+
+  // Heading FPS and audio format come from the first file; each row's timecode uses its own fps
+  const first = files[0].metadata;
+  const headingFps = aleFps(first.fpsExact || defaultFps);
+  const mixedFps = files.some(f => aleFps(f.metadata.fpsExact || defaultFps) !== headingFps);
+  const lines = [
+    'Heading',
+    'FIELD_DELIM\tTABS',
+    'VIDEO_FORMAT\t1080',
+    `AUDIO_FORMAT\t${first.sampleRate ? Math.round(first.sampleRate / 1000) : 48}khz`,
+    `FPS\t${headingFps}`,
+    '',
+    'Column',
+    ['Name','Tape','Scene','Take','Start','End','Tracks','Comments','Circled'].join('\t'),
+    '',
+    'Data'
+  ];
+
+  for (const file of files) {
+    const md = file.metadata;
+    const fpsExact = md.fpsExact || defaultFps;
+    const start = md.tcStart || app.metadataHandler.samplesToTC(0, md.sampleRate || 48000, fpsExact);
+    const end = md.durationSec ? app.calculateEndTC({ ...md, tcStart: start }) : start;
+    const channels = file.isGroup ? file.siblings.reduce((n, s) => n + (s.metadata.channels || 1), 0) : (md.channels || 1);
+    const tracks = Array.from({length:channels},(_,i)=>`A${i+1}`).join('');
+    const comments = [md.notes, (md.trackNames||[]).filter(Boolean).join(', ')].filter(Boolean).join(' | ');
+    lines.push([
+      (md.filename||'').replace(/\.[^.]+$/, ''), md.tape, md.scene, md.take, start, end, tracks, comments, md.circled ? 'Y' : ''
+    ].map(clean).join('\t'));
+  }
+
+  const blob = new Blob([lines.join('\r\n') + '\r\n'], {type:'text/plain'});
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = 'SoundReport.ale';
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  window.app?.showToast(mixedFps
+    ? `ALE exported (files use different frame rates; heading FPS is ${headingFps})`
+    : 'ALE exported successfully', mixedFps ? 'warning' : 'success', 3000);
+}
+
+// EDL Export (CMX3600): one event per take, or per cue marker range of the loaded file
+function edlReel(md) {
+  // CMX3600 reels are at most 8 characters: tape name, else the filename without extension
+  const reel = (md.tape || (md.filename || '').replace(/\.[^.]+$/, '') || 'AX').toUpperCase().replace(/[^A-Z0-9_]/g, '');
+  return (reel || 'AX').substring(0, 8);
+}
+
+function exportSoundReportEDL(mode) {
+  const app = window.app;
+  const mh = app.metadataHandler;
+  const defaultFps = { numerator: 24, denominator: 1 };
+  const fpsOf = md => md.fpsExact || defaultFps;
+  // Source positions are counted in frames of the file's own rate, so TC labels survive unchanged
+  const toFrames = (seconds, fps) => Math.round(seconds * fps.numerator / fps.denominator);
+  const startFrames = md => md.tcStart
+    ? mh.tcToFrames(md.tcStart, fpsOf(md))
+    : toFrames((md.timeReference || 0) / (mh.timecodeSampleRate(md) || 48000), fpsOf(md));
+  // Seconds of timecode elapsed after `time` seconds of audio (differs for pull-up/down files)
+  const tcSeconds = (md, time) => time * md.sampleRate / mh.timecodeSampleRate(md);
+  const clean = text => String(text).replace(/[\t\r\n]+/g, ' ').trim();
+  const sources = []; // { md, inFrames, outFrames, multi, locs: [{ seconds, label }] }
+
+  if (mode === 'markers') {
+    const item = app.files[app.currentlyLoadedFileIndex];
+    const markers = item ? app.cueMarkers.getAllSorted() : [];
+    if (markers.length === 0 || !item.metadata.sampleRate) { alert('Load a file with cue markers to export marker ranges.'); return; }
+    const md = item.metadata;
+    const start = startFrames(md);
+    markers.forEach((marker, i) => {
+      const inTime = tcSeconds(md, marker.time);
+      const outTime = tcSeconds(md, i + 1 < markers.length ? markers[i + 1].time : (md.durationSec || 0));
+      const inFrames = start + toFrames(inTime, fpsOf(md));
+      const outFrames = start + toFrames(outTime, fpsOf(md));
+      if (outFrames <= inFrames) return;
+      sources.push({ md, inFrames, outFrames, multi: item.isGroup || md.channels > 1,
+        locs: [{ seconds: 0, label: marker.label || `Marker ${i + 1}` }] });
+    });
+  } else {
+    const { files } = getSoundReportTakeListData();
+    const loaded = app.files[app.currentlyLoadedFileIndex];
+    for (const file of files) {
+      const md = file.metadata;
+      if (!md.sampleRate) continue;
+      const start = startFrames(md);
+      // The loaded file's cue markers become LOC comments on its event
+      const locs = (file === loaded ? app.cueMarkers.getAllSorted() : []).map((marker, i) => ({
+        seconds: tcSeconds(md, marker.time), label: marker.label || `Marker ${i + 1}`
+      }));
+      sources.push({ md, inFrames: start, outFrames: start + Math.max(1, toFrames(tcSeconds(md, md.durationSec || 0), fpsOf(md))),
+        multi: file.isGroup || md.channels > 1, locs });
+    }
+  }
+  if (sources.length === 0) { alert('There are no files to export.'); return; }
+
+  // Record side runs from 01:00:00:00 at the first source's frame rate
+  const edlFps = fpsOf(sources[0].md);
+  let recFrames = mh.tcToFrames('01:00:00:00', edlFps);
+
+  const title = clean(sources[0].md.project || 'SOUND REPORT').toUpperCase();
+  const lines = [`TITLE: ${title}`, `FCM: ${mh.isDropFrame(edlFps) ? 'DROP FRAME' : 'NON-DROP FRAME'}`, ''];
+  sources.forEach((src, i) => {
+    const srcFps = fpsOf(src.md);
+    const recIn = recFrames;
+    const recOut = recIn + Math.max(1, toFrames((src.outFrames - src.inFrames) * srcFps.denominator / srcFps.numerator, edlFps));
+    lines.push(`${String(i + 1).padStart(3, '0')}  ${edlReel(src.md).padEnd(8)} ${(src.multi ? 'AA' : 'A').padEnd(5)} C        ` +
+      `${mh.framesToTC(src.inFrames, srcFps)} ${mh.framesToTC(src.outFrames, srcFps)} ${mh.framesToTC(recIn, edlFps)} ${mh.framesToTC(recOut, edlFps)}`);
+    lines.push(`* FROM CLIP NAME: ${clean(src.md.filename || '')}`);
+    const comment = clean([src.md.scene && `SC ${src.md.scene}`, src.md.take && `TK ${src.md.take}`,
+      src.md.circled && 'CIRCLED', src.md.notes].filter(Boolean).join(' '));
+    if (comment) lines.push(`* COMMENT: ${comment}`);
+    src.locs.forEach(loc => {
+      lines.push(`* LOC: ${mh.framesToTC(recIn + toFrames(loc.seconds, edlFps), edlFps)} YELLOW  ${clean(loc.label)}`);
+    });
+    lines.push('');
+    recFrames = recOut;
+  });
+
+  const blob = new Blob([lines.join('\r\n')], {type:'text/plain'});
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = mode === 'markers' ? 'Markers.edl' : 'SoundReport.edl';
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  window.app?.showToast(`EDL exported with ${sources.length} event${sources.length > 1 ? 's' : ''}`, 'success', 3000);
+}
+
 // PDF Export (striped rows, logo, header, table)
 async function exportSoundReportPDF() {
   if (!window.jspdf) { alert('jsPDF not loaded'); return; }
@@ -153,7 +300,10 @@ async function exportSoundReportPDF() {
     if (!notesSeperateLine) {
       vals.push(md.notes||'');
     }
+    // Circled takes in bold
+    doc.setFont(undefined, md.circled ? 'bold' : 'normal');
     vals.forEach((v,j)=>{ doc.setTextColor(30,30,30); doc.text(String(v), x+4, tableY+14, {maxWidth:colWidths[j]-8}); x+=colWidths[j]; });
+    doc.setFont(undefined, 'normal');
     tableY += 20;
     
     // Notes on separate line if enabled
@@ -204,6 +354,10 @@ function setupSoundReportExport() {
     const format = document.querySelector('input[name="report-export-format"]:checked')?.value || 'csv';
     if (format === 'pdf') {
       exportSoundReportPDF();
+    } else if (format === 'ale') {
+      exportSoundReportALE();
+    } else if (format === 'edl' || format === 'edl-markers') {
+      exportSoundReportEDL(format === 'edl-markers' ? 'markers' : 'takes');
     } else {
       exportSoundReportCSV();
     }
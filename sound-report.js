@@ -64,7 +64,10 @@ function renderSoundReportTakeListTable() {
   if (!container || !window.app || !window.app.files) return;
   // Always show notes and track names columns, and always include them in the table
   // Clone and sort files by TC Start (ascending)
-  const files = [...window.app.files];
+  const excludeNoGood = document.getElementById('report-exclude-no-good')?.checked;
+  const selectedOnly = document.getElementById('report-selected-only')?.checked;
+  const files = window.app.files.filter((f, i) =>
+    !(excludeNoGood && f.metadata.noGood) && !(selectedOnly && !window.app.selectedIndices.has(i)));
   files.sort((a, b) => {
     const tcA = a.metadata.tcStart || '';
     const tcB = b.metadata.tcStart || '';
@@ -80,7 +83,8 @@ function renderSoundReportTakeListTable() {
   html += '<th>Notes</th></tr></thead><tbody>';
   for (const file of files) {
     const md = file.metadata;
-    html += '<tr>';
+    // Circled takes are shown in bold
+    html += md.circled ? '<tr class="report-circled">' : '<tr>';
     html += `<td>${md.filename || ''}</td>`;
     html += `<td>${md.scene || ''}</td>`;
     html += `<td>${md.take || ''}</td>`;
@@ -101,6 +105,10 @@ function renderSoundReportTakeListTable() {
 function setupReportTakeListToggles() {
   const notesToggle = document.getElementById('report-notes-newline');
   const tracksToggle = document.getElementById('report-tracks-newline');
+  const noGoodToggle = document.getElementById('report-exclude-no-good');
+  const selectedOnlyToggle = document.getElementById('report-selected-only');
+  if (noGoodToggle) noGoodToggle.addEventListener('change', renderSoundReportTakeListTable);
+  if (selectedOnlyToggle) selectedOnlyToggle.addEventListener('change', renderSoundReportTakeListTable);
   if (notesToggle) notesToggle.addEventListener('change', renderSoundReportTakeListTable);
   if (tracksToggle) tracksToggle.addEventListener('change', renderSoundReportTakeListTable);
 }
@@ -1,4 +1,4 @@
-const CACHE_NAME = 'wave-agent-x-v73';
+const CACHE_NAME = 'wave-agent-x-v98';
 const ASSETS = [
   './',
   './index.html',
@@ -11,6 +11,7 @@ const ASSETS = [
   './mixer.js',
   './mixer-metadata.js',
   './file-io.js',
+  './flac-codec.js',
   './lame.min.js',
   './manifest.json',
   './favicon.ico',